@@ -0,0 +1,73 @@
+const { wrapPool } = require("./pg")
+
+// In-process Postgres emulation (pg-mem) for offline development and tests. It starts empty;
+// connectDB() applies the migrations. Data lives only as long as the process.
+function createMemoryDriver() {
+  // Loaded lazily: pg-mem is a dev dependency
+  const { newDb, DataType } = require("pg-mem")
+
+  const db = newDb()
+
+  db.public.registerFunction({
+    name: "version",
+    returns: DataType.text,
+    implementation: () => "PostgreSQL (pg-mem in-memory)",
+  })
+
+  // Used by migrations; pg-mem has lower() and upper() but not trim()
+  db.public.registerFunction({
+    name: "trim",
+    args: [DataType.text],
+    returns: DataType.text,
+    implementation: (value) => value.trim(),
+  })
+
+  // Everything runs in this one process, so advisory locks have nothing to guard against
+  db.public.registerFunction({
+    name: "pg_advisory_lock",
+    args: [DataType.bigint],
+    returns: DataType.text,
+    implementation: () => "",
+  })
+  db.public.registerFunction({
+    name: "pg_advisory_unlock",
+    args: [DataType.bigint],
+    returns: DataType.bool,
+    implementation: () => true,
+  })
+
+  const { Pool } = db.adapters.createPg()
+  const driver = wrapPool(new Pool(), { name: "memory", label: "In-memory PostgreSQL" })
+
+  // pg-mem commits every query on its own, so a ROLLBACK would keep what the transaction wrote.
+  // Undo it by restoring the whole database as it was at BEGIN. That also undoes what other
+  // sessions wrote in the meantime, which is fine while transactions do not overlap.
+  return {
+    ...driver,
+    connect: async () => {
+      const session = await driver.connect()
+      let restorePoint = null
+
+      return {
+        ...session,
+        query: async (text, params) => {
+          const statement = text.trim().toUpperCase()
+
+          if (statement === "BEGIN") {
+            restorePoint = db.backup()
+          } else if (statement === "COMMIT") {
+            restorePoint = null
+          } else if (statement === "ROLLBACK" && restorePoint) {
+            restorePoint.restore()
+            restorePoint = null
+            return []
+          }
+
+          return session.query(text, params)
+        },
+      }
+    },
+  }
+}
+
+module.exports = { createMemoryDriver }
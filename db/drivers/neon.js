@@ -0,0 +1,28 @@
+const ws = require("ws")
+const { neon, neonConfig, Pool } = require("@neondatabase/serverless")
+const { wrapPool } = require("./pg")
+
+// Neon's pooled connections run over WebSockets, which Node only has built in from version 22
+neonConfig.webSocketConstructor = ws
+
+// Neon serverless Postgres. Single queries go over HTTPS, each its own implicit transaction.
+function createNeonDriver({ connectionString = process.env.DATABASE_URL } = {}) {
+  if (!connectionString) {
+    throw new Error("DATABASE_URL environment variable is required for Neon connection")
+  }
+
+  const client = neon(connectionString)
+
+  // HTTP queries cannot share a session, so sessions come from a pool of WebSocket connections
+  const pool = new Pool({
+    connectionString,
+    max: Number.parseInt(process.env.DB_POOL_SIZE, 10) || 10,
+  })
+
+  return {
+    ...wrapPool(pool, { name: "neon", label: "Neon PostgreSQL" }),
+    query: (text, params) => client(text, params),
+  }
+}
+
+module.exports = { createNeonDriver }
@@ -0,0 +1,39 @@
+const { Pool } = require("pg")
+
+// A single connection, for work that needs one session throughout (transactions, advisory locks)
+function wrapSession(client, release) {
+  return {
+    query: async (text, params) => (await client.query(text, params)).rows,
+    release,
+  }
+}
+
+// Wrap a node-postgres compatible pool so queries resolve to the result rows
+function wrapPool(pool, { name, label }) {
+  return {
+    name,
+    label,
+    query: async (text, params) => (await pool.query(text, params)).rows,
+    connect: async () => {
+      const client = await pool.connect()
+      return wrapSession(client, async () => client.release())
+    },
+    close: () => pool.end(),
+  }
+}
+
+// A standard PostgreSQL server (e.g. local Docker or Homebrew install) through node-postgres
+function createPgDriver({ connectionString = process.env.DATABASE_URL } = {}) {
+  if (!connectionString) {
+    throw new Error("DATABASE_URL environment variable is required for the pg driver")
+  }
+
+  const pool = new Pool({
+    connectionString,
+    max: Number.parseInt(process.env.DB_POOL_SIZE, 10) || 10,
+  })
+
+  return wrapPool(pool, { name: "pg", label: "PostgreSQL" })
+}
+
+module.exports = { createPgDriver, wrapPool }
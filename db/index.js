@@ -0,0 +1,127 @@
+const { createNeonDriver } = require("./drivers/neon")
+const { createPgDriver } = require("./drivers/pg")
+const { createMemoryDriver } = require("./drivers/memory")
+const { migrateUp } = require("./migrator")
+const { logger } = require("../logger")
+
+// Selected with DB_DRIVER; every driver exposes query(text, params) resolving to result rows
+const DRIVERS = {
+  neon: createNeonDriver,
+  pg: createPgDriver,
+  memory: createMemoryDriver,
+}
+
+let driver
+
+// What to check when connecting fails
+function connectionHint(driverName, error) {
+  if (error.message.includes("DATABASE_URL")) {
+    return (
+      "Set DATABASE_URL (Neon: https://console.neon.tech → Your Project → Connection Details), " +
+      "or use DB_DRIVER=memory for local work"
+    )
+  }
+  if (error.code === "ENOTFOUND" || error.code === "ECONNREFUSED") {
+    return "Network error: check that the database URL is correct and the server is running and reachable"
+  }
+  if (driverName === "neon") {
+    return "The Neon database might be sleeping (free tier); check the Neon project status"
+  }
+  return undefined
+}
+
+async function connectDB(options = {}) {
+  const driverName = options.driver || process.env.DB_DRIVER || "neon"
+
+  try {
+    logger.info("Connecting to database", {
+      driver: driverName,
+      nodeEnv: process.env.NODE_ENV,
+      databaseUrlSet: !!process.env.DATABASE_URL,
+    })
+
+    if (!DRIVERS[driverName]) {
+      throw new Error(`Unknown DB_DRIVER '${driverName}' (expected one of: ${Object.keys(DRIVERS).join(", ")})`)
+    }
+
+    const candidate = DRIVERS[driverName](options)
+
+    // Test the connection
+    const result = await candidate.query("SELECT NOW() AS db_time, version() AS pg_version", [])
+
+    driver = candidate
+
+    logger.info("Database connected", {
+      database: driver.label,
+      dbTime: result[0].db_time,
+      postgresVersion: result[0].pg_version.split(" ")[0],
+    })
+
+    // An in-memory database starts empty, so it is brought to the latest schema straight away;
+    // real databases are migrated explicitly with `npm run migrate`
+    if (options.migrate ?? driver.name === "memory") {
+      const applied = await migrateUp(driver)
+      logger.info("Migrations applied", { count: applied.length })
+    }
+
+    return driver
+  } catch (error) {
+    logger.error("Database connection failed", { driver: driverName, error, hint: connectionHint(driverName, error) })
+    throw error
+  }
+}
+
+async function disconnectDB() {
+  if (driver) {
+    await driver.close()
+    driver = undefined
+  }
+}
+
+// The active driver's label, e.g. for health checks
+const databaseLabel = () => (driver ? driver.label : "Not connected")
+
+// A sql function for one query target. Accepts both call forms:
+//   sql`SELECT * FROM users WHERE id = ${id}`
+//   sql("SELECT * FROM users WHERE id = $1", [id])
+// Resolves to the array of result rows.
+function queryFunction(target) {
+  return (strings, ...values) => {
+    if (Array.isArray(strings) && strings.raw) {
+      const text = strings.reduce((query, part, index) => `${query}$${index}${part}`)
+      return target().query(text, values)
+    }
+
+    return target().query(strings, values[0] || [])
+  }
+}
+
+function connectedDriver() {
+  if (!driver) {
+    throw new Error("Database not connected - call connectDB() first")
+  }
+  return driver
+}
+
+// Query the database
+const sql = queryFunction(connectedDriver)
+
+// Run fn in a transaction on a connection of its own. fn gets a sql function for that
+// connection; the transaction commits when fn resolves and rolls back when it throws.
+async function transaction(fn) {
+  const session = await connectedDriver().connect()
+
+  try {
+    await session.query("BEGIN", [])
+    const result = await fn(queryFunction(() => session))
+    await session.query("COMMIT", [])
+    return result
+  } catch (error) {
+    await session.query("ROLLBACK", [])
+    throw error
+  } finally {
+    await session.release()
+  }
+}
+
+module.exports = { connectDB, disconnectDB, databaseLabel, sql, transaction }
@@ -16,14 +16,13 @@ CREATE TABLE IF NOT EXISTS payments (
   razorpay_payment_id VARCHAR(255),
   razorpay_signature TEXT,
   amount INTEGER NOT NULL,
-  status VARCHAR(20) DEFAULT 'created' CHECK (status IN ('created', 'completed', 'failed')),
+  status VARCHAR(20) DEFAULT 'created' CONSTRAINT payments_status_check CHECK (status IN ('created', 'completed', 'failed')),
   verified BOOLEAN DEFAULT FALSE,
   verified_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id);
 CREATE INDEX IF NOT EXISTS idx_payments_razorpay_order_id ON payments(razorpay_order_id);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
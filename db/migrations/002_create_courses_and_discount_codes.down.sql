@@ -0,0 +1,9 @@
+DROP TABLE IF EXISTS discount_codes;
+
+ALTER TABLE payments DROP COLUMN IF EXISTS failure_reason;
+ALTER TABLE payments DROP COLUMN IF EXISTS discount_amount;
+ALTER TABLE payments DROP COLUMN IF EXISTS discount_code;
+ALTER TABLE payments DROP COLUMN IF EXISTS currency;
+ALTER TABLE payments DROP COLUMN IF EXISTS course_id;
+
+DROP TABLE IF EXISTS courses;
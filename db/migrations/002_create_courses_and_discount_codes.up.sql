@@ -0,0 +1,54 @@
+-- Create courses table (prices are stored in paise)
+CREATE TABLE IF NOT EXISTS courses (
+  id SERIAL PRIMARY KEY,
+  slug VARCHAR(255) UNIQUE NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  price INTEGER NOT NULL CHECK (price >= 0),
+  original_price INTEGER CHECK (original_price >= 0),
+  currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+  redirect_url TEXT NOT NULL,
+  status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'archived')),
+  thumbnail_url TEXT,
+  banner_url TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Seed the launch course
+INSERT INTO courses (slug, title, description, price, original_price, currency, redirect_url, status)
+VALUES (
+  'complete-web-development-bootcamp',
+  'Complete Web Development Bootcamp',
+  'Master HTML, CSS, JavaScript, React, Node.js, and MongoDB. Build 10+ real-world projects and get job-ready with hands-on experience. Perfect for beginners and intermediate developers.',
+  9900,
+  299900,
+  'INR',
+  'https://www.udemy.com/course/the-complete-web-development-bootcamp/',
+  'published'
+)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Link payments to the course they were created for (amount and discount_amount are in paise)
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS course_id INTEGER REFERENCES courses(id);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'INR';
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS discount_code VARCHAR(64);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS discount_amount INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
+-- Create discount codes table (either a percentage or a flat amount in paise)
+CREATE TABLE IF NOT EXISTS discount_codes (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(64) UNIQUE NOT NULL,
+  course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+  percent_off INTEGER CHECK (percent_off BETWEEN 1 AND 100),
+  amount_off INTEGER CHECK (amount_off > 0),
+  active BOOLEAN DEFAULT TRUE,
+  expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((percent_off IS NULL) <> (amount_off IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_courses_status ON courses(status);
+CREATE INDEX IF NOT EXISTS idx_payments_course_id ON payments(course_id);
@@ -0,0 +1,16 @@
+-- Create payment events table: every Razorpay webhook delivery, keyed by event id
+CREATE TABLE IF NOT EXISTS payment_events (
+  id SERIAL PRIMARY KEY,
+  event_id VARCHAR(255) UNIQUE NOT NULL,
+  event_type VARCHAR(64) NOT NULL,
+  razorpay_order_id VARCHAR(255),
+  razorpay_payment_id VARCHAR(255),
+  payload JSONB NOT NULL,
+  outcome TEXT,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  processed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_razorpay_payment_id ON payments(razorpay_payment_id);
+CREATE INDEX IF NOT EXISTS idx_payment_events_razorpay_order_id ON payment_events(razorpay_order_id);
@@ -0,0 +1,17 @@
+-- Create coupon codes table: per-course inventory, one code per completed payment
+CREATE TABLE IF NOT EXISTS coupon_codes (
+  id SERIAL PRIMARY KEY,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  code VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'assigned', 'expired', 'revoked')),
+  payment_id INTEGER UNIQUE REFERENCES payments(id) ON DELETE SET NULL,
+  assigned_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoke_reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (course_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_codes_course_status ON coupon_codes(course_id, status);
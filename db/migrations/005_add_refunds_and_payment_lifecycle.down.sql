@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS refunds;
+
+-- Payments in the newer states have to be resolved before the old constraint can hold again
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_status_check CHECK (status IN ('created', 'completed', 'failed'));
+
+ALTER TABLE payments DROP COLUMN IF EXISTS refunded_amount;
@@ -0,0 +1,23 @@
+-- Track refunds reported by Razorpay (in paise)
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_amount INTEGER NOT NULL DEFAULT 0;
+
+-- Widen the payment lifecycle beyond created/completed/failed
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_status_check
+  CHECK (status IN ('created', 'authorized', 'completed', 'failed', 'refund_pending', 'partially_refunded', 'refunded'));
+
+-- Create refunds table (amount in paise)
+CREATE TABLE IF NOT EXISTS refunds (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  razorpay_refund_id VARCHAR(255) UNIQUE NOT NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'processed', 'failed')),
+  reason TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  processed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id);
@@ -0,0 +1,2 @@
+-- Deleted accounts are anonymized rather than removed, so their payments stay on the books
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
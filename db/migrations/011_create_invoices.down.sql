@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS credit_notes;
+DROP TABLE IF EXISTS invoices;
+DROP TABLE IF EXISTS document_sequences;
+
+ALTER TABLE payments DROP COLUMN IF EXISTS billing_gstin;
+ALTER TABLE payments DROP COLUMN IF EXISTS billing_state_code;
@@ -0,0 +1,57 @@
+-- Buyer details for GST, captured when the order is created. The state code decides the place of
+-- supply (CGST + SGST within the seller's state, IGST otherwise); a GSTIN makes it a B2B invoice.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS billing_state_code VARCHAR(2);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS billing_gstin VARCHAR(15);
+
+-- Running document numbers, restarted every financial year (e.g. series 'INV', year '26-27')
+CREATE TABLE IF NOT EXISTS document_sequences (
+  series VARCHAR(8) NOT NULL,
+  financial_year VARCHAR(5) NOT NULL,
+  last_number INTEGER NOT NULL,
+  PRIMARY KEY (series, financial_year)
+);
+
+-- Tax invoices, one per completed payment (amounts in paise). Seller and buyer details are copied
+-- in when the invoice is issued, so later changes to either do not alter an issued document.
+-- A row is claimed before it is numbered; number stays NULL only until numbering finishes.
+CREATE TABLE IF NOT EXISTS invoices (
+  id SERIAL PRIMARY KEY,
+  payment_id INTEGER UNIQUE NOT NULL REFERENCES payments(id),
+  number VARCHAR(16) UNIQUE,
+  financial_year VARCHAR(5),
+  sequence_number INTEGER,
+  issued_at TIMESTAMP,
+  seller JSONB NOT NULL,
+  buyer JSONB NOT NULL,
+  description TEXT NOT NULL,
+  sac_code VARCHAR(8) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  gst_rate INTEGER NOT NULL,
+  discount_amount INTEGER NOT NULL DEFAULT 0,
+  taxable_amount INTEGER NOT NULL,
+  cgst_amount INTEGER NOT NULL DEFAULT 0,
+  sgst_amount INTEGER NOT NULL DEFAULT 0,
+  igst_amount INTEGER NOT NULL DEFAULT 0,
+  total_amount INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Credit notes, one per processed refund, reversing part or all of the invoice
+CREATE TABLE IF NOT EXISTS credit_notes (
+  id SERIAL PRIMARY KEY,
+  invoice_id INTEGER NOT NULL REFERENCES invoices(id),
+  refund_id INTEGER UNIQUE NOT NULL REFERENCES refunds(id),
+  number VARCHAR(16) UNIQUE,
+  financial_year VARCHAR(5),
+  sequence_number INTEGER,
+  issued_at TIMESTAMP,
+  reason TEXT,
+  taxable_amount INTEGER NOT NULL,
+  cgst_amount INTEGER NOT NULL DEFAULT 0,
+  sgst_amount INTEGER NOT NULL DEFAULT 0,
+  igst_amount INTEGER NOT NULL DEFAULT 0,
+  total_amount INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice_id ON credit_notes(invoice_id);
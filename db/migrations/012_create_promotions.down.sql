@@ -0,0 +1,20 @@
+DROP TABLE IF EXISTS promotion_redemptions;
+
+CREATE TABLE IF NOT EXISTS discount_codes (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(64) UNIQUE NOT NULL,
+  course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+  percent_off INTEGER CHECK (percent_off BETWEEN 1 AND 100),
+  amount_off INTEGER CHECK (amount_off > 0),
+  active BOOLEAN DEFAULT TRUE,
+  expires_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((percent_off IS NULL) <> (amount_off IS NULL))
+);
+
+INSERT INTO discount_codes (code, course_id, percent_off, amount_off, active, expires_at, created_at, updated_at)
+SELECT code, course_id, percent_off, amount_off, active, ends_at, created_at, updated_at
+FROM promotions;
+
+DROP TABLE IF EXISTS promotions;
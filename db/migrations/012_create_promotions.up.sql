@@ -0,0 +1,47 @@
+-- Promotions replace discount codes: a percentage or flat amount (in paise) off one course or the
+-- whole catalogue, optionally limited to a date range and a number of uses overall and per user.
+-- Codes are stored in upper case and matched case-insensitively.
+CREATE TABLE IF NOT EXISTS promotions (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(64) UNIQUE NOT NULL,
+  description TEXT,
+  course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+  percent_off INTEGER CHECK (percent_off BETWEEN 1 AND 100),
+  amount_off INTEGER CHECK (amount_off > 0),
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  max_redemptions INTEGER CHECK (max_redemptions > 0),
+  max_redemptions_per_user INTEGER CHECK (max_redemptions_per_user > 0),
+  -- Redemptions currently holding a use (reserved or redeemed), kept in step by the application
+  redemption_count INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((percent_off IS NULL) <> (amount_off IS NULL)),
+  CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+);
+
+-- Existing discount codes carry over without limits; their past use was not tracked
+INSERT INTO promotions (code, course_id, percent_off, amount_off, ends_at, active, created_at, updated_at)
+SELECT UPPER(code), course_id, percent_off, amount_off, expires_at, COALESCE(active, TRUE), created_at, updated_at
+FROM discount_codes;
+
+DROP TABLE IF EXISTS discount_codes;
+
+-- One row per order placed with a promotion. A use is reserved when the order is created,
+-- redeemed when it is paid and released again if the payment fails, is refunded in full or the
+-- order is abandoned.
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  id SERIAL PRIMARY KEY,
+  promotion_id INTEGER NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  payment_id INTEGER UNIQUE NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  discount_amount INTEGER NOT NULL,
+  status VARCHAR(16) NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'redeemed', 'released')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_promotion_user ON promotion_redemptions(promotion_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_promotions_course_id ON promotions(course_id);
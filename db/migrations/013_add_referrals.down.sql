@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS referral_ledger;
+DROP TABLE IF EXISTS referral_payouts;
+DROP INDEX IF EXISTS idx_users_referred_by;
+ALTER TABLE users DROP COLUMN IF EXISTS referred_by;
+ALTER TABLE users DROP COLUMN IF EXISTS referral_code;
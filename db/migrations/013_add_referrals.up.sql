@@ -0,0 +1,35 @@
+-- Every account gets a code to share (assigned on first use) and remembers who referred it
+ALTER TABLE users ADD COLUMN IF NOT EXISTS referral_code VARCHAR(16) UNIQUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS referred_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- A payout settles a batch of an affiliate's ledger entries, paid outside the platform
+CREATE TABLE IF NOT EXISTS referral_payouts (
+  id SERIAL PRIMARY KEY,
+  affiliate_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL DEFAULT 0,
+  reference VARCHAR(128) NOT NULL,
+  note TEXT,
+  settled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  settled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- What affiliates earn on payments by the users they referred, in paise: a commission when the
+-- payment completes and a negative clawback as it is refunded. Entries stay unsettled until a
+-- payout includes them, so a clawback after a payout is netted against the next one.
+CREATE TABLE IF NOT EXISTS referral_ledger (
+  id SERIAL PRIMARY KEY,
+  affiliate_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+  entry_type VARCHAR(16) NOT NULL CHECK (entry_type IN ('commission', 'clawback')),
+  commission_percent INTEGER NOT NULL,
+  amount INTEGER NOT NULL,
+  -- For clawbacks, the payment's refunded amount the clawback catches up with; 0 for commissions
+  refunded_amount INTEGER NOT NULL DEFAULT 0,
+  payout_id INTEGER REFERENCES referral_payouts(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (payment_id, entry_type, refunded_amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_referred_by ON users(referred_by);
+CREATE INDEX IF NOT EXISTS idx_referral_ledger_affiliate_id ON referral_ledger(affiliate_id);
+CREATE INDEX IF NOT EXISTS idx_referral_payouts_affiliate_id ON referral_payouts(affiliate_id);
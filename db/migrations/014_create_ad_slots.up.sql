@@ -0,0 +1,45 @@
+-- Ad creatives, each shown in one placement (e.g. "welcome" when the site opens, "post-payment"
+-- after checkout). Among the creatives that are live for a placement one is picked at random in
+-- proportion to its weight. html is trusted markup written by staff; with image_url the creative
+-- is just the image. frequency_cap limits how often one visitor sees it per 24 hours.
+CREATE TABLE IF NOT EXISTS ad_creatives (
+  id SERIAL PRIMARY KEY,
+  placement VARCHAR(64) NOT NULL,
+  name VARCHAR(128) NOT NULL,
+  html TEXT,
+  image_url TEXT,
+  link_url TEXT,
+  weight INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0),
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  frequency_cap INTEGER CHECK (frequency_cap > 0),
+  min_display_seconds INTEGER NOT NULL DEFAULT 0 CHECK (min_display_seconds BETWEEN 0 AND 120),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (html IS NOT NULL OR image_url IS NOT NULL),
+  CHECK (starts_at IS NULL OR ends_at IS NULL OR ends_at > starts_at)
+);
+
+-- One row per impression or click. viewer_id is a random id the browser keeps, so frequency caps
+-- work for signed-out visitors too.
+CREATE TABLE IF NOT EXISTS ad_events (
+  id SERIAL PRIMARY KEY,
+  creative_id INTEGER NOT NULL REFERENCES ad_creatives(id) ON DELETE CASCADE,
+  event_type VARCHAR(16) NOT NULL CHECK (event_type IN ('impression', 'click')),
+  viewer_id VARCHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ad_creatives_placement ON ad_creatives(placement);
+CREATE INDEX IF NOT EXISTS idx_ad_events_viewer ON ad_events(viewer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ad_events_creative ON ad_events(creative_id, created_at);
+
+-- The overlays that used to be hard-coded in the website
+INSERT INTO ad_creatives (placement, name, html, min_display_seconds)
+VALUES
+  ('welcome', 'Welcome message',
+   '<h3>👋 Welcome to Unlock UpSkill!</h3><p>Don''t miss out on our limited-time offers. Your future starts now!</p>', 0),
+  ('post-payment', 'Annual subscription offer',
+   '<h3>🎯 Special Offer!</h3><p>Get access to 100+ premium courses with our annual subscription. Limited time offer!</p>', 20);
@@ -0,0 +1,20 @@
+-- Create reconciliation runs table: one row per comparison of our payments with Razorpay's records.
+-- fixes lists what the run corrected (or would have, for a dry run); needs_review what it left for a human.
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id SERIAL PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'finished', 'failed')),
+  dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+  window_start TIMESTAMP NOT NULL,
+  window_end TIMESTAMP NOT NULL,
+  order_ttl_minutes INTEGER NOT NULL,
+  orders_checked INTEGER NOT NULL DEFAULT 0,
+  payments_checked INTEGER NOT NULL DEFAULT 0,
+  fixes JSONB NOT NULL DEFAULT '[]',
+  needs_review JSONB NOT NULL DEFAULT '[]',
+  error TEXT,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started_at ON reconciliation_runs(started_at);
+CREATE INDEX IF NOT EXISTS idx_payments_status_created_at ON payments(status, created_at);
@@ -0,0 +1,10 @@
+-- Accounts whose addresses are the same once lower-cased could no longer sign in after the
+-- migration. Merge them or change one of the addresses, then migrate again.
+SELECT email, user_ids
+FROM (
+  SELECT LOWER(TRIM(email)) AS email, ARRAY_AGG(id ORDER BY id) AS user_ids, COUNT(*) AS accounts
+  FROM users
+  GROUP BY LOWER(TRIM(email))
+) normalized
+WHERE accounts > 1
+ORDER BY email;
@@ -0,0 +1,2 @@
+-- The original capitalization of the addresses was not kept, so there is nothing to restore
+SELECT 1;
@@ -0,0 +1,11 @@
+-- Emails are trimmed and lower-cased before they are stored or looked up (see validation/), so
+-- A@x.com and a@x.com are one account. Bring existing addresses in line. Addresses that would
+-- clash stop the migration first (see the check file).
+UPDATE users
+SET email = LOWER(TRIM(email)), updated_at = NOW()
+WHERE email <> LOWER(TRIM(email));
+
+-- Links already sent out only work for the address as it is now stored
+UPDATE user_tokens
+SET email = LOWER(TRIM(email))
+WHERE email <> LOWER(TRIM(email));
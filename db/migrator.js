@@ -0,0 +1,228 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+
+// Migrations are pairs of files: NNN_description.up.sql and NNN_description.down.sql.
+// Keep them to plain SQL: the in-memory driver runs them too, and it cannot execute trigger
+// functions, so updated_at columns are set by the repositories on every UPDATE.
+// A migration that cannot run on some data gets a NNN_description.check.sql as well: a query
+// for the rows in the way, run first. Any rows it returns stop the migration and are listed.
+const MIGRATIONS_DIR = path.join(__dirname, "migrations")
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down|check)\.sql$/
+
+// Key for pg_advisory_lock, shared by every process that runs migrations against the database
+const MIGRATION_LOCK_ID = 727001
+
+const checksum = (text) => crypto.createHash("sha256").update(text).digest("hex")
+
+// Read the migration files in version order. The checksum covers the up migration, which is what
+// an applied version must keep matching.
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map()
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file)
+    if (!match) continue
+
+    const version = Number.parseInt(match[1], 10)
+    const migration = byVersion.get(version) || { version, name: match[2] }
+
+    if (migration.name !== match[2] || migration[match[3]] !== undefined) {
+      throw new Error(`Duplicate migration version ${match[1]} (${file})`)
+    }
+
+    migration[match[3]] = fs.readFileSync(path.join(dir, file), "utf8")
+    byVersion.set(version, migration)
+  }
+
+  return [...byVersion.values()]
+    .sort((a, b) => a.version - b.version)
+    .map((migration) => {
+      if (migration.up === undefined || migration.down === undefined) {
+        throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down file`)
+      }
+      return { ...migration, checksum: checksum(migration.up) }
+    })
+}
+
+async function hasMigrationsTable(db) {
+  const result = await db.query(
+    `SELECT 1 AS found FROM information_schema.tables
+     WHERE table_schema = current_schema() AND table_name = 'schema_migrations'`,
+    [],
+  )
+  return result.length > 0
+}
+
+async function ensureMigrationsTable(db) {
+  if (await hasMigrationsTable(db)) return
+
+  await db.query(
+    `CREATE TABLE schema_migrations (
+       version INTEGER PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       checksum VARCHAR(64) NOT NULL,
+       applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+     )`,
+    [],
+  )
+}
+
+const appliedMigrations = (db) =>
+  db.query("SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version", [])
+
+// Compare applied versions with the files on disk; an edited or deleted migration means the
+// database no longer matches what the code expects
+function compareMigrations(migrations, applied) {
+  const files = new Map(migrations.map((migration) => [migration.version, migration]))
+  const rows = new Map(applied.map((row) => [row.version, row]))
+  const versions = [...new Set([...files.keys(), ...rows.keys()])].sort((a, b) => a - b)
+
+  return versions.map((version) => {
+    const migration = files.get(version)
+    const row = rows.get(version)
+
+    let state = "pending"
+    if (row && !migration) state = "missing"
+    else if (row && row.checksum !== migration.checksum) state = "changed"
+    else if (row) state = "applied"
+
+    return {
+      version,
+      name: migration ? migration.name : row.name,
+      state,
+      appliedAt: row ? row.applied_at : null,
+    }
+  })
+}
+
+function assertUnchanged(status) {
+  const problems = status.filter((entry) => entry.state === "missing" || entry.state === "changed")
+
+  if (problems.length > 0) {
+    const details = problems.map((entry) =>
+      entry.state === "missing"
+        ? `${entry.version}_${entry.name} is applied but its file is missing`
+        : `${entry.version}_${entry.name} has been edited since it was applied`,
+    )
+    throw new Error(`Migration checksum verification failed:\n  ${details.join("\n  ")}`)
+  }
+}
+
+// Run fn on a dedicated session holding the migration lock. A second deploy waits here until the
+// first has finished, then finds nothing left to do.
+async function withMigrationLock(driver, fn) {
+  const session = await driver.connect()
+
+  try {
+    await session.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID])
+
+    try {
+      await ensureMigrationsTable(session)
+      return await fn(session)
+    } finally {
+      await session.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID])
+    }
+  } finally {
+    await session.release()
+  }
+}
+
+// Stop before a migration whose check finds rows it cannot handle, listing them so they can be
+// fixed by hand before migrating again
+async function runCheck(session, label, check) {
+  const rows = await session.query(check, [])
+
+  if (rows.length > 0) {
+    const details = rows.map((row) => JSON.stringify(row))
+    throw new Error(
+      `Migration ${label} cannot run until these rows are resolved (see its check file):\n  ${details.join("\n  ")}`,
+    )
+  }
+}
+
+// Each migration runs in its own transaction together with its schema_migrations bookkeeping
+async function runInTransaction(session, label, statements) {
+  try {
+    await session.query("BEGIN")
+    for (const [text, params] of statements) {
+      await session.query(text, params)
+    }
+    await session.query("COMMIT")
+  } catch (error) {
+    await session.query("ROLLBACK")
+    error.message = `Migration ${label} failed: ${error.message}`
+    throw error
+  }
+}
+
+// Apply pending migrations, optionally only up to and including version `to`.
+// Resolves to the migrations that were applied.
+async function migrateUp(driver, { to = Infinity, migrations = loadMigrations() } = {}) {
+  return withMigrationLock(driver, async (session) => {
+    const status = compareMigrations(migrations, await appliedMigrations(session))
+    assertUnchanged(status)
+
+    const pending = new Set(status.filter((entry) => entry.state === "pending").map((entry) => entry.version))
+    const applied = []
+
+    for (const migration of migrations) {
+      if (!pending.has(migration.version) || migration.version > to) continue
+
+      if (migration.check !== undefined) {
+        await runCheck(session, `${migration.version}_${migration.name}`, migration.check)
+      }
+
+      await runInTransaction(session, `${migration.version}_${migration.name}`, [
+        [migration.up],
+        [
+          "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+          [migration.version, migration.name, migration.checksum],
+        ],
+      ])
+      applied.push(migration)
+    }
+
+    return applied
+  })
+}
+
+// Revert the most recently applied migrations, one by default.
+// Resolves to the migrations that were reverted.
+async function migrateDown(driver, { steps = 1, migrations = loadMigrations() } = {}) {
+  return withMigrationLock(driver, async (session) => {
+    const status = compareMigrations(migrations, await appliedMigrations(session))
+    assertUnchanged(status)
+
+    const files = new Map(migrations.map((migration) => [migration.version, migration]))
+    const toRevert = status
+      .filter((entry) => entry.state === "applied")
+      .reverse()
+      .slice(0, steps)
+      .map((entry) => files.get(entry.version))
+
+    for (const migration of toRevert) {
+      await runInTransaction(session, `${migration.version}_${migration.name}`, [
+        [migration.down],
+        ["DELETE FROM schema_migrations WHERE version = $1", [migration.version]],
+      ])
+    }
+
+    return toRevert
+  })
+}
+
+// Every known version with its state: applied, pending, changed (file edited after it was
+// applied) or missing (applied, but the file is gone)
+async function migrationStatus(driver, { migrations = loadMigrations() } = {}) {
+  const applied = (await hasMigrationsTable(driver)) ? await appliedMigrations(driver) : []
+  return compareMigrations(migrations, applied)
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+}
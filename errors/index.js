@@ -0,0 +1,79 @@
+// Errors the app raises on purpose. Each carries the HTTP status and machine-readable code the
+// error handler (middleware/errorHandler) answers with; anything else is an unexpected 500.
+class AppError extends Error {
+  constructor(message, { status = 500, code = "INTERNAL_ERROR", details, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = this.constructor.name
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+// The request itself is wrong: missing or malformed fields, an unusable value
+class ValidationError extends AppError {
+  constructor(message, { code = "VALIDATION_ERROR", details } = {}) {
+    super(message, { status: 400, code, details })
+  }
+}
+
+// The caller is not signed in (401), may not do this (403) or may not sign in for now (423)
+class AuthError extends AppError {
+  constructor(message, { status = 401, code = status === 403 ? "FORBIDDEN" : "AUTH_ERROR" } = {}) {
+    super(message, { status, code })
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, { code = "NOT_FOUND" } = {}) {
+    super(message, { status: 404, code })
+  }
+}
+
+// The request clashes with the current state, e.g. an order that has already been paid
+class ConflictError extends AppError {
+  constructor(message, { code = "CONFLICT", details } = {}) {
+    super(message, { status: 409, code, details })
+  }
+}
+
+// Too many requests from one client or for one account; the thrower sets Retry-After
+class RateLimitError extends AppError {
+  constructor(message, { code = "RATE_LIMITED" } = {}) {
+    super(message, { status: 429, code })
+  }
+}
+
+// Razorpay failed or refused a call. The provider's own error is kept as the cause for the log.
+class PaymentProviderError extends AppError {
+  constructor(message, { code = "PAYMENT_PROVIDER_ERROR", cause } = {}) {
+    super(message, { status: 502, code, cause })
+  }
+}
+
+// The code for a client error raised by Express or one of its middleware (e.g. a body that is too
+// large), from its status
+const STATUS_CODES = {
+  400: "VALIDATION_ERROR",
+  401: "AUTH_ERROR",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  423: "ACCOUNT_LOCKED",
+  429: "RATE_LIMITED",
+  502: "PAYMENT_PROVIDER_ERROR",
+}
+
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST")
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  PaymentProviderError,
+  codeForStatus,
+}
@@ -0,0 +1,94 @@
+const { AsyncLocalStorage } = require("async_hooks")
+
+// One JSON object per line, e.g.
+//   {"time":"2024-05-01T10:00:00.000Z","level":"info","msg":"Request completed","requestId":"…","status":200}
+// LOG_LEVEL picks the least severe level written (default info); "silent" turns logging off.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity }
+
+// Values under these keys never reach the log, however deep they are nested
+const SENSITIVE_KEY = /password|token|secret|signature|authorization|cookie/i
+const REDACTED = "[REDACTED]"
+
+// Fields of the request being handled (see middleware/requestId), added to every line
+const context = new AsyncLocalStorage()
+
+let destination = process.stdout
+
+// Replace where lines are written, e.g. with an in-memory array in tests. Anything with write(line).
+function useDestination(replacement) {
+  destination = replacement
+}
+
+const threshold = () => {
+  const level = (process.env.LOG_LEVEL || "info").toLowerCase()
+  return LEVELS[level] === undefined ? LEVELS.info : LEVELS[level]
+}
+
+// Errors keep their name, message, stack and any application code; nested objects are redacted
+function redact(value, seen = new WeakSet()) {
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        ...(value.code !== undefined && { code: value.code }),
+        ...(value.statusCode !== undefined && { statusCode: value.statusCode }),
+        stack: value.stack,
+        ...(value.cause && { cause: value.cause }),
+      },
+      seen,
+    )
+  }
+
+  if (value === null || typeof value !== "object" || value instanceof Date) {
+    return value
+  }
+
+  if (seen.has(value)) {
+    return "[Circular]"
+  }
+  seen.add(value)
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen))
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, SENSITIVE_KEY.test(key) ? REDACTED : redact(item, seen)]),
+  )
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < threshold()) {
+    return
+  }
+
+  const line = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...bindings,
+    ...fields,
+  })
+
+  destination.write(`${JSON.stringify(line)}\n`)
+}
+
+// A logger whose lines all carry `bindings`, e.g. logger.child({ job: "reconcile" })
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", bindings, msg, fields),
+    info: (msg, fields) => write("info", bindings, msg, fields),
+    warn: (msg, fields) => write("warn", bindings, msg, fields),
+    error: (msg, fields) => write("error", bindings, msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more }),
+  }
+}
+
+// Run `fn` with `fields` added to every line logged while it (and anything it awaits) runs
+const runWithContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn)
+
+const logger = createLogger()
+
+module.exports = { logger, createLogger, runWithContext, useDestination, redact, LEVELS }
@@ -0,0 +1,46 @@
+const { createSmtpTransport } = require("./transports/smtp")
+const { createFileTransport } = require("./transports/file")
+const { createConsoleTransport } = require("./transports/console")
+
+// Selected with MAIL_TRANSPORT; every transport exposes send(message) resolving to { messageId }
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+}
+
+let transport
+
+// Without MAIL_TRANSPORT, development mail goes to the console transport. Production has to name
+// one: falling back there would silently drop reset and verification emails.
+function createTransport(name = process.env.MAIL_TRANSPORT) {
+  if (!name) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("MAIL_TRANSPORT must be set in production (expected one of: smtp, file)")
+    }
+    name = "console"
+  }
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT '${name}' (expected one of: ${Object.keys(TRANSPORTS).join(", ")})`)
+  }
+  return TRANSPORTS[name]()
+}
+
+// Replace the transport, e.g. with a file transport pointed at a temporary directory
+function useTransport(replacement) {
+  transport = replacement
+}
+
+// Send { to, subject, text, html } from MAIL_FROM. The transport is created on first use.
+async function sendMail(message) {
+  if (!transport) {
+    transport = createTransport()
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || "Unlock UpSkill <no-reply@unlockupskill.com>",
+    ...message,
+  })
+}
+
+module.exports = { createTransport, useTransport, sendMail }
@@ -0,0 +1,20 @@
+const crypto = require("crypto")
+const { logger } = require("../../logger")
+
+// Notes each message in the server log instead of sending it; the default outside production.
+// Only the envelope is logged: bodies hold reset and verification links, and logs are not the
+// place for them. Use the file transport to read what was sent.
+function createConsoleTransport() {
+  return {
+    name: "console",
+    send: async (message) => {
+      const messageId = crypto.randomBytes(8).toString("hex")
+
+      logger.info("Mail", { messageId, to: message.to, subject: message.subject })
+
+      return { messageId }
+    },
+  }
+}
+
+module.exports = { createConsoleTransport }
@@ -0,0 +1,23 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const { logger } = require("../../logger")
+
+// Writes each message to MAIL_OUTBOX_DIR as JSON instead of sending it, for local testing
+function createFileTransport({ dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "tmp", "mail") } = {}) {
+  return {
+    name: "file",
+    send: async (message) => {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`
+      const file = path.join(dir, `${messageId}.json`)
+
+      await fs.promises.mkdir(dir, { recursive: true })
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2))
+
+      logger.info("Mail written to outbox", { messageId, to: message.to, file })
+      return { messageId }
+    },
+  }
+}
+
+module.exports = { createFileTransport }
@@ -0,0 +1,25 @@
+// Real delivery through any SMTP server (SendGrid, SES, Mailgun, Postfix, ...)
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST environment variable is required for the smtp mail transport")
+  }
+
+  const nodemailer = require("nodemailer")
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number.parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+  })
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message)
+      return { messageId: info.messageId }
+    },
+  }
+}
+
+module.exports = { createSmtpTransport }
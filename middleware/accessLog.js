@@ -0,0 +1,29 @@
+const { logger } = require("../logger")
+
+// One line per finished request with its status and how long it took. Query parameters are
+// logged as fields so tokens in them are redacted like anything else, and as the client sent them
+// rather than as validation later rewrites req.query.
+const accessLog = (req, res, next) => {
+  const started = process.hrtime.bigint()
+  const { query } = req
+
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - started) / 1e6
+
+    logger[res.statusCode >= 500 ? "warn" : "info"]("Request completed", {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      query: Object.keys(query).length > 0 ? query : undefined,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      bytes: Number(res.get("content-length")) || undefined,
+      ip: req.ip,
+      userId: req.user ? req.user.id : undefined,
+    })
+  })
+
+  next()
+}
+
+module.exports = { accessLog }
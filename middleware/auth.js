@@ -1,5 +1,8 @@
 const jwt = require("jsonwebtoken")
-const { db } = require("../server")
+const users = require("../repositories/users")
+const sessions = require("../repositories/sessions")
+const { logger } = require("../logger")
+const { AuthError } = require("../errors")
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -7,35 +10,73 @@ const authenticateToken = async (req, res, next) => {
     const token = authHeader && authHeader.split(" ")[1] // Bearer TOKEN
 
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "Access token required",
-      })
+      throw new AuthError("Access token required", { code: "TOKEN_REQUIRED" })
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    let decoded
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET)
+    } catch (error) {
+      // 401 tells the client to exchange its refresh token and retry
+      if (error.name === "TokenExpiredError") {
+        throw new AuthError("Access token expired", { code: "TOKEN_EXPIRED" })
+      }
+
+      logger.warn("Access token rejected", { error })
+      throw new AuthError("Invalid or expired token", { status: 403, code: "INVALID_TOKEN" })
+    }
+
+    // Tokens stop working as soon as their session is signed out
+    if (!decoded.sid || !(await sessions.isFamilyActive(decoded.sid, decoded.userId))) {
+      throw new AuthError("Session has been signed out", { code: "SESSION_REVOKED" })
+    }
 
     // Check if user still exists
-    const [users] = await db.execute("SELECT id, name, email FROM users WHERE id = ?", [decoded.userId])
+    const user = await users.findById(decoded.userId)
 
-    if (users.length === 0) {
-      return res.status(401).json({
-        success: false,
-        message: "User not found",
-      })
+    if (!user) {
+      throw new AuthError("User not found", { code: "USER_NOT_FOUND" })
     }
 
-    // Add user info to request
-    req.user = users[0]
+    if (user.disabled_at) {
+      throw new AuthError("Account has been disabled", { status: 403, code: "ACCOUNT_DISABLED" })
+    }
+
+    // Add user and session info to request
+    req.user = user
+    req.sessionId = decoded.sid
     next()
   } catch (error) {
-    console.error("Auth middleware error:", error)
-    return res.status(403).json({
-      success: false,
-      message: "Invalid or expired token",
-    })
+    next(error)
   }
 }
 
-module.exports = { authenticateToken }
+// Role guard, used after authenticateToken: requireRole("admin") or requireRole("support", "admin").
+// The roles stay on the guard as `.roles`, for the API documentation.
+const requireRole = (...roles) => {
+  const guard = (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(new AuthError("You do not have permission to do that", { status: 403 }))
+    }
+
+    next()
+  }
+
+  guard.roles = roles
+  return guard
+}
+
+// Purchases can be limited to verified addresses (REQUIRE_VERIFIED_EMAIL=true), so coupons
+// only ever go to an inbox the buyer can actually read
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL === "true" && !req.user.email_verified_at) {
+    return next(
+      new AuthError("Please verify your email address before purchasing", { status: 403, code: "EMAIL_NOT_VERIFIED" }),
+    )
+  }
+
+  next()
+}
+
+module.exports = { authenticateToken, requireRole, requireVerifiedEmail }
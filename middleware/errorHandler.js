@@ -0,0 +1,52 @@
+const { logger } = require("../logger")
+const { AppError, NotFoundError, codeForStatus } = require("../errors")
+
+// The status, code and message to answer an error with. Only application errors and the body
+// parser's client errors are explained to the caller; anything else is an opaque 500.
+function describe(error) {
+  if (error instanceof AppError) {
+    return { status: error.status, code: error.code, message: error.message, details: error.details }
+  }
+
+  if (error.type === "entity.parse.failed") {
+    return { status: 400, code: "INVALID_JSON", message: "Request body is not valid JSON" }
+  }
+
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return { status: error.status, code: codeForStatus(error.status), message: error.message }
+  }
+
+  return { status: 500, code: "INTERNAL_ERROR", message: "Internal server error" }
+}
+
+// For /api paths no route answered
+const apiNotFound = (req, res, next) => next(new NotFoundError("API route not found"))
+
+// Answer every error passed to next() as { success: false, message, code, requestId } and log it:
+// 5xx as errors with the stack, 4xx as warnings. Express knows error handlers by their four
+// arguments, so `next` stays even where it is unused.
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error)
+  }
+
+  const { status, code, message, details } = describe(error)
+
+  const request = { requestId: req.id, method: req.method, path: req.originalUrl.split("?")[0] }
+
+  if (status >= 500) {
+    logger.error("Request failed", { ...request, code, error })
+  } else {
+    logger.warn("Request rejected", { ...request, code, message })
+  }
+
+  res.status(status).json({
+    success: false,
+    message,
+    code,
+    ...(details && { details }),
+    requestId: req.id,
+  })
+}
+
+module.exports = { errorHandler, apiNotFound }
@@ -0,0 +1,87 @@
+const { createMemoryStore } = require("./stores/memory")
+const { createDatabaseStore } = require("./stores/database")
+const { logger } = require("../../logger")
+const { RateLimitError } = require("../../errors")
+
+// Selected with RATE_LIMIT_STORE; every store exposes hit(key, windowMs) resolving to
+// { count, resetAt } for the current fixed window, and reset(key)
+const STORES = {
+  memory: createMemoryStore,
+  database: createDatabaseStore,
+}
+
+let store
+
+function getStore() {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || "memory"
+
+    if (!STORES[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE '${name}' (expected one of: ${Object.keys(STORES).join(", ")})`)
+    }
+    store = STORES[name]()
+  }
+  return store
+}
+
+// Replace the store, e.g. with a fresh memory store between test runs
+function useStore(replacement) {
+  store = replacement
+}
+
+// "45 seconds", "15 minutes"
+const formatWait = (seconds) =>
+  seconds < 120 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`
+
+// Bucket keys: the client address, the account named in the body, or the signed-in user
+const byIp = (req) => req.ip
+const byEmail = (req) => (typeof req.body.email === "string" ? req.body.email.trim().toLowerCase() : null)
+const byUser = (req) => (req.user ? req.user.id : null)
+
+// Allow `max` requests per `windowMs` in each bucket; key(req) picks the bucket, or returns null
+// to skip it. Over the limit the request gets a 429 with Retry-After. If the store is unreachable
+// requests are let through rather than locking everyone out. The settings stay on the middleware
+// as `.limit`, for the API documentation.
+function rateLimit({ name, windowMs, max, key, message = "Too many requests" }) {
+  const bucketKey = (req) => {
+    const value = key(req)
+    return value ? `${name}:${value}` : null
+  }
+
+  const limiter = async (req, res, next) => {
+    const bucket = bucketKey(req)
+    if (!bucket) return next()
+
+    let result
+    try {
+      result = await getStore().hit(bucket, windowMs)
+    } catch (error) {
+      logger.error("Rate limit store failed", { limit: name, error })
+      return next()
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000))
+
+    res.set("RateLimit-Limit", String(max))
+    res.set("RateLimit-Remaining", String(Math.max(0, max - result.count)))
+    res.set("RateLimit-Reset", String(retryAfter))
+
+    if (result.count > max) {
+      res.set("Retry-After", String(retryAfter))
+      return next(new RateLimitError(`${message}, please try again in ${formatWait(retryAfter)}`))
+    }
+
+    next()
+  }
+
+  // Forget the request's bucket, e.g. once a login has succeeded
+  limiter.reset = async (req) => {
+    const bucket = bucketKey(req)
+    if (bucket) await getStore().reset(bucket)
+  }
+
+  limiter.limit = { name, windowMs, max }
+  return limiter
+}
+
+module.exports = { rateLimit, useStore, formatWait, byIp, byEmail, byUser }
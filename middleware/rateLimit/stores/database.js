@@ -0,0 +1,34 @@
+const { sql } = require("../../../db")
+
+// Counters in the rate_limit_buckets table, so every instance behind a load balancer shares them
+function createDatabaseStore() {
+  let lastPrune = Date.now()
+
+  return {
+    name: "database",
+    hit: async (key, windowMs) => {
+      const now = Date.now()
+
+      if (now - lastPrune > 60 * 1000) {
+        lastPrune = now
+        await sql`DELETE FROM rate_limit_buckets WHERE reset_at <= ${now}`
+      }
+
+      const result = await sql`
+        INSERT INTO rate_limit_buckets (key, count, reset_at)
+        VALUES (${key}, 1, ${now + windowMs})
+        ON CONFLICT (key) DO UPDATE
+        SET count = CASE WHEN rate_limit_buckets.reset_at <= ${now} THEN 1 ELSE rate_limit_buckets.count + 1 END,
+            reset_at = CASE WHEN rate_limit_buckets.reset_at <= ${now} THEN EXCLUDED.reset_at
+                            ELSE rate_limit_buckets.reset_at END
+        RETURNING count, reset_at
+      `
+      return { count: result[0].count, resetAt: Number(result[0].reset_at) }
+    },
+    reset: async (key) => {
+      await sql`DELETE FROM rate_limit_buckets WHERE key = ${key}`
+    },
+  }
+}
+
+module.exports = { createDatabaseStore }
@@ -0,0 +1,34 @@
+// Counters in this process only: fine for a single instance, but each instance counts separately
+function createMemoryStore() {
+  const buckets = new Map()
+  let lastPrune = Date.now()
+
+  const prune = (now) => {
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(key)
+    }
+    lastPrune = now
+  }
+
+  return {
+    name: "memory",
+    hit: async (key, windowMs) => {
+      const now = Date.now()
+      if (now - lastPrune > 60 * 1000) prune(now)
+
+      let bucket = buckets.get(key)
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs }
+        buckets.set(key, bucket)
+      }
+
+      bucket.count += 1
+      return { count: bucket.count, resetAt: bucket.resetAt }
+    },
+    reset: async (key) => {
+      buckets.delete(key)
+    },
+  }
+}
+
+module.exports = { createMemoryStore }
@@ -0,0 +1,18 @@
+const crypto = require("crypto")
+const { runWithContext } = require("../logger")
+
+// An id passed in by a proxy or the client is kept if it looks like one, so one id can follow a
+// request across services
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/
+
+// Give every request an id: returned in X-Request-Id and added to every log line written while the
+// request is handled (the error handler puts it in error responses too)
+const requestId = (req, res, next) => {
+  const incoming = req.get("x-request-id")
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID()
+  res.set("X-Request-Id", req.id)
+
+  runWithContext({ requestId: req.id }, next)
+}
+
+module.exports = { requestId }
@@ -0,0 +1,249 @@
+const { STATUS_CODES } = require("http")
+const { version } = require("../package.json")
+const { authenticateToken, requireVerifiedEmail } = require("../middleware/auth")
+const { object, optional, string, boolean } = require("../validation")
+const { SCHEMAS, ref } = require("./schemas")
+const { TAGS, OPERATIONS } = require("./operations")
+
+// The OpenAPI 3 document for the API, generated from the routes registered on the app. What a
+// route's middleware says is read from the middleware itself: authenticateToken means a bearer
+// token, requireRole() its `.roles`, rateLimit() its `.limit` and validate() its `.schemas`.
+// Summaries and response shapes come from openapi/operations.js.
+
+// The pattern Express 4 compiles a router's mount path to ends in this
+const MOUNT_PATTERN_END = "\\/?(?=\\/|$)"
+
+// Errors implied by a route's middleware, shared by every operation that has them
+const RESPONSES = {
+  ValidationError: { status: 400, description: "A field is missing or invalid; `details` lists each one" },
+  Unauthorized: { status: 401, description: "The access token is missing, expired or signed out" },
+  Forbidden: { status: 403, description: "The account is disabled or not allowed to do this" },
+  RateLimited: { status: 429, description: "Too many requests; try again after Retry-After seconds" },
+}
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: ref("Error") } },
+})
+
+// The { success, message, data } envelope every JSON answer comes in
+const envelope = (data) =>
+  object({
+    success: boolean({ enum: [true] }),
+    message: optional(string()),
+    ...(data && { data }),
+  })
+
+// The path a router was mounted at, read back from its compiled pattern
+function mountPath(layer) {
+  if (layer.regexp.fast_slash) {
+    return ""
+  }
+
+  const { source } = layer.regexp
+  const path = source.slice(1, -MOUNT_PATTERN_END.length).replace(/\\\//g, "/")
+
+  if (!source.startsWith("^") || !source.endsWith(MOUNT_PATTERN_END) || /[\\()[\]*+?:]/.test(path)) {
+    throw new Error(`Cannot read the mount path of router /${source}/`)
+  }
+  return path
+}
+
+// Every route registered on the app as { method, path, handlers }, in registration order. handlers
+// are the middleware that run before the route (from app.use() and router.use()) followed by its own.
+// Walks Express 4's router stack, which is not a public API.
+function listRoutes(app) {
+  const routes = []
+
+  const walk = (stack, prefix, inherited) => {
+    const middleware = [...inherited]
+
+    for (const layer of stack) {
+      if (layer.route) {
+        const path = `${prefix}${layer.route.path}`.replace(/(.)\/$/, "$1")
+        const handlers = [...middleware, ...layer.route.stack.map((routeLayer) => routeLayer.handle)]
+
+        for (const method of Object.keys(layer.route.methods).filter((name) => name !== "_all")) {
+          routes.push({ method: method.toUpperCase(), path, handlers })
+        }
+      } else if (layer.handle.stack) {
+        walk(layer.handle.stack, `${prefix}${mountPath(layer)}`, middleware)
+      } else if (layer.regexp.fast_slash) {
+        middleware.push(layer.handle)
+      }
+    }
+  }
+
+  walk(app._router.stack, "", [])
+  return routes
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1)
+
+// "GET /api/payments/:id/invoice" -> "getPaymentsByIdInvoice", for client generators
+const operationId = (method, path) =>
+  method.toLowerCase() +
+  path
+    .replace(/^\/api/, "")
+    .split(/[^A-Za-z0-9:]+/)
+    .filter(Boolean)
+    .map((part) => (part.startsWith(":") ? `By${capitalize(part.slice(1))}` : capitalize(part)))
+    .join("")
+
+// The tag whose prefix matches most of the path
+const tagFor = (path) =>
+  TAGS.filter((tag) => path === tag.prefix || path.startsWith(`${tag.prefix}/`)).reduce((best, tag) =>
+    tag.prefix.length > best.prefix.length ? tag : best,
+  ).name
+
+// Roles allowed by every role guard on the route, or null when there is none
+function rolesFor(handlers) {
+  const guards = handlers.filter((handler) => handler.roles)
+  if (guards.length === 0) {
+    return null
+  }
+  return guards.reduce((roles, guard) => roles.filter((role) => guard.roles.includes(role)), guards[0].roles)
+}
+
+function parameters(route, schemas) {
+  const declared = (part) => (schemas[part] && schemas[part].properties) || {}
+  const required = new Set(schemas.query && schemas.query.required)
+
+  // Express params are always present; one no validator declares is still a string
+  const path = (route.path.match(/:\w+/g) || []).map((param) => {
+    const name = param.slice(1)
+    return { name, in: "path", required: true, schema: declared("params")[name] || string() }
+  })
+  const query = Object.entries(declared("query")).map(([name, schema]) => ({
+    name,
+    in: "query",
+    required: required.has(name),
+    schema,
+  }))
+
+  return [...path, ...query]
+}
+
+function responses(doc, implied) {
+  const result = {}
+  const status = doc.status || 200
+  const documented = doc.responses || {}
+
+  // Routes that answer outside the envelope, such as a redirect, document their own success
+  if (!Object.keys(documented).some((code) => code < 400)) {
+    result[status] = {
+      description: STATUS_CODES[status],
+      content: { "application/json": { schema: envelope(doc.data) }, ...doc.content },
+    }
+  }
+
+  for (const name of implied) {
+    result[RESPONSES[name].status] = { $ref: `#/components/responses/${name}` }
+  }
+
+  for (const [code, response] of Object.entries(documented)) {
+    if (typeof response !== "string") {
+      result[code] = response
+    } else if (code === "400" && implied.includes("ValidationError")) {
+      // A route's own 400s come on top of the ones its schema implies
+      result[code] = errorResponse(`${response}, or ${RESPONSES.ValidationError.description.toLowerCase()}`)
+    } else {
+      result[code] = errorResponse(response)
+    }
+  }
+
+  return result
+}
+
+function operation(route, doc) {
+  const validators = route.handlers.filter((handler) => handler.schemas)
+  const schemas = Object.assign({}, ...validators.map((validator) => validator.schemas))
+  const authenticated = route.handlers.includes(authenticateToken)
+  const roles = rolesFor(route.handlers)
+
+  const implied = [
+    Object.keys(schemas).length > 0 && "ValidationError",
+    authenticated && "Unauthorized",
+    (authenticated || roles || route.handlers.includes(requireVerifiedEmail)) && "Forbidden",
+    route.handlers.some((handler) => handler.limit) && "RateLimited",
+  ].filter(Boolean)
+
+  const description = [doc.description, roles && `Staff only: ${roles.join(" or ")}.`].filter(Boolean).join("\n\n")
+  const security = doc.security || (authenticated ? [{ bearerAuth: [] }] : undefined)
+  const requestBody =
+    doc.requestBody ||
+    (schemas.body && {
+      required: Boolean(schemas.body.required),
+      content: { "application/json": { schema: schemas.body } },
+    })
+
+  return {
+    tags: [tagFor(route.path)],
+    summary: doc.summary,
+    ...(description && { description }),
+    operationId: operationId(route.method, route.path),
+    ...(security && { security }),
+    ...(roles && { "x-roles": roles }),
+    parameters: [...parameters(route, schemas), ...(doc.parameters || [])],
+    ...(requestBody && { requestBody }),
+    responses: responses(doc, implied),
+  }
+}
+
+// The OpenAPI document for the app's /api routes. Routes without an entry in OPERATIONS are left
+// out (test/openapi.test.js names them).
+function buildSpec(app) {
+  const paths = {}
+
+  for (const route of listRoutes(app)) {
+    const doc = OPERATIONS[`${route.method} ${route.path}`]
+    if (!route.path.startsWith("/api/") || !doc) {
+      continue
+    }
+
+    const path = route.path.replace(/:(\w+)/g, "{$1}")
+    paths[path] = { ...paths[path], [route.method.toLowerCase()]: operation(route, doc) }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Unlock UpSkill API",
+      version,
+      description:
+        "JSON answers come as `{ success, message, data }`. Errors have `success: false`, a `message`, a " +
+        "machine-readable `code` and the `requestId` also sent in the X-Request-Id header. Amounts are in " +
+        "paise (1/100 of a rupee).",
+    },
+    tags: TAGS.map(({ name, description }) => ({ name, description })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "The access token from signup, login or refresh",
+        },
+        razorpaySignature: {
+          type: "apiKey",
+          in: "header",
+          name: "X-Razorpay-Signature",
+          description: "HMAC-SHA256 of the raw request body with the webhook secret, set by Razorpay",
+        },
+      },
+      schemas: SCHEMAS,
+      responses: Object.fromEntries(
+        Object.entries(RESPONSES).map(([name, { status, description }]) => [
+          name,
+          {
+            ...errorResponse(description),
+            ...(status === 429 && { headers: { "Retry-After": { schema: { type: "integer" } } } }),
+          },
+        ]),
+      ),
+    },
+  }
+}
+
+module.exports = { buildSpec, listRoutes }
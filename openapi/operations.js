@@ -0,0 +1,619 @@
+const { object, nullable, string, integer, number, boolean } = require("../validation")
+const { array, ref, date, dateTime, paise, anything, report } = require("./schemas")
+
+// What the routes cannot say about themselves, for each "METHOD /path" as Express registers it:
+//   summary, description  shown in the docs
+//   status                the success status, 200 unless given
+//   data                  schema of `data` in the { success, message, data } envelope, if it has one
+//   content               other media types the success response can take, e.g. text/csv
+//   responses             other responses by status: a description for an error in the usual envelope,
+//                         or a full OpenAPI response object
+//   security, parameters, requestBody  used as given instead of what the route's middleware implies
+// Auth, roles, rate limits and request schemas are read from the routes themselves (openapi/index.js).
+// A route missing here is missing from the spec, and test/openapi.test.js fails.
+
+const TAGS = [
+  { name: "System", prefix: "/api", description: "Health and this documentation" },
+  { name: "Courses", prefix: "/api/courses", description: "The published course catalogue" },
+  {
+    name: "Auth",
+    prefix: "/api/auth",
+    description:
+      "Accounts and sessions. Signing up or logging in returns a short-lived access token and a single-use " +
+      "refresh token; send the access token as `Authorization: Bearer <token>` and exchange the refresh token " +
+      "at /api/auth/refresh when a request answers 401.",
+  },
+  {
+    name: "Payments",
+    prefix: "/api/payments",
+    description:
+      "Buying a course with Razorpay Checkout: create an order, open Checkout with the returned order and " +
+      "keyId, then verify the payment to receive the coupon code. Amounts are in paise.",
+  },
+  { name: "Promotions", prefix: "/api/promotions", description: "Promotion codes" },
+  { name: "Referrals", prefix: "/api/referrals", description: "Referral codes and commissions" },
+  { name: "Ads", prefix: "/api/ads", description: "Ad placements on the website, with impression and click tracking" },
+  { name: "Admin", prefix: "/api/admin", description: "Staff tools. Actions that change data are audit logged." },
+  { name: "Reports", prefix: "/api/admin/reports", description: "Figures for the admin dashboard" },
+]
+
+// A page of `field`, as list routes answer with pageQuery()
+const paginated = (field, items, extra = {}) =>
+  object({ [field]: array(items), ...extra, pagination: ref("Pagination") })
+
+// The signed-in user alongside a new token pair
+const signedIn = { allOf: [object({ user: ref("UserSummary") }), ref("Tokens")] }
+
+const documentContent = {
+  "text/html": { schema: string({ description: "Printable document (the default, ?format=html)" }) },
+  "application/pdf": { schema: string({ format: "binary", description: "?format=pdf" }) },
+}
+const csvContent = { "text/csv": { schema: string({ description: "?format=csv, as a download" }) } }
+
+const OPERATIONS = {
+  // System
+  "GET /api/health": {
+    summary: "Check the server and database",
+    description: "Answers outside the usual envelope, with status OK or ERROR.",
+    responses: {
+      200: {
+        description: "The server can reach its database",
+        content: {
+          "application/json": {
+            schema: object({
+              status: string({ enum: ["OK"] }),
+              message: string(),
+              database: string(),
+              timestamp: dateTime(),
+              db_time: dateTime(),
+              environment: string(),
+              razorpay_configured: boolean(),
+            }),
+          },
+        },
+      },
+      500: "The database cannot be reached",
+    },
+  },
+  "GET /api/openapi.json": {
+    summary: "This OpenAPI document",
+    responses: {
+      200: {
+        description: "OpenAPI 3 document describing every API route",
+        content: { "application/json": { schema: anything("OpenAPI document") } },
+      },
+    },
+  },
+
+  // Courses
+  "GET /api/courses": {
+    summary: "List published courses",
+    description: "Filter by title or description (q), currency and price range, sorted by sort and order.",
+    data: paginated("courses", ref("Course")),
+  },
+  "GET /api/courses/:slug": {
+    summary: "Get a published course",
+    data: object({ course: ref("Course") }),
+    responses: { 404: "Course not found" },
+  },
+
+  // Auth
+  "POST /api/auth/signup": {
+    summary: "Register a new user",
+    description:
+      "Starts a session and sends a verification email. referralCode credits whoever shared it; an " +
+      "unusable code is ignored.",
+    status: 201,
+    data: signedIn,
+    responses: { 409: "An account with this email already exists" },
+  },
+  "POST /api/auth/login": {
+    summary: "Log in",
+    description: "Repeated failures lock the account for a while; a password reset lifts the lock.",
+    data: signedIn,
+    responses: { 401: "Invalid email or password", 403: "Account has been disabled", 423: "Account is locked" },
+  },
+  "GET /api/auth/me": {
+    summary: "Get the current user",
+    data: object({ user: ref("User") }),
+  },
+  "PATCH /api/auth/me": {
+    summary: "Update the current user's name and/or email",
+    description:
+      "A new email needs currentPassword and only replaces the old one once the link sent to it has been opened.",
+    data: object({ user: ref("UserSummary"), pendingEmail: nullable(string({ format: "email" })) }),
+    responses: {
+      400: "Nothing to update, or the current password is incorrect",
+      409: "Another account already has the new email",
+    },
+  },
+  "DELETE /api/auth/me": {
+    summary: "Delete the current user's account",
+    description: "Personal data is anonymized; payment records are kept for accounting.",
+  },
+  "GET /api/auth/me/export": {
+    summary: "Download everything stored about the current user",
+    description: "Sent as an attachment.",
+    data: object({
+      exportedAt: dateTime(),
+      profile: ref("Account"),
+      payments: array(ref("Payment")),
+      sessions: array(ref("Session")),
+    }),
+  },
+  "POST /api/auth/change-password": {
+    summary: "Change the password",
+    description: "Signs out every other session.",
+    data: object({ signedOutSessions: integer() }),
+  },
+  "POST /api/auth/forgot-password": {
+    summary: "Email a password reset link",
+    description: "Answers the same whether or not the account exists.",
+  },
+  "POST /api/auth/reset-password": {
+    summary: "Set a new password with a reset token",
+    description: "Signs out every session, verifies the email address and lifts any lockout.",
+    responses: { 400: "Reset link is invalid or has expired" },
+  },
+  "POST /api/auth/verify-email": {
+    summary: "Confirm an email address",
+    description: "For an email change this is when the account switches to the new address.",
+    data: object({ user: ref("UserSummary") }),
+    responses: { 409: "That email address is already used by another account" },
+  },
+  "POST /api/auth/verify-email/resend": {
+    summary: "Send a new verification email",
+  },
+  "POST /api/auth/refresh": {
+    summary: "Exchange a refresh token for a new token pair",
+    description: "Each refresh token works once; reusing one signs out its whole session.",
+    data: ref("Tokens"),
+    responses: { 401: "The refresh token is invalid, expired or already used, or its account is disabled or deleted" },
+  },
+  "POST /api/auth/logout": {
+    summary: "Sign out the current session",
+  },
+  "POST /api/auth/logout-all": {
+    summary: "Sign out every session, on all devices",
+    data: object({ sessions: integer({ description: "Sessions signed out" }) }),
+  },
+  "GET /api/auth/sessions": {
+    summary: "List the devices the current user is signed in on",
+    data: object({ sessions: array(ref("Session")) }),
+  },
+
+  // Payments
+  "POST /api/payments/create-order": {
+    summary: "Create a Razorpay order for a course",
+    description:
+      "Priced on the server, with discountCode applied. billingStateCode and billingGstin go on the GST invoice.",
+    data: object({
+      order: object(
+        {
+          id: string({ example: "order_Mz1a2b3c4d5e6f" }),
+          amount: paise(),
+          currency: string(),
+          receipt: string(),
+          status: string(),
+        },
+        { additionalProperties: true, description: "The order as Razorpay created it" },
+      ),
+      keyId: string({ description: "Public key id for Razorpay Checkout" }),
+      amount: paise(),
+      currency: string(),
+      discountAmount: paise(),
+      discountCode: nullable(string()),
+      course: object({ id: integer(), slug: string(), title: string() }),
+    }),
+    responses: {
+      404: "Course not found",
+      409: "The promotion, or the user's share of it, was used up while the order was being created",
+    },
+  },
+  "POST /api/payments/verify": {
+    summary: "Verify a payment and receive the course",
+    description: "Send what Razorpay Checkout returned. Verifying the same payment again returns the same result.",
+    data: ref("Entitlement"),
+    responses: {
+      400: "The signature does not match, or the payment cannot be verified",
+      404: "Payment record not found",
+      409: "The payment is not captured yet, the order was paid by another payment, or it was updated concurrently",
+    },
+  },
+  "GET /api/payments/history": {
+    summary: "The current user's payments, newest first",
+    data: object({ payments: array(ref("Payment")) }),
+  },
+  "GET /api/payments/billing-states": {
+    summary: "GST state codes a buyer can pick as their billing state",
+    data: object({ states: array(ref("GstState")) }),
+  },
+  "GET /api/payments/:id/invoice": {
+    summary: "GST tax invoice for a completed payment",
+    description: "For the buyer or staff. As HTML, PDF or JSON (?format=).",
+    data: object({ invoice: ref("Invoice"), document: anything("The invoice as printed") }),
+    content: documentContent,
+    responses: {
+      400: "The payment cannot be invoiced",
+      404: "Payment record not found",
+      503: "Invoicing is not configured",
+    },
+  },
+  "GET /api/payments/:id/credit-notes": {
+    summary: "Credit notes issued for the payment's refunds",
+    description: "For the buyer or staff.",
+    data: object({ creditNotes: array(ref("CreditNote")) }),
+    responses: { 404: "Payment record not found" },
+  },
+  "GET /api/payments/:id/credit-notes/:creditNoteId": {
+    summary: "One credit note",
+    description: "For the buyer or staff. As HTML, PDF or JSON (?format=).",
+    data: object({ creditNote: ref("CreditNote"), document: anything("The credit note as printed") }),
+    content: documentContent,
+    responses: { 404: "Payment record or credit note not found" },
+  },
+  "POST /api/payments/webhook": {
+    summary: "Receive a Razorpay webhook event",
+    description:
+      "Called by Razorpay, signed with RAZORPAY_WEBHOOK_SECRET. An event id already processed is acknowledged " +
+      "without being applied again; any other failure answers non-2xx so Razorpay retries.",
+    security: [{ razorpaySignature: [] }],
+    parameters: [
+      {
+        name: "X-Razorpay-Event-Id",
+        in: "header",
+        required: false,
+        schema: string(),
+        description: "Used to recognise redelivered events",
+      },
+    ],
+    data: object({ outcome: string({ example: "completed" }) }),
+    responses: { 400: "Invalid webhook signature" },
+  },
+
+  // Promotions
+  "POST /api/promotions/validate": {
+    summary: "Preview a course's price with a promotion code",
+    description: "The code is not reserved until an order is created with it.",
+    data: object({
+      code: string(),
+      description: nullable(string()),
+      endsAt: nullable(dateTime()),
+      originalAmount: paise(),
+      discountAmount: paise(),
+      amount: paise(),
+      currency: string(),
+      course: object({ id: integer(), title: string() }),
+    }),
+    responses: { 404: "Course not found" },
+  },
+
+  // Referrals
+  "GET /api/referrals/me": {
+    summary: "The current user's referral code and earnings",
+    data: object({
+      code: string(),
+      link: string(),
+      commissionPercent: number(),
+      payoutHoldDays: integer(),
+      referredUsers: integer(),
+      referredPurchases: integer(),
+      earned: paise(),
+      clawedBack: paise(),
+      paidOut: paise(),
+      balance: paise(),
+      payable: paise(),
+    }),
+  },
+  "GET /api/referrals/ledger": {
+    summary: "The current user's commissions, clawbacks and payouts, newest first",
+    data: paginated("entries", ref("LedgerEntry")),
+  },
+
+  // Ads
+  "GET /api/ads/:placement": {
+    summary: "Pick an ad for a placement",
+    description: "creative is null when none is live for this viewer.",
+    data: object({ creative: nullable(ref("Ad")) }),
+  },
+  "POST /api/ads/:id/impressions": {
+    summary: "Record that a viewer was shown an ad",
+    status: 201,
+    responses: { 404: "Ad not found" },
+  },
+  "GET /api/ads/:id/click": {
+    summary: "Record a click on an ad and redirect to its link",
+    description: "A click without a usable viewer is redirected without being counted.",
+    responses: {
+      302: {
+        description: "Redirect to the ad's link",
+        headers: { Location: { schema: string() } },
+      },
+      404: "Ad not found, or it has no link",
+    },
+  },
+
+  // Admin
+  "POST /api/admin/courses/:courseId/coupons": {
+    summary: "Bulk-load coupon codes",
+    status: 201,
+    requestBody: {
+      required: true,
+      content: { "text/csv": { schema: string({ description: "One coupon code per line, at most 1 MB" }) } },
+    },
+    data: object({
+      inserted: integer(),
+      duplicates: integer(),
+      invalid: array(string(), { description: "Lines that are not usable codes" }),
+      available: integer({ description: "Codes in stock for the course after the import" }),
+    }),
+    responses: { 404: "Course not found" },
+  },
+  "GET /api/admin/coupons/stock": {
+    summary: "Coupon stock per course",
+    data: object({
+      threshold: integer(),
+      courses: array(
+        object({
+          course_id: integer(),
+          title: string(),
+          available: integer(),
+          assigned: integer(),
+          expired: integer(),
+          revoked: integer(),
+          lowStock: boolean(),
+        }),
+      ),
+    }),
+  },
+  "POST /api/admin/coupons/:id/revoke": {
+    summary: "Revoke an unused or assigned coupon code",
+    data: object({ coupon: ref("Coupon") }),
+    responses: { 404: "No active coupon code with that id" },
+  },
+  "POST /api/admin/coupons/:id/reassign": {
+    summary: "Give a coupon code to another completed payment of the same course",
+    data: object({ coupon: ref("Coupon") }),
+    responses: { 400: "The coupon code cannot go to that payment", 404: "Coupon code or payment not found" },
+  },
+  "POST /api/admin/payments/:id/refunds": {
+    summary: "Refund a completed payment in full or in part",
+    description: "amount defaults to what is left to refund. Most refunds settle later, by webhook.",
+    status: 201,
+    data: object({ refund: ref("Refund"), paymentStatus: string() }),
+    responses: {
+      400: "The payment cannot be refunded, or not by that amount",
+      404: "Payment record not found",
+      409: "The payment was updated concurrently",
+    },
+  },
+  "POST /api/admin/payments/:id/status": {
+    summary: "Mark a payment as completed or failed",
+    description: "E.g. after checking it in the Razorpay dashboard. Completing it assigns a coupon code.",
+    data: object({ payment: ref("PaymentRecord"), couponCode: nullable(string()) }),
+    responses: {
+      400: "The payment cannot move to that status",
+      404: "Payment record not found",
+      409: "The payment was updated concurrently",
+    },
+  },
+  "GET /api/admin/reconciliation-runs": {
+    summary: "Reconciliation runs against Razorpay, newest first",
+    data: paginated("runs", ref("ReconciliationRun")),
+  },
+  "POST /api/admin/reconciliation-runs": {
+    summary: "Reconcile with Razorpay now",
+    description: "With dryRun, reports what would be fixed without changing anything.",
+    status: 201,
+    data: object({ run: ref("ReconciliationRun") }),
+  },
+  "GET /api/admin/reconciliation-runs/:id": {
+    summary: "One reconciliation run, with what it fixed and what needs review",
+    data: object({ run: ref("ReconciliationRun") }),
+    responses: { 404: "Reconciliation run not found" },
+  },
+  "GET /api/admin/promotions": {
+    summary: "List promotions, newest first",
+    data: paginated("promotions", ref("Promotion")),
+  },
+  "POST /api/admin/promotions": {
+    summary: "Create a promotion",
+    description: "Exactly one of percentOff and amountOff. Without courseId it applies to every course.",
+    status: 201,
+    data: object({ promotion: ref("Promotion") }),
+    responses: { 404: "Course not found", 409: "A promotion with that code already exists" },
+  },
+  "PATCH /api/admin/promotions/:id": {
+    summary: "Change a promotion, or switch it off",
+    data: object({ promotion: ref("Promotion") }),
+    responses: { 404: "Promotion or course not found" },
+  },
+  "GET /api/admin/ads": {
+    summary: "List ad creatives with their impressions, clicks and click-through rate",
+    data: paginated("creatives", ref("Creative")),
+  },
+  "POST /api/admin/ads": {
+    summary: "Create an ad creative",
+    description: "Needs html or imageUrl.",
+    status: 201,
+    data: object({ creative: ref("Creative") }),
+  },
+  "PATCH /api/admin/ads/:id": {
+    summary: "Change an ad creative, or switch it off",
+    data: object({ creative: ref("Creative") }),
+    responses: { 404: "Ad not found" },
+  },
+  "GET /api/admin/ads/:id/stats": {
+    summary: "An ad creative's impressions, clicks and click-through rate per day",
+    data: object({
+      creative: ref("Creative"),
+      from: date(),
+      to: date(),
+      totals: object({ impressions: integer(), clicks: integer(), click_through_rate: nullable(number()) }),
+      days: array(
+        object({
+          date: date(),
+          impressions: integer(),
+          clicks: integer(),
+          click_through_rate: nullable(number()),
+        }),
+      ),
+    }),
+    responses: { 404: "Ad not found" },
+  },
+  "GET /api/admin/affiliates": {
+    summary: "Affiliates with unsettled referral earnings, largest payable amount first",
+    data: paginated("affiliates", ref("Affiliate"), { payoutHoldDays: integer() }),
+  },
+  "GET /api/admin/affiliates/:id/ledger": {
+    summary: "An affiliate's referral totals and ledger entries, newest first",
+    data: object({
+      user: object({ id: integer(), name: string(), email: string() }, { additionalProperties: true }),
+      summary: ref("ReferralSummary"),
+      entries: array(ref("LedgerEntry")),
+      pagination: ref("Pagination"),
+    }),
+    responses: { 404: "User not found" },
+  },
+  "POST /api/admin/affiliates/:id/payouts": {
+    summary: "Record a payout made to an affiliate",
+    description: "amount must equal what the affiliate can be paid now.",
+    status: 201,
+    data: object({ payout: ref("Payout") }),
+    responses: { 404: "User not found", 409: "The amount is not what the affiliate can be paid now" },
+  },
+  "GET /api/admin/users": {
+    summary: "Search users by name or email and role",
+    data: paginated("users", ref("Account")),
+  },
+  "GET /api/admin/users/:id": {
+    summary: "A user's account details",
+    data: object({ user: ref("Account") }),
+    responses: { 404: "User not found" },
+  },
+  "GET /api/admin/users/:id/payments": {
+    summary: "A user's payments, newest first",
+    data: object({ payments: array(ref("Payment")) }),
+    responses: { 404: "User not found" },
+  },
+  "PATCH /api/admin/users/:id/role": {
+    summary: "Change a user's role",
+    data: object({ user: ref("Account") }),
+    responses: { 404: "User not found" },
+  },
+  "POST /api/admin/users/:id/disable": {
+    summary: "Disable an account and sign it out everywhere",
+    data: object({ user: ref("Account") }),
+    responses: { 404: "User not found", 409: "The account has been deleted" },
+  },
+  "POST /api/admin/users/:id/enable": {
+    summary: "Re-enable a disabled account",
+    data: object({ user: ref("Account") }),
+    responses: { 404: "User not found", 409: "The account has been deleted" },
+  },
+  "POST /api/admin/users/:id/unlock": {
+    summary: "Lift a login lockout",
+    responses: { 404: "User not found" },
+  },
+  "GET /api/admin/audit-log": {
+    summary: "Staff actions, newest first",
+    data: paginated("entries", ref("AuditEntry")),
+  },
+
+  // Reports
+  "GET /api/admin/reports/revenue/daily": {
+    summary: "Orders and revenue for each day in the range",
+    data: report(
+      object({
+        date: date(),
+        orders: integer(),
+        gross_amount: paise(),
+        discount_amount: paise(),
+        refunded_amount: paise(),
+        net_amount: paise(),
+      }),
+    ),
+    content: csvContent,
+  },
+  "GET /api/admin/reports/revenue/courses": {
+    summary: "Orders and revenue for each course in the range",
+    data: report(
+      object({
+        course_id: integer(),
+        title: string(),
+        currency: string(),
+        orders: integer(),
+        gross_amount: paise(),
+        discount_amount: paise(),
+        refunded_amount: paise(),
+        net_amount: paise(),
+      }),
+    ),
+    content: csvContent,
+  },
+  "GET /api/admin/reports/funnel": {
+    summary: "How many users who signed up in the range went on to order and pay",
+    data: report(
+      object({
+        step: string({ enum: ["signed_up", "order_created", "payment_verified"] }),
+        users: integer(),
+        percent: number({ description: "Of the users who signed up" }),
+      }),
+    ),
+    content: csvContent,
+  },
+  "GET /api/admin/reports/failed-orders": {
+    summary: "Orders created in the range that failed or were abandoned",
+    data: report(
+      object({
+        payment_id: integer(),
+        razorpay_order_id: nullable(string()),
+        email: string(),
+        course_title: nullable(string()),
+        amount: paise(),
+        currency: string(),
+        discount_code: nullable(string()),
+        outcome: string({ enum: ["failed", "abandoned"] }),
+        failure_reason: nullable(string()),
+        created_at: dateTime(),
+      }),
+      { abandonedAfterMinutes: integer(), limit: integer({ description: "The most rows a report returns" }) },
+    ),
+    content: csvContent,
+  },
+  "GET /api/admin/reports/signups": {
+    summary: "Users who signed up in the range, newest first",
+    data: report(
+      object({
+        id: integer(),
+        name: string(),
+        email: string(),
+        role: string(),
+        email_verified_at: nullable(dateTime()),
+        purchases: integer(),
+        created_at: dateTime(),
+      }),
+      { limit: integer({ description: "The most rows a report returns" }) },
+    ),
+    content: csvContent,
+  },
+  "GET /api/admin/reports/coupons": {
+    summary: "Coupon codes remaining per course",
+    description: "Current stock; the date range does not apply.",
+    data: report(
+      object({
+        course_id: integer(),
+        title: string(),
+        available: integer(),
+        assigned: integer(),
+        expired: integer(),
+        revoked: integer(),
+        low_stock: boolean(),
+      }),
+      { threshold: integer() },
+    ),
+    content: csvContent,
+  },
+}
+
+module.exports = { TAGS, OPERATIONS }
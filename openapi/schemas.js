@@ -0,0 +1,363 @@
+const { object, optional, nullable, string, integer, number, boolean } = require("../validation")
+
+// Response schemas for the API documentation, built with the same helpers as the request schemas.
+// Every field a row always has is required, nullable where the column is. Amounts are in paise.
+
+const array = (items, options = {}) => ({ type: "array", items, ...options })
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` })
+const dateTime = () => string({ format: "date-time" })
+const date = () => string({ format: "date" })
+const paise = (options = {}) => integer({ description: "In paise", ...options })
+const anything = (description) => object({}, { additionalProperties: true, description })
+
+const PAYMENT_STATUSES = [
+  "created",
+  "authorized",
+  "completed",
+  "failed",
+  "refund_pending",
+  "partially_refunded",
+  "refunded",
+]
+
+const SCHEMAS = {
+  Error: object({
+    success: boolean({ enum: [false] }),
+    message: string(),
+    code: string({ example: "VALIDATION_ERROR" }),
+    details: optional(
+      array(
+        object({
+          in: string({ enum: ["params", "query", "body"] }),
+          field: string(),
+          message: string(),
+        }),
+        { description: "One entry per field that failed validation" },
+      ),
+    ),
+    requestId: string({ description: "Also sent as X-Request-Id; quote it when reporting a problem" }),
+  }),
+
+  Pagination: object({
+    page: integer(),
+    limit: integer(),
+    total: integer(),
+    totalPages: integer(),
+  }),
+
+  UserSummary: object({
+    id: integer(),
+    name: string(),
+    email: string({ format: "email" }),
+    email_verified_at: nullable(dateTime()),
+  }),
+
+  User: object({
+    id: integer(),
+    name: string(),
+    email: string({ format: "email" }),
+    role: string({ enum: ["learner", "support", "admin"] }),
+    email_verified_at: nullable(dateTime()),
+    disabled_at: nullable(dateTime()),
+  }),
+
+  Account: object({
+    id: integer(),
+    name: string(),
+    email: string({ format: "email" }),
+    role: string({ enum: ["learner", "support", "admin"] }),
+    email_verified_at: nullable(dateTime()),
+    disabled_at: nullable(dateTime()),
+    disabled_reason: nullable(string()),
+    referral_code: nullable(string()),
+    referred_by: nullable(integer()),
+    failed_login_attempts: integer(),
+    locked_until: nullable(dateTime()),
+    deleted_at: nullable(dateTime()),
+    created_at: dateTime(),
+    updated_at: dateTime(),
+  }),
+
+  Tokens: object({
+    token: string({ description: "Access token (JWT), sent as `Authorization: Bearer <token>`" }),
+    refreshToken: string({ description: "Single use; exchange it at /api/auth/refresh for a new pair" }),
+    expiresIn: string({ description: "Access token lifetime", example: "15m" }),
+    refreshTokenExpiresAt: dateTime(),
+  }),
+
+  Session: object({
+    id: string({ format: "uuid" }),
+    user_agent: nullable(string()),
+    ip_address: nullable(string()),
+    signed_in_at: dateTime(),
+    last_seen_at: dateTime(),
+    expires_at: dateTime(),
+    current: optional(boolean({ description: "Whether this is the session making the request" })),
+  }),
+
+  Course: object({
+    id: integer(),
+    slug: string(),
+    title: string(),
+    description: nullable(string()),
+    price: paise(),
+    original_price: nullable(paise()),
+    currency: string({ example: "INR" }),
+    redirect_url: nullable(string()),
+    status: string({ enum: ["published"] }),
+    thumbnail_url: nullable(string()),
+    banner_url: nullable(string()),
+    created_at: dateTime(),
+  }),
+
+  Payment: object({
+    id: integer(),
+    course_id: nullable(integer()),
+    course_title: nullable(string()),
+    amount: paise(),
+    currency: string(),
+    discount_amount: paise(),
+    refunded_amount: paise(),
+    status: string({ enum: PAYMENT_STATUSES }),
+    verified: boolean(),
+    created_at: dateTime(),
+    razorpay_payment_id: nullable(string()),
+    coupon_code: nullable(string()),
+    coupon_status: nullable(string({ enum: ["assigned", "expired", "revoked"] })),
+    redirect_url: nullable(string({ description: "Only once the payment is completed" })),
+    invoice_number: nullable(string()),
+  }),
+
+  PaymentRecord: object(
+    {
+      id: integer(),
+      user_id: integer(),
+      course_id: nullable(integer()),
+      razorpay_order_id: nullable(string()),
+      razorpay_payment_id: nullable(string()),
+      amount: paise(),
+      currency: string(),
+      discount_code: nullable(string()),
+      discount_amount: paise(),
+      refunded_amount: paise(),
+      status: string({ enum: PAYMENT_STATUSES }),
+      verified: boolean(),
+      verified_at: nullable(dateTime()),
+      failure_reason: nullable(string()),
+      created_at: dateTime(),
+      updated_at: dateTime(),
+    },
+    { additionalProperties: true },
+  ),
+
+  Entitlement: object({
+    couponCode: nullable(string({ description: "Null while no code is in stock; it is emailed once assigned" })),
+    redirectUrl: nullable(string()),
+    course: object({ id: integer(), title: string() }),
+  }),
+
+  GstState: object({ code: string({ example: "29" }), name: string({ example: "Karnataka" }) }),
+
+  Invoice: object(
+    {
+      id: integer(),
+      payment_id: integer(),
+      number: string({ example: "INV/2526/000001" }),
+      issued_at: dateTime(),
+      seller: anything("Seller name, address and GSTIN"),
+      buyer: anything("Buyer name, email, state and GSTIN"),
+      description: string(),
+      sac_code: string(),
+      currency: string(),
+      gst_rate: integer(),
+      discount_amount: paise(),
+      taxable_amount: paise(),
+      cgst_amount: paise(),
+      sgst_amount: paise(),
+      igst_amount: paise(),
+      total_amount: paise(),
+    },
+    { additionalProperties: true },
+  ),
+
+  CreditNote: object(
+    {
+      id: integer(),
+      invoice_id: integer(),
+      refund_id: integer(),
+      number: nullable(string({ example: "CN/2526/000001" })),
+      issued_at: nullable(dateTime()),
+      reason: nullable(string()),
+      taxable_amount: paise(),
+      cgst_amount: paise(),
+      sgst_amount: paise(),
+      igst_amount: paise(),
+      total_amount: paise(),
+      razorpay_refund_id: optional(string()),
+    },
+    { additionalProperties: true },
+  ),
+
+  Ad: object({
+    id: integer(),
+    placement: string(),
+    html: nullable(string()),
+    imageUrl: nullable(string()),
+    clickUrl: nullable(string({ description: "Open with ?viewer= to count the click" })),
+    minDisplaySeconds: integer({ description: "How long the ad must be in view before recording an impression" }),
+  }),
+
+  Creative: object(
+    {
+      id: integer(),
+      placement: string(),
+      name: string(),
+      html: nullable(string()),
+      image_url: nullable(string()),
+      link_url: nullable(string()),
+      weight: integer(),
+      starts_at: nullable(dateTime()),
+      ends_at: nullable(dateTime()),
+      frequency_cap: nullable(integer()),
+      min_display_seconds: integer(),
+      active: boolean(),
+      created_by: nullable(integer()),
+      created_at: dateTime(),
+      updated_at: dateTime(),
+      impressions: optional(integer()),
+      clicks: optional(integer()),
+      click_through_rate: optional(nullable(number())),
+    },
+    { additionalProperties: true },
+  ),
+
+  Promotion: object({
+    id: integer(),
+    code: string(),
+    description: nullable(string()),
+    course_id: nullable(integer()),
+    course_title: optional(nullable(string())),
+    percent_off: nullable(integer()),
+    amount_off: nullable(paise()),
+    starts_at: nullable(dateTime()),
+    ends_at: nullable(dateTime()),
+    max_redemptions: nullable(integer()),
+    max_redemptions_per_user: nullable(integer()),
+    redemption_count: integer({ description: "Uses currently held, by reserved orders or completed payments" }),
+    active: boolean(),
+    created_by: nullable(integer()),
+    created_at: dateTime(),
+    updated_at: dateTime(),
+  }),
+
+  Coupon: object({
+    id: integer(),
+    course_id: integer(),
+    code: string(),
+    status: string({ enum: ["available", "assigned", "expired", "revoked"] }),
+    payment_id: nullable(integer()),
+    assigned_at: optional(nullable(dateTime())),
+    expires_at: optional(nullable(dateTime())),
+    revoked_at: optional(nullable(dateTime())),
+  }),
+
+  Refund: object(
+    {
+      id: integer(),
+      payment_id: integer(),
+      razorpay_refund_id: string(),
+      amount: paise(),
+      status: string({ enum: ["pending", "processed", "failed"] }),
+      reason: nullable(string()),
+      created_by: nullable(integer()),
+      processed_at: nullable(dateTime()),
+      created_at: dateTime(),
+      updated_at: dateTime(),
+    },
+    { additionalProperties: true },
+  ),
+
+  ReconciliationRun: object({
+    id: integer(),
+    status: string({ enum: ["running", "finished", "failed"] }),
+    dry_run: boolean(),
+    window_start: dateTime(),
+    window_end: dateTime(),
+    order_ttl_minutes: integer(),
+    orders_checked: integer(),
+    payments_checked: integer(),
+    fixes: array(anything("A payment brought in line with Razorpay")),
+    needs_review: array(anything("A mismatch left for a person to look at")),
+    error: nullable(string()),
+    started_at: dateTime(),
+    finished_at: nullable(dateTime()),
+  }),
+
+  ReferralSummary: object({
+    earned: paise(),
+    clawed_back: paise(),
+    paid_out: paise(),
+    balance: paise({ description: "Unsettled earnings, in paise" }),
+    payable: paise({ description: "Unsettled earnings past the payout hold, in paise" }),
+    referred_purchases: integer(),
+    referred_users: integer(),
+  }),
+
+  LedgerEntry: object({
+    id: integer(),
+    entry_type: string({ enum: ["commission", "clawback"] }),
+    payment_id: integer(),
+    commission_percent: integer(),
+    amount: paise({ description: "In paise; negative for a clawback" }),
+    created_at: dateTime(),
+    course_title: nullable(string()),
+    payout_id: nullable(integer()),
+    payout_reference: nullable(string()),
+    settled_at: nullable(dateTime()),
+  }),
+
+  Affiliate: object({
+    id: integer(),
+    name: string(),
+    email: string({ format: "email" }),
+    referral_code: nullable(string()),
+    balance: paise(),
+    payable: paise(),
+    entries: integer({ description: "Unsettled ledger entries" }),
+  }),
+
+  Payout: object({
+    id: integer(),
+    affiliate_id: integer(),
+    amount: paise(),
+    reference: string(),
+    note: nullable(string()),
+    settled_by: nullable(integer()),
+    settled_at: dateTime(),
+  }),
+
+  AuditEntry: object({
+    id: integer(),
+    actor_id: nullable(integer()),
+    actor_email: nullable(string()),
+    action: string({ example: "payment.refund" }),
+    target_type: string(),
+    target_id: nullable(string()),
+    before: nullable(anything("The changed fields before the action")),
+    after: nullable(anything("The changed fields after the action")),
+    reason: nullable(string()),
+    ip_address: nullable(string()),
+    created_at: dateTime(),
+  }),
+}
+
+// A report's JSON form: the date range it covers and one object per row of its CSV form
+const report = (row, extra = {}) =>
+  object({
+    from: date(),
+    to: date(),
+    ...extra,
+    rows: array(row),
+  })
+
+module.exports = { SCHEMAS, array, ref, dateTime, date, paise, anything, report }
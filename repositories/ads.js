@@ -0,0 +1,130 @@
+const { sql } = require("../db")
+
+// Columns an admin may set; names come from code, never from request input
+const EDITABLE_COLUMNS = [
+  "placement",
+  "name",
+  "html",
+  "image_url",
+  "link_url",
+  "weight",
+  "starts_at",
+  "ends_at",
+  "frequency_cap",
+  "min_display_seconds",
+  "active",
+]
+
+// Impression and click totals per creative
+const EVENT_TOTALS = `
+  SELECT creative_id,
+         COUNT(CASE WHEN event_type = 'impression' THEN 1 END)::int AS impressions,
+         COUNT(CASE WHEN event_type = 'click' THEN 1 END)::int AS clicks
+  FROM ad_events
+  GROUP BY creative_id
+`
+
+async function create(creative, createdBy) {
+  const columns = EDITABLE_COLUMNS.filter((column) => creative[column] !== undefined)
+  const params = [createdBy, ...columns.map((column) => creative[column])]
+
+  const result = await sql(
+    `INSERT INTO ad_creatives (created_by${columns.map((column) => `, ${column}`).join("")})
+     VALUES ($1${columns.map((column, index) => `, $${index + 2}`).join("")})
+     RETURNING *`,
+    params,
+  )
+  return result[0]
+}
+
+// Apply the given editable columns. Resolves to the updated row, or null if there is none.
+async function update(id, changes) {
+  const params = [id]
+  const assignments = EDITABLE_COLUMNS.filter((column) => changes[column] !== undefined).map((column) => {
+    params.push(changes[column])
+    return `${column} = $${params.length}`
+  })
+
+  const result = await sql(
+    `UPDATE ad_creatives
+     SET ${[...assignments, "updated_at = NOW()"].join(", ")}
+     WHERE id = $1
+     RETURNING *`,
+    params,
+  )
+  return result[0] || null
+}
+
+async function findById(id) {
+  const result = await sql`SELECT * FROM ad_creatives WHERE id = ${id}`
+  return result[0] || null
+}
+
+// Creatives by placement, then newest first, with their impression and click totals.
+// Resolves to { creatives, total }.
+async function list({ placement, limit, offset }) {
+  const params = placement ? [placement] : []
+  const where = placement ? "WHERE c.placement = $1" : ""
+
+  const [creatives, count] = await Promise.all([
+    sql(
+      `SELECT c.*, COALESCE(t.impressions, 0)::int AS impressions, COALESCE(t.clicks, 0)::int AS clicks
+       FROM ad_creatives c
+       LEFT JOIN (${EVENT_TOTALS}) t ON t.creative_id = c.id
+       ${where}
+       ORDER BY c.placement, c.created_at DESC, c.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset],
+    ),
+    sql(`SELECT COUNT(*)::int AS total FROM ad_creatives c ${where}`, params),
+  ])
+  return { creatives, total: count[0].total }
+}
+
+// The placement's creatives that are active, within their schedule and, for this viewer, under
+// their frequency cap for the last 24 hours
+async function listLive(placement, viewerId) {
+  return sql(
+    `SELECT c.*
+     FROM ad_creatives c
+     LEFT JOIN (
+       SELECT creative_id, COUNT(*)::int AS views
+       FROM ad_events
+       WHERE viewer_id = $2 AND event_type = 'impression' AND created_at > CURRENT_TIMESTAMP - '24 hours'::interval
+       GROUP BY creative_id
+     ) v ON v.creative_id = c.id
+     WHERE c.placement = $1
+       AND c.active
+       AND (c.starts_at IS NULL OR c.starts_at <= CURRENT_TIMESTAMP)
+       AND (c.ends_at IS NULL OR c.ends_at > CURRENT_TIMESTAMP)
+       AND (c.frequency_cap IS NULL OR COALESCE(v.views, 0) < c.frequency_cap)
+     ORDER BY c.id`,
+    [placement, viewerId],
+  )
+}
+
+async function recordEvent(creativeId, eventType, viewerId) {
+  await sql`
+    INSERT INTO ad_events (creative_id, event_type, viewer_id)
+    VALUES (${creativeId}, ${eventType}, ${viewerId})
+  `
+}
+
+// Impressions and clicks per epoch day over [start, end), for one creative
+async function eventsByDay(creativeId, { start, end }) {
+  return sql(
+    `SELECT x.day,
+            COUNT(CASE WHEN x.event_type = 'impression' THEN 1 END)::int AS impressions,
+            COUNT(CASE WHEN x.event_type = 'click' THEN 1 END)::int AS clicks
+     FROM (
+       SELECT (EXTRACT(EPOCH FROM created_at)::bigint / 86400)::int AS day, event_type
+       FROM ad_events
+       WHERE creative_id = $1 AND created_at >= $2::timestamp AND created_at < $3::timestamp
+     ) x
+     GROUP BY x.day
+     ORDER BY x.day`,
+    [creativeId, start, end],
+  )
+}
+
+module.exports = { EDITABLE_COLUMNS, create, update, findById, list, listLive, recordEvent, eventsByDay }
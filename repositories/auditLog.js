@@ -0,0 +1,49 @@
+const { sql } = require("../db")
+
+async function record({ actorId, action, targetType, targetId, before = null, after = null, reason = null, ipAddress }) {
+  const result = await sql`
+    INSERT INTO audit_log (actor_id, action, target_type, target_id, before, after, reason, ip_address)
+    VALUES (${actorId}, ${action}, ${targetType}, ${targetId === undefined ? null : String(targetId)},
+            ${before && JSON.stringify(before)}, ${after && JSON.stringify(after)}, ${reason}, ${ipAddress})
+    RETURNING id
+  `
+  return result[0]
+}
+
+// Newest first, optionally narrowed to one actor, action or target.
+// Resolves to { entries, total } where total ignores limit/offset.
+async function list({ actorId, action, targetType, targetId, limit, offset }) {
+  const conditions = []
+  const params = []
+  const filters = {
+    "a.actor_id": actorId,
+    "a.action": action,
+    "a.target_type": targetType,
+    "a.target_id": targetId === undefined ? undefined : String(targetId),
+  }
+
+  for (const [column, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== "") {
+      params.push(value)
+      conditions.push(`${column} = $${params.length}`)
+    }
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+  const countResult = await sql(`SELECT COUNT(*)::int AS total FROM audit_log a ${where}`, params)
+  const entries = await sql(
+    `SELECT a.id, a.actor_id, u.email AS actor_email, a.action, a.target_type, a.target_id,
+            a.before, a.after, a.reason, a.ip_address, a.created_at
+     FROM audit_log a
+     LEFT JOIN users u ON u.id = a.actor_id
+     ${where}
+     ORDER BY a.created_at DESC, a.id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset],
+  )
+
+  return { entries, total: countResult[0].total }
+}
+
+module.exports = { record, list }
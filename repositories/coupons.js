@@ -0,0 +1,150 @@
+const { sql } = require("../db")
+
+async function findById(id) {
+  const result = await sql`
+    SELECT id, course_id, code, status, payment_id, assigned_at, expires_at FROM coupon_codes WHERE id = ${id}
+  `
+  return result[0] || null
+}
+
+async function findByPaymentId(paymentId) {
+  const result = await sql`
+    SELECT id, code, status FROM coupon_codes WHERE payment_id = ${paymentId}
+  `
+  return result[0] || null
+}
+
+// Claim one unused, unexpired code of a course for a payment. The status guard on the update
+// means two concurrent claims can never take the same row; the loser simply tries the next code.
+// Resolves to the code, or null when out of stock; rejects with a unique violation (23505) if the
+// payment already holds a code.
+async function claimForPayment(paymentId, courseId) {
+  for (;;) {
+    const candidates = await sql`
+      SELECT id FROM coupon_codes
+      WHERE course_id = ${courseId}
+        AND status = 'available'
+        AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+      ORDER BY id
+      LIMIT 1
+    `
+
+    if (candidates.length === 0) {
+      return null
+    }
+
+    const result = await sql`
+      UPDATE coupon_codes
+      SET status = 'assigned', payment_id = ${paymentId}, assigned_at = NOW(), updated_at = NOW()
+      WHERE id = ${candidates[0].id} AND status = 'available'
+      RETURNING code
+    `
+
+    if (result.length > 0) {
+      return result[0].code
+    }
+  }
+}
+
+async function countAvailable(courseId) {
+  const result = await sql`
+    SELECT COUNT(*)::int AS available
+    FROM coupon_codes
+    WHERE course_id = ${courseId}
+      AND status = 'available'
+      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+  `
+  return result[0].available
+}
+
+// Insert codes for a course, skipping ones it already has. Resolves to the number inserted.
+async function insertMany(courseId, coupons) {
+  let inserted = 0
+
+  // Insert in batches so a large upload stays within parameter limits
+  for (let i = 0; i < coupons.length; i += 500) {
+    const batch = coupons.slice(i, i + 500)
+    const params = []
+    const values = batch.map((coupon) => {
+      params.push(courseId, coupon.code, coupon.expiresAt)
+      return `($${params.length - 2}, $${params.length - 1}, $${params.length})`
+    })
+
+    const result = await sql(
+      `INSERT INTO coupon_codes (course_id, code, expires_at)
+       VALUES ${values.join(", ")}
+       ON CONFLICT (course_id, code) DO NOTHING
+       RETURNING id`,
+      params,
+    )
+    inserted += result.length
+  }
+
+  return inserted
+}
+
+// Flip codes past their expiry so stock counts reflect what can still be handed out
+async function expireOverdue() {
+  await sql`
+    UPDATE coupon_codes
+    SET status = 'expired', updated_at = NOW()
+    WHERE status = 'available' AND expires_at <= CURRENT_TIMESTAMP
+  `
+}
+
+async function stockByCourse() {
+  return sql`
+    SELECT c.id AS course_id, c.title,
+           COUNT(CASE WHEN cc.status = 'available' THEN 1 END)::int AS available,
+           COUNT(CASE WHEN cc.status = 'assigned' THEN 1 END)::int AS assigned,
+           COUNT(CASE WHEN cc.status = 'expired' THEN 1 END)::int AS expired,
+           COUNT(CASE WHEN cc.status = 'revoked' THEN 1 END)::int AS revoked
+    FROM courses c
+    LEFT JOIN coupon_codes cc ON cc.course_id = c.id
+    GROUP BY c.id, c.title
+    ORDER BY c.id
+  `
+}
+
+async function revoke(id, reason) {
+  const result = await sql`
+    UPDATE coupon_codes
+    SET status = 'revoked', revoked_at = NOW(), revoke_reason = ${reason || null}, updated_at = NOW()
+    WHERE id = ${id} AND status IN ('available', 'assigned')
+    RETURNING id, course_id, code, status, payment_id, revoked_at
+  `
+  return result[0] || null
+}
+
+async function revokeForPayment(paymentId, reason) {
+  await sql`
+    UPDATE coupon_codes
+    SET status = 'revoked', revoked_at = NOW(), revoke_reason = ${reason}, updated_at = NOW()
+    WHERE payment_id = ${paymentId} AND status = 'assigned'
+  `
+}
+
+// Hand an unused or assigned code to a different payment. Resolves to null if the code is no longer
+// usable; rejects with a unique violation (23505) if that payment already holds a code.
+async function reassign(id, paymentId) {
+  const result = await sql`
+    UPDATE coupon_codes
+    SET status = 'assigned', payment_id = ${paymentId}, assigned_at = NOW(), updated_at = NOW()
+    WHERE id = ${id} AND status IN ('available', 'assigned')
+    RETURNING id, course_id, code, status, payment_id, assigned_at, expires_at
+  `
+  return result[0] || null
+}
+
+module.exports = {
+  findById,
+  findByPaymentId,
+  claimForPayment,
+  countAvailable,
+  insertMany,
+  expireOverdue,
+  stockByCourse,
+  revoke,
+  revokeForPayment,
+  reassign,
+}
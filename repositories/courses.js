@@ -0,0 +1,89 @@
+const { sql } = require("../db")
+
+const SORT_COLUMNS = {
+  price: "price",
+  title: "title",
+  created_at: "created_at",
+}
+
+const PUBLIC_FIELDS = `
+  id, slug, title, description, price, original_price, currency,
+  redirect_url, status, thumbnail_url, banner_url, created_at
+`
+
+// List published courses. Filters are optional; `sort` falls back to created_at.
+// Resolves to { courses, total } where total ignores limit/offset.
+async function listPublished({ q, currency, minPrice, maxPrice, sort, order, limit, offset }) {
+  const sortColumn = SORT_COLUMNS[sort] || "created_at"
+  const sortOrder = order === "asc" ? "ASC" : "DESC"
+
+  const conditions = ["status = 'published'"]
+  const params = []
+
+  if (q) {
+    params.push(`%${q}%`)
+    conditions.push(`(title ILIKE $${params.length} OR description ILIKE $${params.length})`)
+  }
+
+  if (currency) {
+    params.push(currency)
+    conditions.push(`currency = $${params.length}`)
+  }
+
+  if (Number.isFinite(minPrice)) {
+    params.push(minPrice)
+    conditions.push(`price >= $${params.length}`)
+  }
+
+  if (Number.isFinite(maxPrice)) {
+    params.push(maxPrice)
+    conditions.push(`price <= $${params.length}`)
+  }
+
+  const where = conditions.join(" AND ")
+
+  const countResult = await sql(`SELECT COUNT(*)::int AS total FROM courses WHERE ${where}`, params)
+  const courses = await sql(
+    `SELECT ${PUBLIC_FIELDS}
+     FROM courses
+     WHERE ${where}
+     ORDER BY ${sortColumn} ${sortOrder}, id ${sortOrder}
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset],
+  )
+
+  return { courses, total: countResult[0].total }
+}
+
+async function findPublishedBySlug(slug) {
+  const result = await sql(
+    `SELECT ${PUBLIC_FIELDS}
+     FROM courses
+     WHERE slug = $1 AND status = 'published'`,
+    [slug],
+  )
+  return result[0] || null
+}
+
+// Pricing fields for a course that can currently be bought
+async function findPurchasableById(id) {
+  const result = await sql`
+    SELECT id, slug, title, price, currency
+    FROM courses
+    WHERE id = ${id} AND status = 'published'
+  `
+  return result[0] || null
+}
+
+async function exists(id) {
+  const result = await sql`SELECT id FROM courses WHERE id = ${id}`
+  return result.length > 0
+}
+
+module.exports = {
+  SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  listPublished,
+  findPublishedBySlug,
+  findPurchasableById,
+  exists,
+}
@@ -0,0 +1,62 @@
+const { sql } = require("../db")
+
+// Claim the credit note for a refund, without a number yet. Resolves to the new row, or null
+// when the refund already has a credit note.
+async function claim(creditNote) {
+  const result = await sql`
+    INSERT INTO credit_notes (invoice_id, refund_id, reason, taxable_amount, cgst_amount, sgst_amount,
+                              igst_amount, total_amount)
+    VALUES (${creditNote.invoiceId}, ${creditNote.refundId}, ${creditNote.reason}, ${creditNote.taxableAmount},
+            ${creditNote.cgstAmount}, ${creditNote.sgstAmount}, ${creditNote.igstAmount}, ${creditNote.totalAmount})
+    ON CONFLICT (refund_id) DO NOTHING
+    RETURNING *
+  `
+  return result[0] || null
+}
+
+// Start numbering a claimed credit note by stamping its issue time, inside the transaction `query`
+// belongs to. The row stays locked until that transaction ends, and anyone else starting then finds
+// it stamped. Resolves to false if numbering had already started.
+async function startNumbering(id, issuedAt, query) {
+  const result = await query`
+    UPDATE credit_notes SET issued_at = ${issuedAt}
+    WHERE id = ${id} AND number IS NULL AND issued_at IS NULL
+    RETURNING id
+  `
+  return result.length > 0
+}
+
+// Number a credit note, in the transaction that started numbering it. Resolves to null if it had
+// already been numbered.
+async function assignNumber(id, { number, financialYear, sequenceNumber }, query) {
+  const result = await query`
+    UPDATE credit_notes
+    SET number = ${number}, financial_year = ${financialYear}, sequence_number = ${sequenceNumber}
+    WHERE id = ${id} AND number IS NULL
+    RETURNING *
+  `
+  return result[0] || null
+}
+
+async function findById(id) {
+  const result = await sql`SELECT * FROM credit_notes WHERE id = ${id}`
+  return result[0] || null
+}
+
+async function findByRefundId(refundId) {
+  const result = await sql`SELECT * FROM credit_notes WHERE refund_id = ${refundId}`
+  return result[0] || null
+}
+
+// Oldest first, with the refund each note was issued for
+async function listForInvoice(invoiceId) {
+  return sql`
+    SELECT cn.*, r.razorpay_refund_id
+    FROM credit_notes cn
+    JOIN refunds r ON r.id = cn.refund_id
+    WHERE cn.invoice_id = ${invoiceId}
+    ORDER BY cn.id
+  `
+}
+
+module.exports = { claim, startNumbering, assignNumber, findById, findByRefundId, listForInvoice }
@@ -0,0 +1,17 @@
+const { sql } = require("../db")
+
+// Take the next number in a series for a financial year. Numbering starts at 1 for each year,
+// and the upsert is a single statement so concurrent callers never get the same number. Pass the
+// transaction's `query` to give the number back if the transaction rolls back.
+async function next(series, financialYear, query = sql) {
+  const result = await query`
+    INSERT INTO document_sequences (series, financial_year, last_number)
+    VALUES (${series}, ${financialYear}, 1)
+    ON CONFLICT (series, financial_year) DO UPDATE
+    SET last_number = document_sequences.last_number + 1
+    RETURNING last_number
+  `
+  return result[0].last_number
+}
+
+module.exports = { next }
@@ -0,0 +1,53 @@
+const { sql } = require("../db")
+
+// Claim the invoice for a payment, without a number yet. Resolves to the new row, or null when
+// the payment already has an invoice.
+async function claim(invoice) {
+  const result = await sql`
+    INSERT INTO invoices (payment_id, seller, buyer, description, sac_code, currency, gst_rate,
+                          discount_amount, taxable_amount, cgst_amount, sgst_amount, igst_amount, total_amount)
+    VALUES (${invoice.paymentId}, ${JSON.stringify(invoice.seller)}, ${JSON.stringify(invoice.buyer)},
+            ${invoice.description}, ${invoice.sacCode}, ${invoice.currency}, ${invoice.gstRate},
+            ${invoice.discountAmount}, ${invoice.taxableAmount}, ${invoice.cgstAmount}, ${invoice.sgstAmount},
+            ${invoice.igstAmount}, ${invoice.totalAmount})
+    ON CONFLICT (payment_id) DO NOTHING
+    RETURNING *
+  `
+  return result[0] || null
+}
+
+// Start numbering a claimed invoice by stamping its issue time, inside the transaction `query`
+// belongs to. The row stays locked until that transaction ends, and anyone else starting then finds
+// it stamped. Resolves to false if numbering had already started.
+async function startNumbering(id, issuedAt, query) {
+  const result = await query`
+    UPDATE invoices SET issued_at = ${issuedAt}
+    WHERE id = ${id} AND number IS NULL AND issued_at IS NULL
+    RETURNING id
+  `
+  return result.length > 0
+}
+
+// Number an invoice, in the transaction that started numbering it. Resolves to null if it had
+// already been numbered.
+async function assignNumber(id, { number, financialYear, sequenceNumber }, query) {
+  const result = await query`
+    UPDATE invoices
+    SET number = ${number}, financial_year = ${financialYear}, sequence_number = ${sequenceNumber}
+    WHERE id = ${id} AND number IS NULL
+    RETURNING *
+  `
+  return result[0] || null
+}
+
+async function findById(id) {
+  const result = await sql`SELECT * FROM invoices WHERE id = ${id}`
+  return result[0] || null
+}
+
+async function findByPaymentId(paymentId) {
+  const result = await sql`SELECT * FROM invoices WHERE payment_id = ${paymentId}`
+  return result[0] || null
+}
+
+module.exports = { claim, startNumbering, assignNumber, findById, findByPaymentId }
@@ -0,0 +1,23 @@
+const { sql } = require("../db")
+
+// Store a webhook delivery keyed by its event id. A redelivery bumps `attempts` and returns the
+// existing row, so callers can tell from processed_at whether it was already handled.
+async function record({ eventId, eventType, razorpayOrderId, razorpayPaymentId, payload }) {
+  const result = await sql`
+    INSERT INTO payment_events (event_id, event_type, razorpay_order_id, razorpay_payment_id, payload)
+    VALUES (${eventId}, ${eventType}, ${razorpayOrderId}, ${razorpayPaymentId}, ${JSON.stringify(payload)})
+    ON CONFLICT (event_id) DO UPDATE SET attempts = payment_events.attempts + 1
+    RETURNING id, processed_at
+  `
+  return result[0]
+}
+
+async function markProcessed(id, outcome) {
+  await sql`
+    UPDATE payment_events
+    SET processed_at = NOW(), outcome = ${outcome}
+    WHERE id = ${id}
+  `
+}
+
+module.exports = { record, markProcessed }
@@ -0,0 +1,117 @@
+const { sql } = require("../db")
+
+// All amounts are in paise
+async function create({
+  userId,
+  courseId,
+  razorpayOrderId,
+  amount,
+  currency,
+  discountCode,
+  discountAmount,
+  billingStateCode = null,
+  billingGstin = null,
+}) {
+  const result = await sql`
+    INSERT INTO payments (user_id, course_id, razorpay_order_id, amount, currency, discount_code, discount_amount,
+                          billing_state_code, billing_gstin, status)
+    VALUES (${userId}, ${courseId}, ${razorpayOrderId}, ${amount}, ${currency},
+            ${discountCode}, ${discountAmount}, ${billingStateCode}, ${billingGstin}, 'created')
+    RETURNING *
+  `
+  return result[0]
+}
+
+async function findById(id) {
+  const result = await sql`SELECT * FROM payments WHERE id = ${id}`
+  return result[0] || null
+}
+
+async function findByOrderId(razorpayOrderId) {
+  const result = await sql`SELECT * FROM payments WHERE razorpay_order_id = ${razorpayOrderId}`
+  return result[0] || null
+}
+
+// A user's payment for an order, together with the course it was created for
+async function findForUserByOrderId(userId, razorpayOrderId) {
+  const result = await sql`
+    SELECT p.*, c.title AS course_title, c.redirect_url
+    FROM payments p
+    JOIN courses c ON c.id = p.course_id
+    WHERE p.user_id = ${userId} AND p.razorpay_order_id = ${razorpayOrderId}
+  `
+  return result[0] || null
+}
+
+// A payment with the buyer and course details that go on its invoice
+async function findForInvoice(id) {
+  const result = await sql`
+    SELECT p.*, u.name AS buyer_name, u.email AS buyer_email, c.title AS course_title
+    FROM payments p
+    JOIN users u ON u.id = p.user_id
+    LEFT JOIN courses c ON c.id = p.course_id
+    WHERE p.id = ${id}
+  `
+  return result[0] || null
+}
+
+// Payment history with the coupon handed out, the invoice number and, while the purchase stands,
+// the course link
+async function listForUser(userId) {
+  return sql`
+    SELECT p.id, p.course_id, c.title AS course_title, p.amount, p.currency,
+           p.discount_amount, p.refunded_amount, p.status, p.verified, p.created_at, p.razorpay_payment_id,
+           CASE WHEN cc.status = 'assigned' THEN cc.code END AS coupon_code,
+           cc.status AS coupon_status,
+           CASE WHEN p.status IN ('completed', 'partially_refunded') THEN c.redirect_url END AS redirect_url,
+           i.number AS invoice_number
+    FROM payments p
+    LEFT JOIN courses c ON c.id = p.course_id
+    LEFT JOIN coupon_codes cc ON cc.payment_id = p.id
+    LEFT JOIN invoices i ON i.payment_id = p.id
+    WHERE p.user_id = ${userId}
+    ORDER BY p.created_at DESC
+  `
+}
+
+// Orders still waiting to be paid `minutes` after they were created, in id order after `afterId`
+async function listUnpaidOlderThan(minutes, { afterId = 0, limit }) {
+  return sql(
+    `SELECT * FROM payments
+     WHERE status IN ('created', 'authorized') AND created_at < CURRENT_TIMESTAMP - $1::interval AND id > $2
+     ORDER BY id
+     LIMIT $3`,
+    [`${minutes} minutes`, afterId, limit],
+  )
+}
+
+// Set `status` (plus any columns in `changes`) only while the row is in one of `fromStatuses`.
+// Column names come from code, never from request input. Resolves to the updated row or null.
+async function updateStatus(id, status, fromStatuses, changes = {}) {
+  const params = [id, status, fromStatuses]
+  const assignments = Object.entries(changes).map(([column, value]) => {
+    params.push(value)
+    return `${column} = $${params.length}`
+  })
+
+  const result = await sql(
+    `UPDATE payments
+     SET ${["status = $2", ...assignments, "updated_at = NOW()"].join(", ")}
+     WHERE id = $1 AND status = ANY($3)
+     RETURNING *`,
+    params,
+  )
+
+  return result[0] || null
+}
+
+module.exports = {
+  create,
+  findById,
+  findByOrderId,
+  findForUserByOrderId,
+  findForInvoice,
+  listForUser,
+  listUnpaidOlderThan,
+  updateStatus,
+}
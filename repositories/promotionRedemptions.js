@@ -0,0 +1,54 @@
+const { sql } = require("../db")
+
+// Statuses that hold one of the promotion's uses
+const HOLDING_STATUSES = ["reserved", "redeemed"]
+
+async function create({ promotionId, userId, paymentId, discountAmount }, query = sql) {
+  const result = await query`
+    INSERT INTO promotion_redemptions (promotion_id, user_id, payment_id, discount_amount)
+    VALUES (${promotionId}, ${userId}, ${paymentId}, ${discountAmount})
+    RETURNING *
+  `
+  return result[0]
+}
+
+// How many of the promotion's uses the user currently holds
+async function countHeldByUser(promotionId, userId, query = sql) {
+  const result = await query`
+    SELECT COUNT(*)::int AS count
+    FROM promotion_redemptions
+    WHERE promotion_id = ${promotionId} AND user_id = ${userId} AND status = ANY(${HOLDING_STATUSES})
+  `
+  return result[0].count
+}
+
+// Move the payment's redemption from one of `fromStatuses` to `status`. Only one caller can make
+// a given move, so uses are returned or taken exactly once. Resolves to the row or null.
+async function updateStatus(paymentId, status, fromStatuses) {
+  const result = await sql`
+    UPDATE promotion_redemptions
+    SET status = ${status}, updated_at = NOW()
+    WHERE payment_id = ${paymentId} AND status = ANY(${fromStatuses})
+    RETURNING *
+  `
+  return result[0] || null
+}
+
+// Release the promotion's reservations on orders left unpaid for longer than `minutes`.
+// Resolves to the number released.
+async function releaseAbandoned(promotionId, minutes) {
+  const result = await sql(
+    `UPDATE promotion_redemptions
+     SET status = 'released', updated_at = NOW()
+     WHERE promotion_id = $1
+       AND status = 'reserved'
+       AND payment_id IN (
+         SELECT id FROM payments WHERE status = 'created' AND created_at < CURRENT_TIMESTAMP - $2::interval
+       )
+     RETURNING id`,
+    [promotionId, `${minutes} minutes`],
+  )
+  return result.length
+}
+
+module.exports = { HOLDING_STATUSES, create, countHeldByUser, updateStatus, releaseAbandoned }
@@ -0,0 +1,95 @@
+const { sql } = require("../db")
+
+// Columns an admin may set; names come from code, never from request input
+const EDITABLE_COLUMNS = [
+  "description",
+  "course_id",
+  "percent_off",
+  "amount_off",
+  "starts_at",
+  "ends_at",
+  "max_redemptions",
+  "max_redemptions_per_user",
+  "active",
+]
+
+async function create(promotion, createdBy) {
+  const columns = EDITABLE_COLUMNS.filter((column) => promotion[column] !== undefined)
+  const params = [promotion.code, createdBy, ...columns.map((column) => promotion[column])]
+
+  const result = await sql(
+    `INSERT INTO promotions (code, created_by${columns.map((column) => `, ${column}`).join("")})
+     VALUES ($1, $2${columns.map((column, index) => `, $${index + 3}`).join("")})
+     RETURNING *`,
+    params,
+  )
+  return result[0]
+}
+
+// Apply the given editable columns. Resolves to the updated row, or null if there is none.
+async function update(id, changes) {
+  const params = [id]
+  const assignments = EDITABLE_COLUMNS.filter((column) => changes[column] !== undefined).map((column) => {
+    params.push(changes[column])
+    return `${column} = $${params.length}`
+  })
+
+  const result = await sql(
+    `UPDATE promotions
+     SET ${[...assignments, "updated_at = NOW()"].join(", ")}
+     WHERE id = $1
+     RETURNING *`,
+    params,
+  )
+  return result[0] || null
+}
+
+async function findById(id) {
+  const result = await sql`SELECT * FROM promotions WHERE id = ${id}`
+  return result[0] || null
+}
+
+async function findByCode(code) {
+  const result = await sql`SELECT * FROM promotions WHERE code = UPPER(${code})`
+  return result[0] || null
+}
+
+// Newest first, with the course each one is limited to. Resolves to { promotions, total }.
+async function list({ limit, offset }) {
+  const [promotions, count] = await Promise.all([
+    sql`
+      SELECT p.*, c.title AS course_title
+      FROM promotions p
+      LEFT JOIN courses c ON c.id = p.course_id
+      ORDER BY p.created_at DESC, p.id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `,
+    sql`SELECT COUNT(*)::int AS total FROM promotions`,
+  ])
+  return { promotions, total: count[0].total }
+}
+
+// Take one use of a promotion. The check and the increment are one statement, so concurrent
+// checkouts cannot take more uses than max_redemptions allows. Inside a transaction the promotion
+// stays locked until it ends. Resolves to true if a use was taken.
+async function claimUse(id, query = sql) {
+  const result = await query`
+    UPDATE promotions
+    SET redemption_count = redemption_count + 1, updated_at = NOW()
+    WHERE id = ${id} AND (max_redemptions IS NULL OR redemption_count < max_redemptions)
+    RETURNING id
+  `
+  return result.length > 0
+}
+
+// Take a use whatever the limit, for an order that was paid after its reservation was released
+async function forceUse(id) {
+  await sql`UPDATE promotions SET redemption_count = redemption_count + 1, updated_at = NOW() WHERE id = ${id}`
+}
+
+// Hand back uses whose redemptions were released; each release matches exactly one earlier claim
+async function returnUses(id, count, query = sql) {
+  await query`UPDATE promotions SET redemption_count = redemption_count - ${count}::int, updated_at = NOW() WHERE id = ${id}`
+}
+
+module.exports = { EDITABLE_COLUMNS, create, update, findById, findByCode, list, claimUse, forceUse, returnUses }
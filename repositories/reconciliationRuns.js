@@ -0,0 +1,47 @@
+const { sql } = require("../db")
+
+async function create({ dryRun, windowStart, windowEnd, orderTtlMinutes }) {
+  const result = await sql`
+    INSERT INTO reconciliation_runs (dry_run, window_start, window_end, order_ttl_minutes)
+    VALUES (${dryRun}, ${windowStart}, ${windowEnd}, ${orderTtlMinutes})
+    RETURNING *
+  `
+  return result[0]
+}
+
+// Record how a run ended. Resolves to the finished row.
+async function finish(id, { status, ordersChecked, paymentsChecked, fixes, needsReview, error = null }) {
+  const result = await sql`
+    UPDATE reconciliation_runs
+    SET status = ${status},
+        orders_checked = ${ordersChecked},
+        payments_checked = ${paymentsChecked},
+        fixes = ${JSON.stringify(fixes)},
+        needs_review = ${JSON.stringify(needsReview)},
+        error = ${error},
+        finished_at = NOW()
+    WHERE id = ${id}
+    RETURNING *
+  `
+  return result[0]
+}
+
+async function findById(id) {
+  const result = await sql`SELECT * FROM reconciliation_runs WHERE id = ${id}`
+  return result[0] || null
+}
+
+// Newest first. Resolves to { runs, total }.
+async function list({ limit, offset }) {
+  const [runs, count] = await Promise.all([
+    sql`
+      SELECT * FROM reconciliation_runs
+      ORDER BY started_at DESC, id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `,
+    sql`SELECT COUNT(*)::int AS total FROM reconciliation_runs`,
+  ])
+  return { runs, total: count[0].total }
+}
+
+module.exports = { create, finish, findById, list }
@@ -0,0 +1,162 @@
+const { sql } = require("../db")
+
+// Ledger entries older than this are past the refund window and can be paid out
+const holdInterval = (holdDays) => `${holdDays} days`
+
+// Resolves to the entry, or null if the same entry was already recorded
+async function addEntry({ affiliateId, paymentId, entryType, commissionPercent, amount, refundedAmount = 0 }) {
+  const result = await sql`
+    INSERT INTO referral_ledger (affiliate_id, payment_id, entry_type, commission_percent, amount, refunded_amount)
+    VALUES (${affiliateId}, ${paymentId}, ${entryType}, ${commissionPercent}, ${amount}, ${refundedAmount})
+    ON CONFLICT (payment_id, entry_type, refunded_amount) DO NOTHING
+    RETURNING *
+  `
+  return result[0] || null
+}
+
+// The account that referred the buyer of a payment, if it can still earn commission.
+// Resolves to the affiliate's id or null.
+async function findAffiliateForPayment(paymentId) {
+  const result = await sql`
+    SELECT affiliate.id
+    FROM payments p
+    JOIN users buyer ON buyer.id = p.user_id
+    JOIN users affiliate ON affiliate.id = buyer.referred_by
+    WHERE p.id = ${paymentId}
+      AND affiliate.id <> buyer.id
+      AND affiliate.disabled_at IS NULL
+      AND affiliate.deleted_at IS NULL
+  `
+  return result[0] ? result[0].id : null
+}
+
+async function findCommission(paymentId) {
+  const result = await sql`
+    SELECT * FROM referral_ledger WHERE payment_id = ${paymentId} AND entry_type = 'commission'
+  `
+  return result[0] || null
+}
+
+// Total clawed back so far on a payment's commission, as a positive amount
+async function sumClawedBack(paymentId) {
+  const result = await sql`
+    SELECT COALESCE(SUM(-amount), 0)::int AS total
+    FROM referral_ledger
+    WHERE payment_id = ${paymentId} AND entry_type = 'clawback'
+  `
+  return result[0].total
+}
+
+// Lifetime totals for an affiliate. balance is everything not yet paid out; payable is the part
+// of it that has cleared the hold period.
+async function summarize(affiliateId, holdDays) {
+  const [totals, referred] = await Promise.all([
+    sql(
+      `SELECT COALESCE(SUM(CASE WHEN entry_type = 'commission' THEN amount ELSE 0 END), 0)::int AS earned,
+              COALESCE(SUM(CASE WHEN entry_type = 'clawback' THEN -amount ELSE 0 END), 0)::int AS clawed_back,
+              COALESCE(SUM(CASE WHEN payout_id IS NOT NULL THEN amount ELSE 0 END), 0)::int AS paid_out,
+              COALESCE(SUM(CASE WHEN payout_id IS NULL THEN amount ELSE 0 END), 0)::int AS balance,
+              COALESCE(SUM(CASE WHEN payout_id IS NULL AND created_at < CURRENT_TIMESTAMP - $2::interval
+                                THEN amount ELSE 0 END), 0)::int AS payable,
+              COUNT(CASE WHEN entry_type = 'commission' THEN 1 END)::int AS referred_purchases
+       FROM referral_ledger
+       WHERE affiliate_id = $1`,
+      [affiliateId, holdInterval(holdDays)],
+    ),
+    sql`SELECT COUNT(*)::int AS count FROM users WHERE referred_by = ${affiliateId}`,
+  ])
+  return { ...totals[0], referred_users: referred[0].count }
+}
+
+// An affiliate's ledger, newest first. Resolves to { entries, total }.
+async function listEntries(affiliateId, { limit, offset }) {
+  const [entries, count] = await Promise.all([
+    sql`
+      SELECT l.id, l.entry_type, l.payment_id, l.commission_percent, l.amount, l.created_at,
+             c.title AS course_title, l.payout_id, po.reference AS payout_reference, po.settled_at
+      FROM referral_ledger l
+      JOIN payments p ON p.id = l.payment_id
+      LEFT JOIN courses c ON c.id = p.course_id
+      LEFT JOIN referral_payouts po ON po.id = l.payout_id
+      WHERE l.affiliate_id = ${affiliateId}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT ${limit} OFFSET ${offset}
+    `,
+    sql`SELECT COUNT(*)::int AS total FROM referral_ledger WHERE affiliate_id = ${affiliateId}`,
+  ])
+  return { entries, total: count[0].total }
+}
+
+// Affiliates with unsettled entries, largest payable amount first. Resolves to { affiliates, total }.
+async function listUnsettled({ holdDays, limit, offset }) {
+  const [affiliates, count] = await Promise.all([
+    sql(
+      `SELECT u.id, u.name, u.email, u.referral_code,
+              SUM(l.amount)::int AS balance,
+              COALESCE(SUM(CASE WHEN l.created_at < CURRENT_TIMESTAMP - $1::interval THEN l.amount ELSE 0 END), 0)::int
+                AS payable,
+              COUNT(*)::int AS entries
+       FROM referral_ledger l
+       JOIN users u ON u.id = l.affiliate_id
+       WHERE l.payout_id IS NULL
+       GROUP BY u.id, u.name, u.email, u.referral_code
+       ORDER BY payable DESC, u.id
+       LIMIT $2 OFFSET $3`,
+      [holdInterval(holdDays), limit, offset],
+    ),
+    sql`
+      SELECT COUNT(*)::int AS total
+      FROM (SELECT affiliate_id FROM referral_ledger WHERE payout_id IS NULL GROUP BY affiliate_id) unsettled
+    `,
+  ])
+  return { affiliates, total: count[0].total }
+}
+
+// Lock the affiliate's entries that have cleared the hold period and are not yet paid out. Inside
+// a transaction a concurrent payout for the same affiliate waits here until it ends, then finds
+// them settled. Resolves to their total.
+async function lockPayable(affiliateId, holdDays, query = sql) {
+  const result = await query(
+    `SELECT amount
+     FROM referral_ledger
+     WHERE affiliate_id = $1 AND payout_id IS NULL AND created_at < CURRENT_TIMESTAMP - $2::interval
+     FOR UPDATE`,
+    [affiliateId, holdInterval(holdDays)],
+  )
+  return result.reduce((total, entry) => total + entry.amount, 0)
+}
+
+async function createPayout({ affiliateId, amount, reference, note, settledBy }, query = sql) {
+  const result = await query`
+    INSERT INTO referral_payouts (affiliate_id, amount, reference, note, settled_by)
+    VALUES (${affiliateId}, ${amount}, ${reference}, ${note}, ${settledBy})
+    RETURNING *
+  `
+  return result[0]
+}
+
+// Attach the affiliate's unsettled entries that have cleared the hold period to a payout.
+// Resolves to the total of the entries taken.
+async function settleEntries(payoutId, affiliateId, holdDays, query = sql) {
+  const result = await query(
+    `UPDATE referral_ledger
+     SET payout_id = $1
+     WHERE affiliate_id = $2 AND payout_id IS NULL AND created_at < CURRENT_TIMESTAMP - $3::interval
+     RETURNING amount`,
+    [payoutId, affiliateId, holdInterval(holdDays)],
+  )
+  return result.reduce((total, entry) => total + entry.amount, 0)
+}
+
+module.exports = {
+  addEntry,
+  findAffiliateForPayment,
+  findCommission,
+  sumClawedBack,
+  summarize,
+  listEntries,
+  listUnsettled,
+  lockPayable,
+  createPayout,
+  settleEntries,
+}
@@ -0,0 +1,23 @@
+const { sql } = require("../db")
+
+// Insert or update our copy of a Razorpay refund entity
+async function upsert(paymentId, refund, { reason = null, createdBy = null } = {}) {
+  const result = await sql`
+    INSERT INTO refunds (payment_id, razorpay_refund_id, amount, status, reason, created_by, processed_at)
+    VALUES (${paymentId}, ${refund.id}, ${refund.amount}, ${refund.status}, ${reason},
+            ${createdBy}, ${refund.status === "processed" ? new Date() : null})
+    ON CONFLICT (razorpay_refund_id) DO UPDATE
+    SET status = EXCLUDED.status,
+        processed_at = COALESCE(refunds.processed_at, EXCLUDED.processed_at),
+        updated_at = NOW()
+    RETURNING *
+  `
+  return result[0]
+}
+
+async function findById(id) {
+  const result = await sql`SELECT * FROM refunds WHERE id = ${id}`
+  return result[0] || null
+}
+
+module.exports = { upsert, findById }
@@ -0,0 +1,118 @@
+const { sql } = require("../db")
+
+// Payments that brought money in, including those later refunded in part or in full
+const REVENUE_STATUSES = ["completed", "refund_pending", "partially_refunded", "refunded"]
+
+// Longest listing any one report returns
+const MAX_REPORT_ROWS = 1000
+
+// Every report covers [start, end): start and end are ISO timestamps in UTC.
+// Days are numbered from the Unix epoch so they group the same way on every driver.
+
+async function revenueByDay({ start, end }) {
+  return sql(
+    `SELECT x.day, COUNT(*)::int AS orders,
+            COALESCE(SUM(x.amount), 0)::int AS gross_amount,
+            COALESCE(SUM(x.discount_amount), 0)::int AS discount_amount,
+            COALESCE(SUM(x.refunded_amount), 0)::int AS refunded_amount
+     FROM (
+       SELECT (EXTRACT(EPOCH FROM COALESCE(verified_at, created_at))::bigint / 86400)::int AS day,
+              amount, discount_amount, refunded_amount
+       FROM payments
+       WHERE status = ANY($1)
+         AND COALESCE(verified_at, created_at) >= $2::timestamp
+         AND COALESCE(verified_at, created_at) < $3::timestamp
+     ) x
+     GROUP BY x.day
+     ORDER BY x.day`,
+    [REVENUE_STATUSES, start, end],
+  )
+}
+
+async function revenueByCourse({ start, end }) {
+  return sql(
+    `SELECT c.id AS course_id, c.title, c.currency,
+            COALESCE(r.orders, 0)::int AS orders,
+            COALESCE(r.gross_amount, 0)::int AS gross_amount,
+            COALESCE(r.discount_amount, 0)::int AS discount_amount,
+            COALESCE(r.refunded_amount, 0)::int AS refunded_amount
+     FROM courses c
+     LEFT JOIN (
+       SELECT course_id, COUNT(*)::int AS orders, SUM(amount)::int AS gross_amount,
+              SUM(discount_amount)::int AS discount_amount, SUM(refunded_amount)::int AS refunded_amount
+       FROM payments
+       WHERE status = ANY($1)
+         AND COALESCE(verified_at, created_at) >= $2::timestamp
+         AND COALESCE(verified_at, created_at) < $3::timestamp
+       GROUP BY course_id
+     ) r ON r.course_id = c.id
+     ORDER BY gross_amount DESC, c.id`,
+    [REVENUE_STATUSES, start, end],
+  )
+}
+
+// Of the users who signed up in the range: how many created an order, and how many paid
+async function signupFunnel({ start, end }) {
+  const result = await sql(
+    `SELECT COUNT(*)::int AS signed_up,
+            COUNT(CASE WHEN o.orders > 0 THEN 1 END)::int AS ordered,
+            COUNT(CASE WHEN o.verified > 0 THEN 1 END)::int AS paid
+     FROM users u
+     LEFT JOIN (
+       SELECT user_id, COUNT(*)::int AS orders, COUNT(CASE WHEN verified THEN 1 END)::int AS verified
+       FROM payments
+       GROUP BY user_id
+     ) o ON o.user_id = u.id
+     WHERE u.created_at >= $1::timestamp AND u.created_at < $2::timestamp`,
+    [start, end],
+  )
+  return result[0]
+}
+
+// Orders that failed, or were created and never paid within abandonedAfterMinutes
+async function failedOrders({ start, end, abandonedAfterMinutes }) {
+  return sql(
+    `SELECT p.id AS payment_id, p.razorpay_order_id, u.email, c.title AS course_title,
+            p.amount, p.currency, p.discount_code,
+            CASE WHEN p.status = 'failed' THEN 'failed' ELSE 'abandoned' END AS outcome,
+            p.failure_reason, p.created_at
+     FROM payments p
+     JOIN users u ON u.id = p.user_id
+     LEFT JOIN courses c ON c.id = p.course_id
+     WHERE p.created_at >= $1::timestamp
+       AND p.created_at < $2::timestamp
+       AND (p.status = 'failed'
+            OR (p.status = 'created' AND p.created_at < CURRENT_TIMESTAMP - $3::interval))
+     ORDER BY p.created_at DESC, p.id DESC
+     LIMIT $4`,
+    [start, end, `${abandonedAfterMinutes} minutes`, MAX_REPORT_ROWS],
+  )
+}
+
+// Newest first, with how many courses each user has paid for
+async function recentSignups({ start, end }) {
+  return sql(
+    `SELECT u.id, u.name, u.email, u.role, u.email_verified_at,
+            COALESCE(p.purchases, 0)::int AS purchases, u.created_at
+     FROM users u
+     LEFT JOIN (
+       SELECT user_id, COUNT(*)::int AS purchases
+       FROM payments
+       WHERE status = ANY($3)
+       GROUP BY user_id
+     ) p ON p.user_id = u.id
+     WHERE u.created_at >= $1::timestamp AND u.created_at < $2::timestamp
+     ORDER BY u.created_at DESC, u.id DESC
+     LIMIT $4`,
+    [start, end, REVENUE_STATUSES, MAX_REPORT_ROWS],
+  )
+}
+
+module.exports = {
+  MAX_REPORT_ROWS,
+  revenueByDay,
+  revenueByCourse,
+  signupFunnel,
+  failedOrders,
+  recentSignups,
+}
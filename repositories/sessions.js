@@ -0,0 +1,125 @@
+const { sql } = require("../db")
+
+// Columns describing a signed-in device, safe to return from the API
+const DEVICE_FIELDS = "family_id AS id, user_agent, ip_address, signed_in_at, last_seen_at, expires_at"
+
+// Store a refresh token hash. signedInAt carries the original sign-in time across rotations;
+// leave it null when starting a new family.
+async function create({ userId, familyId, tokenHash, userAgent, ipAddress, signedInAt = null, ttlDays }) {
+  const result = await sql`
+    INSERT INTO sessions (user_id, family_id, token_hash, user_agent, ip_address, signed_in_at, last_seen_at, expires_at)
+    VALUES (${userId}, ${familyId}, ${tokenHash}, ${userAgent}, ${ipAddress},
+            COALESCE(${signedInAt}::timestamp, NOW()), NOW(), NOW() + ${`${ttlDays} days`}::interval)
+    RETURNING id, family_id, expires_at
+  `
+  return result[0]
+}
+
+// The session a refresh token belongs to, with whether its account is still open
+async function findByTokenHash(tokenHash) {
+  const result = await sql`
+    SELECT s.id, s.user_id, s.family_id, s.signed_in_at, s.rotated_at, s.revoked_at,
+           s.expires_at <= CURRENT_TIMESTAMP AS expired, u.disabled_at, u.deleted_at
+    FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ${tokenHash}
+  `
+  return result[0] || null
+}
+
+// Mark a token as exchanged. Resolves to false if it was already used or revoked, so only one of
+// two concurrent refreshes with the same token can win.
+async function markRotated(id) {
+  const result = await sql`
+    UPDATE sessions
+    SET rotated_at = NOW(), updated_at = NOW()
+    WHERE id = ${id} AND rotated_at IS NULL AND revoked_at IS NULL
+    RETURNING id
+  `
+  return result.length > 0
+}
+
+// A family stays signed in until it is revoked or its latest token expires
+async function isFamilyActive(familyId, userId) {
+  const result = await sql`
+    SELECT id FROM sessions
+    WHERE family_id = ${familyId}
+      AND user_id = ${userId}
+      AND revoked_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    LIMIT 1
+  `
+  return result.length > 0
+}
+
+// Whether the user has ever signed in from the address
+async function hasSignedInFrom(userId, ipAddress) {
+  const result = await sql`SELECT id FROM sessions WHERE user_id = ${userId} AND ip_address = ${ipAddress} LIMIT 1`
+  return result.length > 0
+}
+
+// The current token of each signed-in family, most recently used first
+async function listActiveForUser(userId) {
+  return sql(
+    `SELECT ${DEVICE_FIELDS}
+     FROM sessions
+     WHERE user_id = $1
+       AND rotated_at IS NULL
+       AND revoked_at IS NULL
+       AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_seen_at DESC`,
+    [userId],
+  )
+}
+
+// Resolves to the number of tokens revoked
+async function revokeFamily(familyId, reason) {
+  const result = await sql`
+    UPDATE sessions
+    SET revoked_at = NOW(), revoke_reason = ${reason}, updated_at = NOW()
+    WHERE family_id = ${familyId} AND revoked_at IS NULL
+    RETURNING id
+  `
+  return result.length
+}
+
+// Resolves to the ids of the families that were signed out
+async function revokeAllForUser(userId, reason) {
+  const result = await sql`
+    UPDATE sessions
+    SET revoked_at = NOW(), revoke_reason = ${reason}, updated_at = NOW()
+    WHERE user_id = ${userId} AND revoked_at IS NULL
+    RETURNING family_id
+  `
+  return [...new Set(result.map((row) => row.family_id))]
+}
+
+// Sign out every other device, e.g. after a password change. Resolves to the ids of the
+// families that were signed out.
+async function revokeOthersForUser(userId, keepFamilyId, reason) {
+  const result = await sql`
+    UPDATE sessions
+    SET revoked_at = NOW(), revoke_reason = ${reason}, updated_at = NOW()
+    WHERE user_id = ${userId} AND family_id <> ${keepFamilyId} AND revoked_at IS NULL
+    RETURNING family_id
+  `
+  return [...new Set(result.map((row) => row.family_id))]
+}
+
+// Remove the device history (addresses, user agents) of a deleted account
+async function deleteForUser(userId) {
+  await sql`DELETE FROM sessions WHERE user_id = ${userId}`
+}
+
+module.exports = {
+  create,
+  findByTokenHash,
+  markRotated,
+  isFamilyActive,
+  hasSignedInFrom,
+  listActiveForUser,
+  revokeFamily,
+  revokeAllForUser,
+  revokeOthersForUser,
+  deleteForUser,
+}
@@ -0,0 +1,39 @@
+const { sql } = require("../db")
+
+async function create({ userId, purpose, tokenHash, email, ttlMinutes }) {
+  const result = await sql`
+    INSERT INTO user_tokens (user_id, purpose, token_hash, email, expires_at)
+    VALUES (${userId}, ${purpose}, ${tokenHash}, ${email}, NOW() + ${`${ttlMinutes} minutes`}::interval)
+    RETURNING id, expires_at
+  `
+  return result[0]
+}
+
+// Use up a token. Resolves to its row, or null if it is unknown, expired or already used.
+async function consume(tokenHash, purpose) {
+  const result = await sql`
+    UPDATE user_tokens
+    SET used_at = NOW()
+    WHERE token_hash = ${tokenHash}
+      AND purpose = ${purpose}
+      AND used_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    RETURNING id, user_id, email
+  `
+  return result[0] || null
+}
+
+// Only the most recently sent link of each kind should work
+async function invalidateForUser(userId, purpose) {
+  await sql`
+    UPDATE user_tokens
+    SET used_at = NOW()
+    WHERE user_id = ${userId} AND purpose = ${purpose} AND used_at IS NULL
+  `
+}
+
+async function deleteForUser(userId) {
+  await sql`DELETE FROM user_tokens WHERE user_id = ${userId}`
+}
+
+module.exports = { create, consume, invalidateForUser, deleteForUser }
@@ -0,0 +1,260 @@
+const { sql } = require("../db")
+
+const ROLES = ["learner", "support", "admin"]
+
+// What staff see about an account
+const ACCOUNT_FIELDS = `
+  id, name, email, role, email_verified_at, disabled_at, disabled_reason, referral_code, referred_by,
+  failed_login_attempts, locked_until, deleted_at, created_at, updated_at
+`
+
+// Public profile fields, safe to attach to requests and return from the API
+async function findById(id) {
+  const result = await sql`SELECT id, name, email, role, email_verified_at, disabled_at FROM users WHERE id = ${id}`
+  return result[0] || null
+}
+
+async function findByEmail(email) {
+  const result = await sql`SELECT id, name, email, role, email_verified_at FROM users WHERE email = ${email}`
+  return result[0] || null
+}
+
+// Includes the password hash and lockout state, for credential checks only.
+// lock_seconds_remaining is 0 unless the account is currently locked.
+async function findByEmailWithPassword(email) {
+  const result = await sql`
+    SELECT id, name, email, role, email_verified_at, disabled_at, password_hash, failed_login_attempts, lockouts,
+           GREATEST(COALESCE((EXTRACT(EPOCH FROM locked_until) - EXTRACT(EPOCH FROM CURRENT_TIMESTAMP))::int, 0), 0)
+             AS lock_seconds_remaining
+    FROM users 
+    WHERE email = ${email}
+  `
+  return result[0] || null
+}
+
+// For confirming the current password before a sensitive change
+async function findPasswordHash(id) {
+  const result = await sql`SELECT password_hash FROM users WHERE id = ${id}`
+  return result[0] ? result[0].password_hash : null
+}
+
+async function emailExists(email) {
+  const result = await sql`SELECT id FROM users WHERE email = ${email}`
+  return result.length > 0
+}
+
+async function create({ name, email, passwordHash, referredBy = null }) {
+  const result = await sql`
+    INSERT INTO users (name, email, password_hash, referred_by) 
+    VALUES (${name}, ${email}, ${passwordHash}, ${referredBy}) 
+    RETURNING id, name, email, role, email_verified_at
+  `
+  return result[0]
+}
+
+// The account a referral code belongs to, while it can still earn commission
+async function findByReferralCode(code) {
+  const result = await sql`
+    SELECT id FROM users
+    WHERE referral_code = ${code} AND disabled_at IS NULL AND deleted_at IS NULL
+  `
+  return result[0] || null
+}
+
+async function findReferralCode(id) {
+  const result = await sql`SELECT referral_code FROM users WHERE id = ${id}`
+  return result[0] ? result[0].referral_code : null
+}
+
+// Give the user a referral code if they have none yet. Resolves to the user's code, which is an
+// existing one if another request got there first; rejects with 23505 if `code` is taken.
+async function setReferralCode(id, code) {
+  const result = await sql`
+    UPDATE users
+    SET referral_code = ${code}, updated_at = NOW()
+    WHERE id = ${id} AND referral_code IS NULL
+    RETURNING referral_code
+  `
+  return result[0] ? result[0].referral_code : findReferralCode(id)
+}
+
+async function updatePassword(id, passwordHash) {
+  await sql`
+    UPDATE users
+    SET password_hash = ${passwordHash}, updated_at = NOW()
+    WHERE id = ${id}
+  `
+}
+
+// Only verifies the address the link was sent to; resolves to null if the email has since changed
+async function markEmailVerified(id, email) {
+  const result = await sql`
+    UPDATE users
+    SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW()
+    WHERE id = ${id} AND email = ${email}
+    RETURNING id, name, email, email_verified_at
+  `
+  return result[0] || null
+}
+
+async function updateName(id, name) {
+  const result = await sql`
+    UPDATE users
+    SET name = ${name}, updated_at = NOW()
+    WHERE id = ${id}
+    RETURNING id, name, email, role, email_verified_at
+  `
+  return result[0] || null
+}
+
+// Switch to an address the user has just proven they own, so it starts out verified.
+// Rejects with a unique violation (23505) if another account has taken it meanwhile.
+async function changeEmail(id, email) {
+  const result = await sql`
+    UPDATE users
+    SET email = ${email}, email_verified_at = NOW(), updated_at = NOW()
+    WHERE id = ${id} AND deleted_at IS NULL
+    RETURNING id, name, email, email_verified_at
+  `
+  return result[0] || null
+}
+
+// Replace everything that identifies the person while keeping the row (and so the payments
+// that reference it). The account can never sign in again.
+async function anonymize(id, passwordHash) {
+  const result = await sql`
+    UPDATE users
+    SET name = 'Deleted user',
+        email = ${`deleted-${id}@users.invalid`},
+        password_hash = ${passwordHash},
+        email_verified_at = NULL,
+        referral_code = NULL,
+        disabled_at = COALESCE(disabled_at, NOW()),
+        disabled_reason = 'Account deleted by its owner',
+        failed_login_attempts = 0,
+        lockouts = 0,
+        locked_until = NULL,
+        deleted_at = NOW(),
+        updated_at = NOW()
+    WHERE id = ${id} AND deleted_at IS NULL
+    RETURNING id
+  `
+  return result.length > 0
+}
+
+// Resolves to the number of failed attempts so far
+async function incrementFailedLogins(id) {
+  const result = await sql`
+    UPDATE users
+    SET failed_login_attempts = failed_login_attempts + 1, updated_at = NOW()
+    WHERE id = ${id}
+    RETURNING failed_login_attempts
+  `
+  return result[0].failed_login_attempts
+}
+
+async function lock(id, minutes) {
+  await sql`
+    UPDATE users
+    SET locked_until = NOW() + ${`${minutes} minutes`}::interval,
+        lockouts = lockouts + 1,
+        failed_login_attempts = 0,
+        updated_at = NOW()
+    WHERE id = ${id}
+  `
+}
+
+// Resolves to false if there is no such user
+async function clearLoginFailures(id) {
+  const result = await sql`
+    UPDATE users
+    SET failed_login_attempts = 0, lockouts = 0, locked_until = NULL, updated_at = NOW()
+    WHERE id = ${id}
+    RETURNING id
+  `
+  return result.length > 0
+}
+
+async function findAccountById(id) {
+  const result = await sql(`SELECT ${ACCOUNT_FIELDS} FROM users WHERE id = $1`, [id])
+  return result[0] || null
+}
+
+// Search accounts by name or email fragment and/or role, newest first.
+// Resolves to { users, total } where total ignores limit/offset.
+async function search({ q, role, limit, offset }) {
+  const conditions = []
+  const params = []
+
+  if (q) {
+    params.push(`%${q}%`)
+    conditions.push(`(name ILIKE $${params.length} OR email ILIKE $${params.length})`)
+  }
+
+  if (role) {
+    params.push(role)
+    conditions.push(`role = $${params.length}`)
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""
+
+  const countResult = await sql(`SELECT COUNT(*)::int AS total FROM users ${where}`, params)
+  const users = await sql(
+    `SELECT ${ACCOUNT_FIELDS}
+     FROM users
+     ${where}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset],
+  )
+
+  return { users, total: countResult[0].total }
+}
+
+async function setRole(id, role) {
+  const result = await sql(
+    `UPDATE users SET role = $2, updated_at = NOW() WHERE id = $1 RETURNING ${ACCOUNT_FIELDS}`,
+    [id, role],
+  )
+  return result[0] || null
+}
+
+// Pass a reason to disable the account, or null to enable it again. A deleted account stays as
+// it is; resolves to null for one.
+async function setDisabled(id, reason) {
+  const result = await sql(
+    `UPDATE users
+     SET disabled_at = CASE WHEN $2::text IS NULL THEN NULL ELSE COALESCE(disabled_at, NOW()) END,
+         disabled_reason = $2,
+         updated_at = NOW()
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING ${ACCOUNT_FIELDS}`,
+    [id, reason],
+  )
+  return result[0] || null
+}
+
+module.exports = {
+  ROLES,
+  findById,
+  findByEmail,
+  findByEmailWithPassword,
+  findPasswordHash,
+  emailExists,
+  create,
+  findByReferralCode,
+  findReferralCode,
+  setReferralCode,
+  updatePassword,
+  markEmailVerified,
+  updateName,
+  changeEmail,
+  anonymize,
+  incrementFailedLogins,
+  lock,
+  clearLoginFailures,
+  findAccountById,
+  search,
+  setRole,
+  setDisabled,
+}
@@ -0,0 +1,1156 @@
+const express = require("express")
+const courses = require("../repositories/courses")
+const coupons = require("../repositories/coupons")
+const payments = require("../repositories/payments")
+const promotions = require("../repositories/promotions")
+const referrals = require("../repositories/referrals")
+const ads = require("../repositories/ads")
+const reconciliationRuns = require("../repositories/reconciliationRuns")
+const users = require("../repositories/users")
+const sessions = require("../repositories/sessions")
+const auditLog = require("../repositories/auditLog")
+const { AppError, ValidationError, NotFoundError, ConflictError } = require("../errors")
+const { authenticateToken, requireRole } = require("../middleware/auth")
+const { audit } = require("../services/audit")
+const { COUPON_LOW_STOCK_THRESHOLD, assignCoupon, checkCouponStock, parseCouponCsv } = require("../services/coupons")
+const { CODE_FIELD, parsePromotionInput, promotionInputErrors } = require("../services/promotions")
+const { REFERRAL_PAYOUT_HOLD_DAYS, settlePayout } = require("../services/referrals")
+const {
+  PLACEMENT_FIELD,
+  URL_FIELD,
+  parseAdInput,
+  adInputErrors,
+  fillAdDays,
+  clickThroughRate,
+} = require("../services/ads")
+const { parseDateRange } = require("../services/reports")
+const { reconcile } = require("../services/reconciliation")
+const { callRazorpay } = require("../services/razorpay")
+const {
+  canTransition,
+  transitionPayment,
+  issueInvoiceForPayment,
+  recordRefund,
+  applyRefundedAmount,
+} = require("../services/payments")
+const {
+  validate,
+  invalidFields,
+  optional,
+  nullable,
+  string,
+  integer,
+  boolean,
+  id,
+  pageQuery,
+  dateRangeQuery,
+} = require("../validation")
+
+const router = express.Router()
+
+// Support staff can look things up and help locked-out users; changes to money, inventory and
+// accounts are for admins
+router.use(authenticateToken, requireRole("support", "admin"))
+const adminOnly = requireRole("admin")
+
+// A deleted account keeps its anonymized row, but staff cannot bring it back
+const accountDeleted = () => new ConflictError("This account has been deleted", { code: "ACCOUNT_DELETED" })
+
+// page/limit query parameters, as checked by pageQuery()
+const pagination = ({ page, limit }) => ({ page, limit, offset: (page - 1) * limit })
+
+// Why an admin made a change, kept in the audit log
+const reason = () => string({ maxLength: 1000 })
+const dateTime = () => optional(nullable(string({ format: "date-time" })))
+const positiveOrNull = () => optional(nullable(integer({ minimum: 1 })))
+
+const byId = validate({ params: { id: id() } })
+const listInput = validate({ query: pageQuery() })
+const reasonInput = validate({ params: { id: id() }, body: { reason: optional(reason()) } })
+
+const couponImportInput = validate({ params: { courseId: id() } })
+const refundInput = validate({
+  params: { id: id() },
+  body: { amount: optional(integer({ minimum: 1 })), reason: optional(reason()) },
+})
+const reassignInput = validate({ params: { id: id() }, body: { paymentId: id(), reason: optional(reason()) } })
+const paymentStatusInput = validate({
+  params: { id: id() },
+  body: { status: string({ enum: ["completed", "failed"] }), reason: reason() },
+})
+const reconcileInput = validate({
+  body: {
+    dryRun: optional(boolean({ default: false })),
+    windowHours: optional(integer({ minimum: 1 })),
+    orderTtlMinutes: optional(integer({ minimum: 1 })),
+  },
+})
+
+// Fields shared by creating and changing a promotion; services/promotions checks how they combine
+const promotionFields = {
+  description: optional(nullable(string())),
+  courseId: optional(nullable(id())),
+  percentOff: optional(nullable(integer({ minimum: 1, maximum: 100 }))),
+  amountOff: optional(nullable(integer({ minimum: 1 }))),
+  startsAt: dateTime(),
+  endsAt: dateTime(),
+  maxRedemptions: positiveOrNull(),
+  maxRedemptionsPerUser: positiveOrNull(),
+  active: optional(boolean()),
+  reason: optional(reason()),
+}
+const createPromotionInput = validate({ body: { code: CODE_FIELD, ...promotionFields } })
+const updatePromotionInput = validate({ params: { id: id() }, body: promotionFields })
+
+// Likewise for ad creatives and services/ads; everything is optional when changing one
+const adFields = {
+  html: optional(nullable(string())),
+  imageUrl: optional(nullable(URL_FIELD)),
+  linkUrl: optional(nullable(URL_FIELD)),
+  weight: optional(integer({ minimum: 1 })),
+  startsAt: dateTime(),
+  endsAt: dateTime(),
+  frequencyCap: positiveOrNull(),
+  minDisplaySeconds: optional(integer({ minimum: 0, maximum: 120 })),
+  active: optional(boolean()),
+  reason: optional(reason()),
+}
+const listAdsInput = validate({ query: { ...pageQuery(), placement: optional(PLACEMENT_FIELD) } })
+const createAdInput = validate({ body: { placement: PLACEMENT_FIELD, name: string({ maxLength: 128 }), ...adFields } })
+const updateAdInput = validate({
+  params: { id: id() },
+  body: { placement: optional(PLACEMENT_FIELD), name: optional(string({ maxLength: 128 })), ...adFields },
+})
+const adStatsInput = validate({ params: { id: id() }, query: dateRangeQuery() })
+
+const ledgerInput = validate({ params: { id: id() }, query: pageQuery() })
+const payoutInput = validate({
+  params: { id: id() },
+  body: { amount: integer({ minimum: 1 }), reference: string({ maxLength: 128 }), note: optional(string()) },
+})
+
+const searchUsersInput = validate({
+  query: { ...pageQuery(), q: optional(string({ maxLength: 255 })), role: optional(string({ enum: users.ROLES })) },
+})
+const roleInput = validate({
+  params: { id: id() },
+  body: { role: string({ enum: users.ROLES }), reason: optional(reason()) },
+})
+const disableInput = validate({ params: { id: id() }, body: { reason: reason() } })
+const auditLogInput = validate({
+  query: {
+    ...pageQuery(),
+    actorId: optional(id()),
+    action: optional(string({ maxLength: 64 })),
+    targetType: optional(string({ maxLength: 64 })),
+    targetId: optional(string({ maxLength: 64 })),
+  },
+})
+
+// @route   POST /api/admin/courses/:courseId/coupons
+// @desc    Bulk-load coupon codes from a CSV body (Content-Type: text/csv)
+// @access  Admin
+router.post("/courses/:courseId/coupons", adminOnly, couponImportInput, express.text({ type: "text/csv", limit: "1mb" }), async (req, res, next) => {
+  try {
+    const { courseId } = req.params
+
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      throw new ValidationError("Upload a text/csv body with one coupon code per line", { code: "EMPTY_UPLOAD" })
+    }
+
+    if (!(await courses.exists(courseId))) {
+      throw new NotFoundError("Course not found")
+    }
+
+    const { coupons: parsed, invalid } = parseCouponCsv(req.body)
+    const inserted = await coupons.insertMany(courseId, parsed)
+    const available = await checkCouponStock(courseId)
+
+    await audit(req, {
+      action: "coupons.import",
+      targetType: "course",
+      targetId: courseId,
+      after: { inserted, duplicates: parsed.length - inserted, invalid: invalid.length, available },
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${inserted} coupon codes`,
+      data: {
+        inserted,
+        duplicates: parsed.length - inserted,
+        invalid,
+        available,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/coupons/stock
+// @desc    Coupon inventory per course, flagging low stock
+// @access  Support, Admin
+router.get("/coupons/stock", async (req, res, next) => {
+  try {
+    await coupons.expireOverdue()
+    const result = await coupons.stockByCourse()
+
+    res.json({
+      success: true,
+      data: {
+        threshold: COUPON_LOW_STOCK_THRESHOLD,
+        courses: result.map((row) => ({ ...row, lowStock: row.available <= COUPON_LOW_STOCK_THRESHOLD })),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/admin/coupons/:id/revoke
+// @desc    Revoke an unused or assigned coupon code
+// @access  Admin
+router.post("/coupons/:id/revoke", adminOnly, reasonInput, async (req, res, next) => {
+  try {
+    const before = await coupons.findById(req.params.id)
+    const coupon = await coupons.revoke(req.params.id, req.body.reason)
+
+    if (!coupon) {
+      throw new NotFoundError("No active coupon code with that id")
+    }
+
+    await audit(req, {
+      action: "coupon.revoke",
+      targetType: "coupon",
+      targetId: coupon.id,
+      before: { status: before.status, payment_id: before.payment_id },
+      after: { status: coupon.status, payment_id: coupon.payment_id },
+      reason: req.body.reason,
+    })
+
+    res.json({
+      success: true,
+      message: "Coupon code revoked",
+      data: {
+        coupon,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/admin/payments/:id/refunds
+// @desc    Refund a completed payment in full or in part (amount in paise, defaults to the remaining balance)
+// @access  Admin
+router.post("/payments/:id/refunds", adminOnly, refundInput, async (req, res, next) => {
+  try {
+    const { razorpay } = req.app.locals
+
+    if (!razorpay) {
+      throw new AppError("Payment service not configured", { code: "PAYMENTS_NOT_CONFIGURED" })
+    }
+
+    const payment = await payments.findById(req.params.id)
+
+    if (!payment) {
+      throw new NotFoundError("Payment record not found")
+    }
+
+    if (!canTransition(payment.status, "refund_pending")) {
+      throw new ValidationError(`Payment cannot be refunded in status '${payment.status}'`, {
+        code: "INVALID_PAYMENT_STATUS",
+      })
+    }
+
+    const remaining = payment.amount - payment.refunded_amount
+    const amount = req.body.amount === undefined ? remaining : req.body.amount
+
+    if (amount > remaining) {
+      throw new ValidationError(`Refund amount must be between 1 and ${remaining} paise`, {
+        code: "INVALID_REFUND_AMOUNT",
+      })
+    }
+
+    // Claim the payment first so two refunds cannot be in flight at once
+    const pending = await transitionPayment(payment.id, "refund_pending")
+
+    if (!pending) {
+      throw new ConflictError("Payment was updated concurrently, please retry", { code: "CONCURRENT_UPDATE" })
+    }
+
+    let refund
+    try {
+      refund = await callRazorpay("Refund was rejected by Razorpay", () =>
+        razorpay.payments.refund(payment.razorpay_payment_id, {
+          amount,
+          notes: {
+            reason: req.body.reason || "",
+            requestedBy: req.user.email,
+          },
+        }),
+      )
+    } catch (error) {
+      // Put the payment back so the refund can be tried again
+      await transitionPayment(payment.id, payment.status)
+      throw error
+    }
+
+    const refundRecord = await recordRefund(payment.id, refund, {
+      reason: req.body.reason,
+      createdBy: req.user.id,
+    })
+
+    // Most refunds settle asynchronously and are finalised by the refund.processed webhook
+    const status =
+      refund.status === "processed"
+        ? await applyRefundedAmount(pending, payment.refunded_amount + amount)
+        : pending.status
+
+    await audit(req, {
+      action: "payment.refund",
+      targetType: "payment",
+      targetId: payment.id,
+      before: { status: payment.status, refunded_amount: payment.refunded_amount },
+      after: { status, refund_id: refund.id, amount, refund_status: refund.status },
+      reason: req.body.reason,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: refund.status === "processed" ? "Refund processed" : "Refund initiated",
+      data: {
+        refund: refundRecord,
+        paymentStatus: status,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Lift a login lockout and reset the failed attempt count
+// @access  Support, Admin
+router.post("/users/:id/unlock", byId, async (req, res, next) => {
+  try {
+    const user = await users.findAccountById(req.params.id)
+
+    if (!user) {
+      throw new NotFoundError("User not found")
+    }
+
+    await users.clearLoginFailures(user.id)
+
+    await audit(req, {
+      action: "user.unlock",
+      targetType: "user",
+      targetId: user.id,
+      before: { failed_login_attempts: user.failed_login_attempts, locked_until: user.locked_until },
+      after: { failed_login_attempts: 0, locked_until: null },
+    })
+
+    res.json({
+      success: true,
+      message: "Account unlocked",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/admin/coupons/:id/reassign
+// @desc    Give a coupon code to a different completed payment of the same course
+// @access  Admin
+router.post("/coupons/:id/reassign", adminOnly, reassignInput, async (req, res, next) => {
+  try {
+    const coupon = await coupons.findById(req.params.id)
+    const payment = await payments.findById(req.body.paymentId)
+
+    if (!coupon || !payment) {
+      throw new NotFoundError(coupon ? "Payment record not found" : "Coupon code not found")
+    }
+
+    if (coupon.course_id !== payment.course_id || !["completed", "partially_refunded"].includes(payment.status)) {
+      throw new ValidationError("Coupon codes can only go to a completed payment for the same course", {
+        code: "INELIGIBLE_PAYMENT",
+      })
+    }
+
+    let reassigned
+    try {
+      reassigned = await coupons.reassign(coupon.id, payment.id)
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("That payment already holds a coupon code", { code: "COUPON_ALREADY_ASSIGNED" })
+      }
+      throw error
+    }
+
+    if (!reassigned) {
+      throw new ValidationError(`Coupon code cannot be reassigned in status '${coupon.status}'`, {
+        code: "INVALID_COUPON_STATUS",
+      })
+    }
+
+    await audit(req, {
+      action: "coupon.reassign",
+      targetType: "coupon",
+      targetId: coupon.id,
+      before: { status: coupon.status, payment_id: coupon.payment_id },
+      after: { status: reassigned.status, payment_id: reassigned.payment_id },
+      reason: req.body.reason,
+    })
+
+    res.json({
+      success: true,
+      message: "Coupon code reassigned",
+      data: {
+        coupon: reassigned,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/admin/payments/:id/status
+// @desc    Manually mark a payment as completed or failed, e.g. after checking it in the Razorpay dashboard
+// @access  Admin
+router.post("/payments/:id/status", adminOnly, paymentStatusInput, async (req, res, next) => {
+  try {
+    const { status, reason } = req.body
+    const payment = await payments.findById(req.params.id)
+
+    if (!payment) {
+      throw new NotFoundError("Payment record not found")
+    }
+
+    if (!canTransition(payment.status, status)) {
+      throw new ValidationError(`Payment cannot move from '${payment.status}' to '${status}'`, {
+        code: "INVALID_PAYMENT_STATUS",
+      })
+    }
+
+    const changes =
+      status === "completed" ? { verified: true, verified_at: new Date() } : { failure_reason: reason }
+    const updated = await transitionPayment(payment.id, status, changes)
+
+    if (!updated) {
+      throw new ConflictError("Payment was updated concurrently, please retry", { code: "CONCURRENT_UPDATE" })
+    }
+
+    const couponCode = status === "completed" ? await assignCoupon(updated) : null
+
+    if (status === "completed") {
+      await issueInvoiceForPayment(updated.id)
+    }
+
+    await audit(req, {
+      action: `payment.mark_${status}`,
+      targetType: "payment",
+      targetId: payment.id,
+      before: { status: payment.status, verified: payment.verified },
+      after: { status: updated.status, verified: updated.verified, coupon_code: couponCode },
+      reason,
+    })
+
+    res.json({
+      success: true,
+      message: `Payment marked as ${status}`,
+      data: {
+        payment: updated,
+        couponCode,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/reconciliation-runs
+// @desc    Reconciliation runs against Razorpay, newest first
+// @access  Support, Admin
+router.get("/reconciliation-runs", listInput, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = pagination(req.query)
+    const { runs, total } = await reconciliationRuns.list({ limit, offset })
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/reconciliation-runs/:id
+// @desc    One reconciliation run, with what it fixed and what needs review
+// @access  Support, Admin
+router.get("/reconciliation-runs/:id", byId, async (req, res, next) => {
+  try {
+    const run = await reconciliationRuns.findById(req.params.id)
+
+    if (!run) {
+      throw new NotFoundError("Reconciliation run not found")
+    }
+
+    res.json({
+      success: true,
+      data: {
+        run,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/admin/reconciliation-runs
+// @desc    Reconcile with Razorpay now instead of waiting for the scheduled run. Optional dryRun,
+//          windowHours and orderTtlMinutes as for scripts/reconcile.js.
+// @access  Admin
+router.post("/reconciliation-runs", adminOnly, reconcileInput, async (req, res, next) => {
+  try {
+    const { razorpay } = req.app.locals
+    const { dryRun, windowHours, orderTtlMinutes } = req.body
+
+    if (!razorpay) {
+      throw new AppError("Payment service not configured", { code: "PAYMENTS_NOT_CONFIGURED" })
+    }
+
+    const run = await reconcile(razorpay, { dryRun, windowHours, orderTtlMinutes })
+
+    await audit(req, {
+      action: "payment.reconcile",
+      targetType: "reconciliation_run",
+      targetId: run.id,
+      after: { dry_run: run.dry_run, fixes: run.fixes.length, needs_review: run.needs_review.length },
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `Reconciled: ${run.fixes.length} fixed, ${run.needs_review.length} need review`,
+      data: {
+        run,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/promotions
+// @desc    List promotions, newest first, with how many uses each currently holds
+// @access  Support, Admin
+router.get("/promotions", listInput, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = pagination(req.query)
+    const { promotions: results, total } = await promotions.list({ limit, offset })
+
+    res.json({
+      success: true,
+      data: {
+        promotions: results,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/admin/promotions
+// @desc    Create a promotion (code, percentOff or amountOff, optional courseId, startsAt, endsAt,
+//          maxRedemptions, maxRedemptionsPerUser, description)
+// @access  Admin
+router.post("/promotions", adminOnly, createPromotionInput, async (req, res, next) => {
+  try {
+    const values = parsePromotionInput(req.body)
+    const errors = promotionInputErrors(values)
+
+    if (errors.length > 0) {
+      throw invalidFields(errors)
+    }
+
+    if (values.course_id && !(await courses.exists(values.course_id))) {
+      throw new NotFoundError("Course not found")
+    }
+
+    let promotion
+    try {
+      promotion = await promotions.create(values, req.user.id)
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("A promotion with that code already exists", { code: "PROMOTION_CODE_TAKEN" })
+      }
+      throw error
+    }
+
+    await audit(req, {
+      action: "promotion.create",
+      targetType: "promotion",
+      targetId: promotion.id,
+      after: promotion,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Promotion created",
+      data: {
+        promotion,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   PATCH /api/admin/promotions/:id
+// @desc    Change a promotion's discount, scope, dates, limits or description, or switch it off
+//          with { active: false }. The code cannot be changed.
+// @access  Admin
+router.patch("/promotions/:id", adminOnly, updatePromotionInput, async (req, res, next) => {
+  try {
+    const existing = await promotions.findById(req.params.id)
+
+    if (!existing) {
+      throw new NotFoundError("Promotion not found")
+    }
+
+    const values = parsePromotionInput(req.body)
+    const errors = promotionInputErrors(values, existing)
+
+    if (errors.length > 0) {
+      throw invalidFields(errors)
+    }
+
+    if (Object.keys(values).length === 0) {
+      throw new ValidationError("Nothing to update", { code: "NOTHING_TO_UPDATE" })
+    }
+
+    if (values.course_id && !(await courses.exists(values.course_id))) {
+      throw new NotFoundError("Course not found")
+    }
+
+    const promotion = await promotions.update(existing.id, values)
+    const changed = Object.keys(values)
+
+    await audit(req, {
+      action: "promotion.update",
+      targetType: "promotion",
+      targetId: promotion.id,
+      before: Object.fromEntries(changed.map((column) => [column, existing[column]])),
+      after: Object.fromEntries(changed.map((column) => [column, promotion[column]])),
+      reason: req.body.reason,
+    })
+
+    res.json({
+      success: true,
+      message: "Promotion updated",
+      data: {
+        promotion,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/ads
+// @desc    List ad creatives, optionally for one ?placement=, with impressions, clicks and
+//          click-through rate to date
+// @access  Support, Admin
+router.get("/ads", listAdsInput, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = pagination(req.query)
+    const { creatives, total } = await ads.list({ placement: req.query.placement, limit, offset })
+
+    res.json({
+      success: true,
+      data: {
+        creatives: creatives.map((creative) => ({ ...creative, click_through_rate: clickThroughRate(creative) })),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/admin/ads
+// @desc    Create an ad creative (placement, name, html or imageUrl, optional linkUrl, weight,
+//          startsAt, endsAt, frequencyCap, minDisplaySeconds)
+// @access  Admin
+router.post("/ads", adminOnly, createAdInput, async (req, res, next) => {
+  try {
+    const values = parseAdInput(req.body)
+    const errors = adInputErrors(values)
+
+    if (errors.length > 0) {
+      throw invalidFields(errors)
+    }
+
+    const creative = await ads.create(values, req.user.id)
+
+    await audit(req, {
+      action: "ad.create",
+      targetType: "ad",
+      targetId: creative.id,
+      after: creative,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Ad created",
+      data: {
+        creative,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   PATCH /api/admin/ads/:id
+// @desc    Change any of an ad creative's fields, or switch it off with { active: false }
+// @access  Admin
+router.patch("/ads/:id", adminOnly, updateAdInput, async (req, res, next) => {
+  try {
+    const existing = await ads.findById(req.params.id)
+
+    if (!existing) {
+      throw new NotFoundError("Ad not found")
+    }
+
+    const values = parseAdInput(req.body)
+    const errors = adInputErrors(values, existing)
+
+    if (errors.length > 0) {
+      throw invalidFields(errors)
+    }
+
+    if (Object.keys(values).length === 0) {
+      throw new ValidationError("Nothing to update", { code: "NOTHING_TO_UPDATE" })
+    }
+
+    const creative = await ads.update(existing.id, values)
+    const changed = Object.keys(values)
+
+    await audit(req, {
+      action: "ad.update",
+      targetType: "ad",
+      targetId: creative.id,
+      before: Object.fromEntries(changed.map((column) => [column, existing[column]])),
+      after: Object.fromEntries(changed.map((column) => [column, creative[column]])),
+      reason: req.body.reason,
+    })
+
+    res.json({
+      success: true,
+      message: "Ad updated",
+      data: {
+        creative,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/ads/:id/stats
+// @desc    A creative's impressions, clicks and click-through rate per day, ?from=&to= (YYYY-MM-DD,
+//          UTC, default the last 30 days)
+// @access  Support, Admin
+router.get("/ads/:id/stats", adStatsInput, async (req, res, next) => {
+  try {
+    const creative = await ads.findById(req.params.id)
+
+    if (!creative) {
+      throw new NotFoundError("Ad not found")
+    }
+
+    const range = parseDateRange(req.query)
+
+    if (range.error) {
+      throw new ValidationError(range.error, { code: "INVALID_DATE_RANGE" })
+    }
+
+    const days = fillAdDays(await ads.eventsByDay(creative.id, range), range)
+    const impressions = days.reduce((total, day) => total + day.impressions, 0)
+    const clicks = days.reduce((total, day) => total + day.clicks, 0)
+
+    res.json({
+      success: true,
+      data: {
+        creative,
+        from: range.from,
+        to: range.to,
+        totals: { impressions, clicks, click_through_rate: clickThroughRate({ impressions, clicks }) },
+        days,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/affiliates
+// @desc    Affiliates with unsettled referral earnings, largest payable amount first
+// @access  Support, Admin
+router.get("/affiliates", listInput, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = pagination(req.query)
+    const { affiliates, total } = await referrals.listUnsettled({ holdDays: REFERRAL_PAYOUT_HOLD_DAYS, limit, offset })
+
+    res.json({
+      success: true,
+      data: {
+        affiliates,
+        payoutHoldDays: REFERRAL_PAYOUT_HOLD_DAYS,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/affiliates/:id/ledger
+// @desc    An affiliate's referral totals and ledger entries, newest first
+// @access  Support, Admin
+router.get("/affiliates/:id/ledger", ledgerInput, async (req, res, next) => {
+  try {
+    const user = await users.findAccountById(req.params.id)
+
+    if (!user) {
+      throw new NotFoundError("User not found")
+    }
+
+    const { page, limit, offset } = pagination(req.query)
+    const [summary, { entries, total }] = await Promise.all([
+      referrals.summarize(user.id, REFERRAL_PAYOUT_HOLD_DAYS),
+      referrals.listEntries(user.id, { limit, offset }),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        summary,
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/admin/affiliates/:id/payouts
+// @desc    Record a payout made to an affiliate (amount in paise, which must equal their payable
+//          balance, and the bank or UPI reference), settling their entries past the hold period
+// @access  Admin
+router.post("/affiliates/:id/payouts", adminOnly, payoutInput, async (req, res, next) => {
+  try {
+    const { amount, reference, note = null } = req.body
+    const user = await users.findAccountById(req.params.id)
+
+    if (!user) {
+      throw new NotFoundError("User not found")
+    }
+
+    const { payout, error } = await settlePayout(user.id, {
+      amount,
+      reference,
+      note,
+      settledBy: req.user.id,
+    })
+
+    if (error) {
+      throw new ConflictError(error, { code: "PAYOUT_AMOUNT_CHANGED" })
+    }
+
+    await audit(req, {
+      action: "referral.payout",
+      targetType: "user",
+      targetId: user.id,
+      after: payout,
+      reason: payout.note,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Payout recorded",
+      data: {
+        payout,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/users
+// @desc    Search users by name or email (q) and role
+// @access  Support, Admin
+router.get("/users", searchUsersInput, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = pagination(req.query)
+    const { users: results, total } = await users.search({
+      q: req.query.q,
+      role: req.query.role,
+      limit,
+      offset,
+    })
+
+    res.json({
+      success: true,
+      data: {
+        users: results,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user's account details
+// @access  Support, Admin
+router.get("/users/:id", byId, async (req, res, next) => {
+  try {
+    const user = await users.findAccountById(req.params.id)
+
+    if (!user) {
+      throw new NotFoundError("User not found")
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/users/:id/payments
+// @desc    Get any user's payment history
+// @access  Support, Admin
+router.get("/users/:id/payments", byId, async (req, res, next) => {
+  try {
+    const user = await users.findAccountById(req.params.id)
+
+    if (!user) {
+      throw new NotFoundError("User not found")
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payments: await payments.listForUser(user.id),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role (learner, support or admin)
+// @access  Admin
+router.patch("/users/:id/role", adminOnly, roleInput, async (req, res, next) => {
+  try {
+    const { role } = req.body
+    const userId = req.params.id
+
+    if (userId === req.user.id) {
+      throw new ValidationError("You cannot change your own role", { code: "OWN_ACCOUNT" })
+    }
+
+    const before = await users.findAccountById(userId)
+
+    if (!before) {
+      throw new NotFoundError("User not found")
+    }
+
+    const user = await users.setRole(userId, role)
+
+    await audit(req, {
+      action: "user.set_role",
+      targetType: "user",
+      targetId: user.id,
+      before: { role: before.role },
+      after: { role: user.role },
+      reason: req.body.reason,
+    })
+
+    res.json({
+      success: true,
+      message: `Role changed to ${role}`,
+      data: {
+        user,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/admin/users/:id/disable
+// @desc    Disable an account and sign it out everywhere
+// @access  Admin
+router.post("/users/:id/disable", adminOnly, disableInput, async (req, res, next) => {
+  try {
+    const userId = req.params.id
+
+    if (userId === req.user.id) {
+      throw new ValidationError("You cannot disable your own account", { code: "OWN_ACCOUNT" })
+    }
+
+    const before = await users.findAccountById(userId)
+
+    if (!before) {
+      throw new NotFoundError("User not found")
+    }
+
+    const user = await users.setDisabled(userId, req.body.reason)
+
+    if (!user) {
+      throw accountDeleted()
+    }
+
+    await sessions.revokeAllForUser(userId, "account_disabled")
+
+    await audit(req, {
+      action: "user.disable",
+      targetType: "user",
+      targetId: user.id,
+      before: { disabled_at: before.disabled_at },
+      after: { disabled_at: user.disabled_at },
+      reason: req.body.reason,
+    })
+
+    res.json({
+      success: true,
+      message: "Account disabled",
+      data: {
+        user,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/admin/users/:id/enable
+// @desc    Re-enable a disabled account
+// @access  Admin
+router.post("/users/:id/enable", adminOnly, reasonInput, async (req, res, next) => {
+  try {
+    const userId = req.params.id
+    const before = await users.findAccountById(userId)
+
+    if (!before) {
+      throw new NotFoundError("User not found")
+    }
+
+    const user = await users.setDisabled(userId, null)
+
+    if (!user) {
+      throw accountDeleted()
+    }
+
+    await audit(req, {
+      action: "user.enable",
+      targetType: "user",
+      targetId: user.id,
+      before: { disabled_at: before.disabled_at, disabled_reason: before.disabled_reason },
+      after: { disabled_at: null },
+      reason: req.body.reason,
+    })
+
+    res.json({
+      success: true,
+      message: "Account enabled",
+      data: {
+        user,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/audit-log
+// @desc    Admin actions, newest first, filterable by actorId, action, targetType and targetId
+// @access  Admin
+router.get("/audit-log", adminOnly, auditLogInput, async (req, res, next) => {
+  try {
+    const { page, limit, offset } = pagination(req.query)
+    const { entries, total } = await auditLog.list({
+      actorId: req.query.actorId,
+      action: req.query.action,
+      targetType: req.query.targetType,
+      targetId: req.query.targetId,
+      limit,
+      offset,
+    })
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
@@ -0,0 +1,95 @@
+const express = require("express")
+const ads = require("../repositories/ads")
+const { NotFoundError } = require("../errors")
+const { rateLimit, byIp } = require("../middleware/rateLimit")
+const { PLACEMENT_FIELD, VIEWER_FIELD, isValidViewer, serveAd, creativeView } = require("../services/ads")
+const { validate, optional, string, id } = require("../validation")
+
+const router = express.Router()
+
+// Tracking is open to anyone, so keep one client from padding a creative's numbers
+const trackingLimit = rateLimit({
+  name: "ad-tracking-ip",
+  windowMs: 10 * 60 * 1000,
+  max: 120,
+  key: byIp,
+  message: "Too many ad events from this address",
+})
+
+const serveInput = validate({ params: { placement: PLACEMENT_FIELD }, query: { viewer: VIEWER_FIELD } })
+const impressionInput = validate({ params: { id: id() }, body: { viewerId: VIEWER_FIELD } })
+// Not checked against the viewer pattern: a click without a usable viewer is still redirected
+const clickInput = validate({ params: { id: id() }, query: { viewer: optional(string({ maxLength: 64 })) } })
+
+// Load the creative in :id, or answer 404
+const loadCreative = async (req, res, next) => {
+  try {
+    const creative = await ads.findById(req.params.id)
+
+    if (!creative) {
+      throw new NotFoundError("Ad not found")
+    }
+
+    req.creative = creative
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// @route   GET /api/ads/:placement?viewer=
+// @desc    Pick a creative for the placement, or null when none is live for this viewer
+// @access  Public
+router.get("/:placement", serveInput, async (req, res, next) => {
+  try {
+    const creative = await serveAd(req.params.placement, req.query.viewer)
+
+    res.set("Cache-Control", "no-store")
+    res.json({
+      success: true,
+      data: {
+        creative: creative && creativeView(creative),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/ads/:id/impressions
+// @desc    Record that a viewer was shown a creative
+// @access  Public
+router.post("/:id/impressions", trackingLimit, impressionInput, loadCreative, async (req, res, next) => {
+  try {
+    await ads.recordEvent(req.creative.id, "impression", req.body.viewerId)
+
+    res.status(201).json({
+      success: true,
+      message: "Impression recorded",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/ads/:id/click?viewer=
+// @desc    Record a click on a creative and redirect to its link
+// @access  Public
+router.get("/:id/click", trackingLimit, clickInput, loadCreative, async (req, res, next) => {
+  try {
+    if (!req.creative.link_url) {
+      throw new NotFoundError("This ad has no link", { code: "AD_HAS_NO_LINK" })
+    }
+
+    // A click without a viewer (e.g. a copied link) still gets where it was going, uncounted
+    if (isValidViewer(req.query.viewer)) {
+      await ads.recordEvent(req.creative.id, "click", req.query.viewer)
+    }
+
+    res.redirect(302, req.creative.link_url)
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
@@ -1,124 +1,246 @@
 const express = require("express")
 const bcrypt = require("bcryptjs")
-const jwt = require("jsonwebtoken")
-const { db } = require("../server")
+const { logger } = require("../logger")
+const users = require("../repositories/users")
+const sessions = require("../repositories/sessions")
+const { ValidationError, AuthError, ConflictError } = require("../errors")
 const { authenticateToken } = require("../middleware/auth")
+const { rateLimit, formatWait, byIp, byEmail, byUser } = require("../middleware/rateLimit")
+const { startSession, rotateSession } = require("../services/sessions")
+const {
+  redeemToken,
+  sendVerificationEmail,
+  sendEmailChangeEmails,
+  sendPasswordChangedEmail,
+  sendPasswordResetEmail,
+} = require("../services/accountTokens")
+const { recordFailedLogin, clearFailedLogins } = require("../services/loginLockout")
+const { passwordMatches, confirmEmail, exportAccount, deleteAccount } = require("../services/accounts")
+const { audit } = require("../services/audit")
+const { ensureReferralCode, findReferrer } = require("../services/referrals")
+const { validate, optional, string, email, password, newPassword } = require("../validation")
 
 const router = express.Router()
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: "7d" })
+const FIFTEEN_MINUTES = 15 * 60 * 1000
+const ONE_HOUR = 60 * 60 * 1000
+
+// Per-address limits stop one client trying many accounts; per-account limits stop many clients
+// trying one. Repeated wrong passwords additionally lock the account (services/loginLockout).
+const loginIpLimit = rateLimit({
+  name: "login-ip",
+  windowMs: FIFTEEN_MINUTES,
+  max: 20,
+  key: byIp,
+  message: "Too many login attempts",
+})
+const loginAccountLimit = rateLimit({
+  name: "login-account",
+  windowMs: FIFTEEN_MINUTES,
+  max: 10,
+  key: byEmail,
+  message: "Too many login attempts for this account",
+})
+const signupLimit = rateLimit({
+  name: "signup-ip",
+  windowMs: ONE_HOUR,
+  max: 5,
+  key: byIp,
+  message: "Too many signups from this address",
+})
+const emailIpLimit = rateLimit({
+  name: "email-ip",
+  windowMs: ONE_HOUR,
+  max: 10,
+  key: byIp,
+  message: "Too many email requests",
+})
+const emailAccountLimit = rateLimit({
+  name: "email-account",
+  windowMs: ONE_HOUR,
+  max: 3,
+  key: byEmail,
+  message: "Too many emails requested for this account",
+})
+const resendLimit = rateLimit({
+  name: "verify-resend",
+  windowMs: ONE_HOUR,
+  max: 3,
+  key: byUser,
+  message: "Too many verification emails requested",
+})
+const tokenLimit = rateLimit({
+  name: "token-ip",
+  windowMs: FIFTEEN_MINUTES,
+  max: 20,
+  key: byIp,
+  message: "Too many attempts",
+})
+// Signed-in requests that re-check the password, so a stolen access token cannot be used to
+// guess it; requests without a password do not count
+const passwordCheckLimit = rateLimit({
+  name: "password-check",
+  windowMs: FIFTEEN_MINUTES,
+  max: 10,
+  key: (req) => (req.body.currentPassword || req.body.password ? byUser(req) : null),
+  message: "Too many password attempts",
+})
+const emailChangeLimit = rateLimit({
+  name: "email-change",
+  windowMs: ONE_HOUR,
+  max: 5,
+  key: (req) => (req.body.email ? byUser(req) : null),
+  message: "Too many email changes requested",
+})
+const refreshLimit = rateLimit({
+  name: "refresh-ip",
+  windowMs: FIFTEEN_MINUTES,
+  max: 60,
+  key: byIp,
+  message: "Too many session refreshes",
+})
+const profileLimits = [passwordCheckLimit, emailChangeLimit]
+
+// Tokens from emailed links and refresh tokens are 43 characters of base64url
+const accountToken = () => string({ maxLength: 128 })
+
+const signupInput = validate({
+  body: {
+    name: string({ maxLength: 255 }),
+    email: email(),
+    password: newPassword(),
+    referralCode: optional(string({ maxLength: 16 })),
+  },
+})
+const loginInput = validate({ body: { email: email(), password: password() } })
+const profileInput = validate({
+  body: {
+    name: optional(string({ maxLength: 255 })),
+    email: optional(email()),
+    currentPassword: optional(password()),
+  },
+})
+const changePasswordInput = validate({ body: { currentPassword: password(), newPassword: newPassword() } })
+const deleteAccountInput = validate({ body: { password: password() } })
+const forgotPasswordInput = validate({ body: { email: email() } })
+const resetPasswordInput = validate({ body: { token: accountToken(), password: newPassword() } })
+const verifyEmailInput = validate({ body: { token: accountToken() } })
+const refreshInput = validate({ body: { refreshToken: accountToken() } })
+
+// A wrong password on a signed-in request is a 400: a 401 would tell clients to refresh the session
+const wrongPassword = () => new ValidationError("Current password is incorrect", { code: "WRONG_PASSWORD" })
+
+const emailTaken = () => new ConflictError("User with this email already exists", { code: "EMAIL_TAKEN" })
+
+const accountLocked = (res, seconds) => {
+  res.set("Retry-After", String(seconds))
+  return new AuthError(
+    `Account is temporarily locked after too many failed logins. Try again in ${formatWait(seconds)} or reset your password to unlock it now.`,
+    { status: 423, code: "ACCOUNT_LOCKED" },
+  )
 }
 
 // @route   POST /api/auth/signup
 // @desc    Register a new user
 // @access  Public
-router.post("/signup", async (req, res) => {
+router.post("/signup", signupLimit, signupInput, async (req, res, next) => {
   try {
-    const { name, email, password } = req.body
-
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide name, email, and password",
-      })
-    }
-
-    if (password.length < 8) {
-      return res.status(400).json({
-        success: false,
-        message: "Password must be at least 8 characters long",
-      })
-    }
+    const { name, email, password, referralCode } = req.body
 
     // Check if user already exists
-    const [existingUsers] = await db.execute("SELECT id FROM users WHERE email = ?", [email])
-
-    if (existingUsers.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: "User with this email already exists",
-      })
+    if (await users.emailExists(email)) {
+      throw emailTaken()
     }
 
     // Hash password
     const saltRounds = 12
     const passwordHash = await bcrypt.hash(password, saltRounds)
 
-    // Create user
-    const [result] = await db.execute("INSERT INTO users (name, email, password_hash) VALUES (?, ?, ?)", [
-      name,
-      email,
-      passwordHash,
-    ])
+    // Create user, crediting whoever referred them (an unusable code is ignored, not an error)
+    const referredBy = referralCode ? await findReferrer(referralCode, req) : null
+    let user
 
-    const userId = result.insertId
+    try {
+      user = await users.create({ name, email, passwordHash, referredBy })
+    } catch (error) {
+      // Registered by a concurrent signup since the check above
+      if (error.code === "23505") {
+        throw emailTaken()
+      }
+      throw error
+    }
+    await ensureReferralCode(user.id)
+
+    // Start a session on this device
+    const tokens = await startSession(user.id, req)
 
-    // Generate token
-    const token = generateToken(userId)
+    // A mail outage should not block signing up; the link can be resent later
+    try {
+      await sendVerificationEmail(user)
+    } catch (error) {
+      logger.error("Verification email failed", { userId: user.id, error })
+    }
 
     res.status(201).json({
       success: true,
       message: "User registered successfully",
       data: {
         user: {
-          id: userId,
-          name,
-          email,
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          email_verified_at: user.email_verified_at,
         },
-        token,
+        ...tokens,
       },
     })
   } catch (error) {
-    console.error("Signup error:", error)
-    res.status(500).json({
-      success: false,
-      message: "Registration failed",
-    })
+    next(error)
   }
 })
 
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post("/login", async (req, res) => {
+router.post("/login", loginIpLimit, loginAccountLimit, loginInput, async (req, res, next) => {
   try {
     const { email, password } = req.body
 
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: "Please provide email and password",
-      })
-    }
-
     // Find user
-    const [users] = await db.execute("SELECT id, name, email, password_hash FROM users WHERE email = ?", [email])
+    const user = await users.findByEmailWithPassword(email)
 
-    if (users.length === 0) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid email or password",
-      })
+    if (!user) {
+      throw new AuthError("Invalid email or password", { code: "INVALID_CREDENTIALS" })
     }
 
-    const user = users[0]
+    // A locked account rejects even the right password until the lock runs out
+    if (user.lock_seconds_remaining > 0) {
+      throw accountLocked(res, user.lock_seconds_remaining)
+    }
 
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password_hash)
 
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid email or password",
-      })
+      const lockedFor = await recordFailedLogin(user)
+
+      if (lockedFor > 0) {
+        throw accountLocked(res, lockedFor)
+      }
+
+      throw new AuthError("Invalid email or password", { code: "INVALID_CREDENTIALS" })
+    }
+
+    // Only revealed to someone who knows the password
+    if (user.disabled_at) {
+      throw new AuthError("Account has been disabled", { status: 403, code: "ACCOUNT_DISABLED" })
     }
 
-    // Generate token
-    const token = generateToken(user.id)
+    await clearFailedLogins(user)
+    await loginAccountLimit.reset(req)
+
+    // Start a session on this device
+    const tokens = await startSession(user.id, req)
 
     res.json({
       success: true,
@@ -128,16 +250,13 @@ router.post("/login", async (req, res) => {
           id: user.id,
           name: user.name,
           email: user.email,
+          email_verified_at: user.email_verified_at,
         },
-        token,
+        ...tokens,
       },
     })
   } catch (error) {
-    console.error("Login error:", error)
-    res.status(500).json({
-      success: false,
-      message: "Login failed",
-    })
+    next(error)
   }
 })
 
@@ -153,4 +272,320 @@ router.get("/me", authenticateToken, (req, res) => {
   })
 })
 
+// @route   PATCH /api/auth/me
+// @desc    Update the current user's name and/or email. A new email needs the current password
+//          and only replaces the old one once the link sent to it has been opened.
+// @access  Private
+router.patch("/me", authenticateToken, profileLimits, profileInput, async (req, res, next) => {
+  try {
+    const { name: newName, email: newEmail, currentPassword } = req.body
+
+    if (newName === undefined && newEmail === undefined) {
+      throw new ValidationError("Please provide a name or email to update", { code: "NOTHING_TO_UPDATE" })
+    }
+
+    const changingEmail = newEmail !== undefined && newEmail !== req.user.email
+
+    if (changingEmail) {
+      if (!(await passwordMatches(req.user.id, currentPassword))) {
+        throw wrongPassword()
+      }
+
+      if (await users.emailExists(newEmail)) {
+        throw emailTaken()
+      }
+    }
+
+    let user = req.user
+    if (newName !== undefined && newName !== req.user.name) {
+      user = await users.updateName(req.user.id, newName)
+    }
+
+    if (changingEmail) {
+      await sendEmailChangeEmails(user, newEmail)
+    }
+
+    res.json({
+      success: true,
+      message: changingEmail
+        ? `Profile updated. Open the link we sent to ${newEmail} to confirm your new email address`
+        : "Profile updated",
+      data: {
+        user: {
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          email_verified_at: user.email_verified_at,
+        },
+        pendingEmail: changingEmail ? newEmail : null,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/auth/change-password
+// @desc    Change the password, signing out every other session
+// @access  Private
+router.post("/change-password", authenticateToken, passwordCheckLimit, changePasswordInput, async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body
+
+    if (!(await passwordMatches(req.user.id, currentPassword))) {
+      throw wrongPassword()
+    }
+
+    const saltRounds = 12
+    await users.updatePassword(req.user.id, await bcrypt.hash(newPassword, saltRounds))
+
+    // This device stays signed in; anyone else who knew the old password does not
+    const revoked = await sessions.revokeOthersForUser(req.user.id, req.sessionId, "password_change")
+    await passwordCheckLimit.reset(req)
+
+    try {
+      await sendPasswordChangedEmail(req.user)
+    } catch (error) {
+      logger.error("Password changed email failed", { userId: req.user.id, error })
+    }
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      data: {
+        signedOutSessions: revoked.length,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/auth/me/export
+// @desc    Download everything stored about the current user: profile, payments and sessions
+// @access  Private
+router.get("/me/export", authenticateToken, async (req, res, next) => {
+  try {
+    const archive = await exportAccount(req.user.id)
+
+    res.attachment(`unlock-upskill-account-${req.user.id}.json`)
+    res.json({
+      success: true,
+      data: archive,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   DELETE /api/auth/me
+// @desc    Delete the current user's account. Personal data is anonymized; payment records are
+//          kept for accounting.
+// @access  Private
+router.delete("/me", authenticateToken, passwordCheckLimit, deleteAccountInput, async (req, res, next) => {
+  try {
+    if (!(await passwordMatches(req.user.id, req.body.password))) {
+      throw wrongPassword()
+    }
+
+    await deleteAccount(req.user.id)
+
+    // No personal data in the entry: it would outlive the account
+    await audit(req, {
+      action: "user.delete",
+      targetType: "user",
+      targetId: req.user.id,
+    })
+
+    res.json({
+      success: true,
+      message: "Your account has been deleted",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post("/forgot-password", emailIpLimit, emailAccountLimit, forgotPasswordInput, async (req, res, next) => {
+  try {
+    const user = await users.findByEmail(req.body.email)
+
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user)
+      } catch (error) {
+        logger.error("Password reset email failed", { userId: user.id, error })
+      }
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    res.json({
+      success: true,
+      message: "If an account exists for that email, a reset link is on its way",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token, signing out every session
+// @access  Public (reset token required)
+router.post("/reset-password", tokenLimit, resetPasswordInput, async (req, res, next) => {
+  try {
+    const { token, password } = req.body
+    const redeemed = await redeemToken(token, "password_reset")
+
+    if (!redeemed) {
+      throw new ValidationError("Reset link is invalid or has expired", { code: "INVALID_TOKEN" })
+    }
+
+    const saltRounds = 12
+    await users.updatePassword(redeemed.user_id, await bcrypt.hash(password, saltRounds))
+
+    // Whoever knew the old password is signed out everywhere; the link also proves the inbox is
+    // theirs, so it verifies the email and lifts any lockout
+    await sessions.revokeAllForUser(redeemed.user_id, "password_reset")
+    await users.markEmailVerified(redeemed.user_id, redeemed.email)
+    await users.clearLoginFailures(redeemed.user_id)
+
+    res.json({
+      success: true,
+      message: "Password has been reset, please log in",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email; for an email
+//          change this is when the account switches to the new address
+// @access  Public (verification token required)
+router.post("/verify-email", tokenLimit, verifyEmailInput, async (req, res, next) => {
+  try {
+    const redeemed = await redeemToken(req.body.token, "email_verification")
+
+    let user
+    try {
+      user = redeemed && (await confirmEmail(redeemed))
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError("That email address is already used by another account", { code: "EMAIL_TAKEN" })
+      }
+      throw error
+    }
+
+    if (!user) {
+      throw new ValidationError("Verification link is invalid or has expired", { code: "INVALID_TOKEN" })
+    }
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+      data: {
+        user,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post("/verify-email/resend", authenticateToken, resendLimit, async (req, res, next) => {
+  try {
+    if (req.user.email_verified_at) {
+      throw new ValidationError("Email is already verified", { code: "ALREADY_VERIFIED" })
+    }
+
+    await sendVerificationEmail(req.user)
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (refresh token required)
+router.post("/refresh", refreshLimit, refreshInput, async (req, res, next) => {
+  try {
+    const result = await rotateSession(req.body.refreshToken, req)
+
+    if (result.error) {
+      throw new AuthError(result.error, { code: "INVALID_REFRESH_TOKEN" })
+    }
+
+    res.json({
+      success: true,
+      data: result.tokens,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/auth/logout
+// @desc    Sign out the current session
+// @access  Private
+router.post("/logout", authenticateToken, async (req, res, next) => {
+  try {
+    await sessions.revokeFamily(req.sessionId, "logout")
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   POST /api/auth/logout-all
+// @desc    Sign out every session of the current user, on all devices
+// @access  Private
+router.post("/logout-all", authenticateToken, async (req, res, next) => {
+  try {
+    const revoked = await sessions.revokeAllForUser(req.user.id, "logout_all")
+
+    res.json({
+      success: true,
+      message: `Logged out of ${revoked.length} sessions`,
+      data: {
+        sessions: revoked.length,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices the current user is signed in on
+// @access  Private
+router.get("/sessions", authenticateToken, async (req, res, next) => {
+  try {
+    const result = await sessions.listActiveForUser(req.user.id)
+
+    res.json({
+      success: true,
+      data: {
+        sessions: result.map((session) => ({ ...session, current: session.id === req.sessionId })),
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
 module.exports = router
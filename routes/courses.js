@@ -0,0 +1,80 @@
+const express = require("express")
+const courses = require("../repositories/courses")
+const { NotFoundError } = require("../errors")
+const { validate, optional, string, integer, pageQuery } = require("../validation")
+
+const router = express.Router()
+
+const listInput = validate({
+  query: {
+    ...pageQuery({ maxLimit: 50, defaultLimit: 12 }),
+    q: optional(string({ maxLength: 100 })),
+    currency: optional(
+      string({ pattern: "^[A-Za-z]{3}$", "x-pattern-message": "must be a currency code such as INR" }),
+    ),
+    min_price: optional(integer({ minimum: 0 })),
+    max_price: optional(integer({ minimum: 0 })),
+    sort: optional(string({ enum: courses.SORT_FIELDS, default: "created_at" })),
+    order: optional(string({ enum: ["asc", "desc"], default: "desc" })),
+  },
+})
+const courseInput = validate({ params: { slug: string({ maxLength: 255 }) } })
+
+// @route   GET /api/courses
+// @desc    List published courses (page, limit, q, currency, min_price, max_price, sort, order)
+// @access  Public
+router.get("/", listInput, async (req, res, next) => {
+  try {
+    const { page, limit } = req.query
+
+    const { courses: results, total } = await courses.listPublished({
+      q: req.query.q,
+      currency: req.query.currency && req.query.currency.toUpperCase(),
+      minPrice: req.query.min_price,
+      maxPrice: req.query.max_price,
+      sort: req.query.sort,
+      order: req.query.order,
+      limit,
+      offset: (page - 1) * limit,
+    })
+
+    res.json({
+      success: true,
+      data: {
+        courses: results,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/courses/:slug
+// @desc    Get a published course
+// @access  Public
+router.get("/:slug", courseInput, async (req, res, next) => {
+  try {
+    const course = await courses.findPublishedBySlug(req.params.slug)
+
+    if (!course) {
+      throw new NotFoundError("Course not found")
+    }
+
+    res.json({
+      success: true,
+      data: {
+        course,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
@@ -1,153 +1,474 @@
 const express = require("express")
 const crypto = require("crypto")
-const { db, razorpay } = require("../server")
-const { authenticateToken } = require("../middleware/auth")
+const { logger } = require("../logger")
+const courses = require("../repositories/courses")
+const payments = require("../repositories/payments")
+const paymentEvents = require("../repositories/paymentEvents")
+const invoices = require("../repositories/invoices")
+const creditNotes = require("../repositories/creditNotes")
+const refunds = require("../repositories/refunds")
+const { AppError, ValidationError, NotFoundError, ConflictError } = require("../errors")
+const { authenticateToken, requireVerifiedEmail } = require("../middleware/auth")
+const { rateLimit, byIp, byUser } = require("../middleware/rateLimit")
+const { assignCoupon } = require("../services/coupons")
+const { reserveRedemption } = require("../services/promotions")
+const { callRazorpay, isValidPaymentSignature, isValidWebhookSignature } = require("../services/razorpay")
+const { validate, object, optional, nullable, string, id } = require("../validation")
+const {
+  GST_STATES,
+  isValidGstin,
+  invoiceUnavailableReason,
+  issueInvoice,
+  issueCreditNote,
+  documentView,
+} = require("../services/invoices")
+const { renderInvoiceHtml, renderInvoicePdf } = require("../services/invoiceRenderer")
+const {
+  MIN_ORDER_AMOUNT,
+  canTransition,
+  transitionPayment,
+  calculateOrderAmount,
+  settleCapturedPayment,
+  handlePaymentEvent,
+} = require("../services/payments")
 
 const router = express.Router()
 
+// Payment routes need a Razorpay client; it is provided by createApp() on app.locals
+const requireRazorpay = (req, res, next) => {
+  if (!req.app.locals.razorpay) {
+    return next(new AppError("Payment service not configured", { code: "PAYMENTS_NOT_CONFIGURED" }))
+  }
+  next()
+}
+
+// Every order is a Razorpay API call, so keep clients from creating them in bulk
+const TEN_MINUTES = 10 * 60 * 1000
+const orderUserLimit = rateLimit({
+  name: "create-order-user",
+  windowMs: TEN_MINUTES,
+  max: 10,
+  key: byUser,
+  message: "Too many orders created",
+})
+const orderIpLimit = rateLimit({
+  name: "create-order-ip",
+  windowMs: TEN_MINUTES,
+  max: 30,
+  key: byIp,
+  message: "Too many orders created from this address",
+})
+const orderLimits = [orderIpLimit, orderUserLimit]
+
+const createOrderInput = validate({
+  body: {
+    courseId: id(),
+    discountCode: optional(string({ maxLength: 64 })),
+    // Optional details for the GST invoice: the buyer's state, and a GSTIN for business purchases
+    billingStateCode: optional(nullable(string({ enum: GST_STATES.map((state) => state.code) }))),
+    billingGstin: optional(nullable(string({ maxLength: 15 }))),
+  },
+})
+// What Razorpay Checkout hands the browser after a successful payment
+const verifyInput = validate({
+  body: {
+    razorpay_order_id: string({ maxLength: 64 }),
+    razorpay_payment_id: string({ maxLength: 64 }),
+    razorpay_signature: string({ maxLength: 128 }),
+  },
+})
+// Webhook events are checked to come from Razorpay before anything else looks at them
+const requireWebhookSignature = (req, res, next) => {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+    return next(new AppError("Webhook secret not configured", { code: "WEBHOOK_NOT_CONFIGURED" }))
+  }
+
+  if (!isValidWebhookSignature(req.rawBody, req.headers["x-razorpay-signature"])) {
+    return next(new ValidationError("Invalid webhook signature", { code: "INVALID_SIGNATURE" }))
+  }
+  next()
+}
+// Only the fields used here are declared; the rest of the event is kept as Razorpay sent it
+const webhookInput = validate({
+  body: object(
+    {
+      event: string({ maxLength: 64 }),
+      payload: optional(object({}, { additionalProperties: true })),
+    },
+    { additionalProperties: true },
+  ),
+})
+
 // @route   POST /api/payments/create-order
-// @desc    Create Razorpay order
+// @desc    Create Razorpay order for a course, priced on the server
 // @access  Private
-router.post("/create-order", authenticateToken, async (req, res) => {
+router.post("/create-order", authenticateToken, orderLimits, requireVerifiedEmail, requireRazorpay, createOrderInput, async (req, res, next) => {
   try {
-    const { amount } = req.body // Amount in rupees
+    const { razorpay } = req.app.locals
+    const { courseId, discountCode, billingStateCode, billingGstin } = req.body
     const userId = req.user.id
+    const gstin = billingGstin ? billingGstin.toUpperCase() : null
 
-    if (!amount || amount < 1) {
-      return res.status(400).json({
-        success: false,
-        message: "Valid amount is required",
-      })
+    if (gstin && !isValidGstin(gstin)) {
+      throw new ValidationError("billingGstin is not a valid GSTIN", { code: "INVALID_GSTIN" })
+    }
+
+    const course = await courses.findPurchasableById(courseId)
+
+    if (!course) {
+      throw new NotFoundError("Course not found")
+    }
+
+    const pricing = await calculateOrderAmount(course, discountCode, userId)
+
+    if (pricing.error) {
+      throw new ValidationError(pricing.error, { code: "PROMOTION_UNAVAILABLE" })
+    }
+
+    if (pricing.amount < MIN_ORDER_AMOUNT) {
+      throw new ValidationError("Order amount is below the minimum payable amount", { code: "AMOUNT_TOO_LOW" })
     }
 
     // Create Razorpay order
     const options = {
-      amount: amount * 100, // Amount in paise
-      currency: "INR",
+      amount: pricing.amount, // Amount in paise
+      currency: course.currency,
       receipt: `user_${userId}_${Date.now()}`,
       notes: {
         userId: userId,
         userName: req.user.name,
+        courseId: course.id,
       },
     }
 
-    const order = await razorpay.orders.create(options)
+    const order = await callRazorpay("Could not create the payment order with Razorpay", () =>
+      razorpay.orders.create(options),
+    )
 
     // Store order in database
-    await db.execute("INSERT INTO payments (user_id, razorpay_order_id, amount, status) VALUES (?, ?, ?, ?)", [
+    const payment = await payments.create({
       userId,
-      order.id,
-      amount,
-      "created",
-    ])
+      courseId: course.id,
+      razorpayOrderId: order.id,
+      amount: pricing.amount,
+      currency: course.currency,
+      discountCode: pricing.discountCode,
+      discountAmount: pricing.discountAmount,
+      billingStateCode: gstin ? gstin.slice(0, 2) : billingStateCode || null,
+      billingGstin: gstin,
+    })
+
+    // The promotion's last use may have gone to another buyer, or the buyer's last use to another
+    // of their orders, while the order was being created
+    const unavailable =
+      pricing.promotion &&
+      (await reserveRedemption(pricing.promotion, {
+        userId,
+        paymentId: payment.id,
+        discountAmount: pricing.discountAmount,
+      }))
+
+    if (unavailable) {
+      await transitionPayment(payment.id, "failed", { failure_reason: unavailable })
+
+      throw new ConflictError(unavailable, { code: "PROMOTION_UNAVAILABLE" })
+    }
 
     res.json({
       success: true,
       data: {
         order,
-        amount: amount,
+        // Public key id for Razorpay Checkout in the browser (the secret stays on the server)
+        keyId: process.env.RAZORPAY_KEY_ID,
+        amount: pricing.amount,
+        currency: course.currency,
+        discountAmount: pricing.discountAmount,
+        discountCode: pricing.discountCode,
+        course: {
+          id: course.id,
+          slug: course.slug,
+          title: course.title,
+        },
       },
     })
   } catch (error) {
-    console.error("Create order error:", error)
-    res.status(500).json({
-      success: false,
-      message: "Failed to create payment order",
-    })
+    next(error)
   }
 })
 
 // @route   POST /api/payments/verify
-// @desc    Verify Razorpay payment
+// @desc    Verify Razorpay payment and release the course entitlement
 // @access  Private
-router.post("/verify", authenticateToken, async (req, res) => {
+router.post("/verify", authenticateToken, requireRazorpay, verifyInput, async (req, res, next) => {
   try {
+    const { razorpay } = req.app.locals
     const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body
 
     const userId = req.user.id
 
     // Verify signature
-    const body = razorpay_order_id + "|" + razorpay_payment_id
-    const expectedSignature = crypto
-      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest("hex")
-
-    if (expectedSignature !== razorpay_signature) {
-      return res.status(400).json({
-        success: false,
-        message: "Payment verification failed",
-      })
+    if (!isValidPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      throw new ValidationError("Payment verification failed", { code: "INVALID_SIGNATURE" })
     }
 
-    // Find payment record
-    const [payments] = await db.execute("SELECT id FROM payments WHERE user_id = ? AND razorpay_order_id = ?", [
-      userId,
-      razorpay_order_id,
-    ])
+    // Find payment record together with the course it was created for
+    const payment = await payments.findForUserByOrderId(userId, razorpay_order_id)
+
+    if (!payment) {
+      throw new NotFoundError("Payment record not found")
+    }
+
+    const entitlement = async () => ({
+      couponCode: await assignCoupon(payment),
+      redirectUrl: payment.redirect_url,
+      course: {
+        id: payment.course_id,
+        title: payment.course_title,
+      },
+    })
+
+    // A retried verification of the same payment gets the same entitlement back
+    if (payment.status === "completed") {
+      if (payment.razorpay_payment_id !== razorpay_payment_id) {
+        throw new ConflictError("Order has already been paid", { code: "ALREADY_PAID" })
+      }
 
-    if (payments.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Payment record not found",
+      return res.json({
+        success: true,
+        message: "Payment already verified",
+        data: await entitlement(),
       })
     }
 
-    const payment = payments[0]
+    if (!canTransition(payment.status, "completed")) {
+      throw new ValidationError(`Payment cannot be verified in status '${payment.status}'`, {
+        code: "INVALID_PAYMENT_STATUS",
+      })
+    }
 
-    // Update payment as verified
-    await db.execute(
-      "UPDATE payments SET razorpay_payment_id = ?, razorpay_signature = ?, verified = 1, status = ?, verified_at = NOW() WHERE id = ?",
-      [razorpay_payment_id, razorpay_signature, "completed", payment.id],
+    // The signature only proves the ids belong together; confirm what was actually charged
+    const razorpayPayment = await callRazorpay("Could not confirm the payment with Razorpay", () =>
+      razorpay.payments.fetch(razorpay_payment_id),
     )
+    const outcome = await settleCapturedPayment(payment, razorpayPayment, razorpay_signature)
+
+    // The webhook or reconciliation completes it once Razorpay captures it
+    if (outcome === "uncaptured") {
+      throw new ConflictError("Payment has not been captured yet, please check back shortly", {
+        code: "PAYMENT_NOT_CAPTURED",
+      })
+    }
+
+    if (outcome === "mismatch") {
+      throw new ValidationError("Payment amount does not match the order", { code: "AMOUNT_MISMATCH" })
+    }
+
+    if (outcome === "conflict") {
+      throw new ConflictError("Payment was updated concurrently, please retry", { code: "CONCURRENT_UPDATE" })
+    }
 
     res.json({
       success: true,
       message: "Payment verified successfully",
-      data: {
-        couponCode: "UPSKILL50", // Static coupon code
-        redirectUrl: "https://www.udemy.com/course/the-complete-web-development-bootcamp/",
-      },
+      data: await entitlement(),
     })
   } catch (error) {
-    console.error("Payment verification error:", error)
-    res.status(500).json({
-      success: false,
-      message: "Payment verification failed",
-    })
+    next(error)
   }
 })
 
 // @route   GET /api/payments/history
 // @desc    Get user's payment history
 // @access  Private
-router.get("/history", authenticateToken, async (req, res) => {
+router.get("/history", authenticateToken, async (req, res, next) => {
   try {
-    const userId = req.user.id
+    const result = await payments.listForUser(req.user.id)
 
-    const [payments] = await db.execute(
-      `
-      SELECT 
-        id, amount, status, verified, created_at, razorpay_payment_id
-      FROM payments 
-      WHERE user_id = ?
-      ORDER BY created_at DESC
-    `,
-      [userId],
-    )
+    res.json({
+      success: true,
+      data: {
+        payments: result,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/payments/billing-states
+// @desc    GST state codes a buyer can pick as their billing state
+// @access  Public
+router.get("/billing-states", (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      states: GST_STATES,
+    },
+  })
+})
+
+// Load the payment in :id for its buyer, or for staff. Anyone else gets the same 404 as for a
+// payment that does not exist.
+const loadPayment = async (req, res, next) => {
+  try {
+    const payment = await payments.findById(req.params.id)
+
+    if (!payment || (payment.user_id !== req.user.id && !["support", "admin"].includes(req.user.role))) {
+      throw new NotFoundError("Payment record not found")
+    }
+
+    req.payment = payment
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+const DOCUMENT_FORMATS = ["html", "pdf", "json"]
+
+// Send an invoice or credit note as ?format=html (the default), pdf or json
+async function sendDocument(req, res, invoice, creditNote = null) {
+  const { format } = req.query
+  const document = creditNote || invoice
+  const view = documentView(invoice, creditNote)
+  const filename = document.number.replace(/\//g, "-")
+
+  if (format === "pdf") {
+    const pdf = await renderInvoicePdf(view)
+    res.attachment(`${filename}.pdf`)
+    res.type("application/pdf")
+    return res.send(pdf)
+  }
+
+  if (format === "json") {
+    return res.json({
+      success: true,
+      data: {
+        [creditNote ? "creditNote" : "invoice"]: document,
+        document: view,
+      },
+    })
+  }
+
+  res.type("html")
+  res.send(renderInvoiceHtml(view))
+}
+
+const documentFormat = optional(string({ enum: DOCUMENT_FORMATS, default: "html" }))
+const paymentInput = validate({ params: { id: id() } })
+const invoiceInput = validate({ params: { id: id() }, query: { format: documentFormat } })
+const creditNoteInput = validate({ params: { id: id(), creditNoteId: id() }, query: { format: documentFormat } })
+
+// @route   GET /api/payments/:id/invoice
+// @desc    GST tax invoice for a completed payment, as HTML, PDF or JSON (?format=)
+// @access  Private (buyer), Support, Admin
+router.get("/:id/invoice", authenticateToken, invoiceInput, loadPayment, async (req, res, next) => {
+  try {
+    // Invoices are normally issued when the payment completes; one that was missed is issued now
+    const invoice = await issueInvoice(req.payment.id)
+
+    if (!invoice) {
+      const reason = invoiceUnavailableReason(req.payment)
+
+      if (reason === "Invoicing is not configured") {
+        throw new AppError(reason, { status: 503, code: "INVOICING_NOT_CONFIGURED" })
+      }
+      throw new ValidationError(reason || "Invoice could not be issued", { code: "INVOICE_UNAVAILABLE" })
+    }
+
+    await sendDocument(req, res, invoice)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/payments/:id/credit-notes
+// @desc    Credit notes issued against the payment's invoice for its refunds
+// @access  Private (buyer), Support, Admin
+router.get("/:id/credit-notes", authenticateToken, paymentInput, loadPayment, async (req, res, next) => {
+  try {
+    const invoice = await invoices.findByPaymentId(req.payment.id)
 
     res.json({
       success: true,
       data: {
-        payments,
+        creditNotes: invoice ? await creditNotes.listForInvoice(invoice.id) : [],
       },
     })
   } catch (error) {
-    console.error("Get payment history error:", error)
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch payment history",
+    next(error)
+  }
+})
+
+// @route   GET /api/payments/:id/credit-notes/:creditNoteId
+// @desc    One credit note, as HTML, PDF or JSON (?format=)
+// @access  Private (buyer), Support, Admin
+router.get(
+  "/:id/credit-notes/:creditNoteId",
+  authenticateToken,
+  creditNoteInput,
+  loadPayment,
+  async (req, res, next) => {
+    try {
+      const invoice = await invoices.findByPaymentId(req.payment.id)
+      const creditNote = invoice && (await creditNotes.findById(req.params.creditNoteId))
+
+      if (!creditNote || creditNote.invoice_id !== invoice.id) {
+        throw new NotFoundError("Credit note not found")
+      }
+
+      // A credit note left unnumbered by an interrupted refund is finished now
+      const numbered = creditNote.number ? creditNote : await issueCreditNote(await refunds.findById(creditNote.refund_id))
+
+      await sendDocument(req, res, invoice, numbered)
+    } catch (error) {
+      next(error)
+    }
+  },
+)
+
+// @route   POST /api/payments/webhook
+// @desc    Receive Razorpay webhook events (signed with RAZORPAY_WEBHOOK_SECRET)
+// @access  Public (signature checked)
+router.post("/webhook", requireWebhookSignature, webhookInput, async (req, res, next) => {
+  try {
+    const event = req.body
+    const eventId =
+      req.headers["x-razorpay-event-id"] || crypto.createHash("sha256").update(req.rawBody).digest("hex")
+    const paymentEntity = event.payload && event.payload.payment && event.payload.payment.entity
+
+    // Record the event; a replay of an already processed event id is a no-op
+    const recorded = await paymentEvents.record({
+      eventId,
+      eventType: event.event,
+      razorpayOrderId: paymentEntity ? paymentEntity.order_id : null,
+      razorpayPaymentId: paymentEntity ? paymentEntity.id : null,
+      payload: event,
+    })
+
+    if (recorded.processed_at) {
+      return res.json({
+        success: true,
+        message: "Event already processed",
+      })
+    }
+
+    const outcome = paymentEntity ? await handlePaymentEvent(event) : "ignored"
+
+    await paymentEvents.markProcessed(recorded.id, outcome)
+
+    logger.info("Webhook processed", { event: event.event, eventId, outcome })
+
+    res.json({
+      success: true,
+      message: "Event processed",
+      data: {
+        outcome,
+      },
     })
+  } catch (error) {
+    // A non-2xx response makes Razorpay retry the delivery later
+    next(error)
   }
 })
 
@@ -0,0 +1,77 @@
+const express = require("express")
+const courses = require("../repositories/courses")
+const { ValidationError, NotFoundError } = require("../errors")
+const { authenticateToken } = require("../middleware/auth")
+const { rateLimit, byIp, byUser } = require("../middleware/rateLimit")
+const { MIN_ORDER_AMOUNT, calculateOrderAmount } = require("../services/payments")
+const { validate, string, id } = require("../validation")
+
+const router = express.Router()
+
+// Keep clients from guessing codes by trying them in bulk
+const TEN_MINUTES = 10 * 60 * 1000
+const validateLimits = [
+  rateLimit({
+    name: "promotion-validate-ip",
+    windowMs: TEN_MINUTES,
+    max: 60,
+    key: byIp,
+    message: "Too many promotion codes tried from this address",
+  }),
+  rateLimit({
+    name: "promotion-validate-user",
+    windowMs: TEN_MINUTES,
+    max: 20,
+    key: byUser,
+    message: "Too many promotion codes tried",
+  }),
+]
+
+const validateInput = validate({ body: { courseId: id(), code: string({ maxLength: 64 }) } })
+
+// @route   POST /api/promotions/validate
+// @desc    Preview the price of a course with a promotion code, without reserving it
+// @access  Private
+router.post("/validate", authenticateToken, validateLimits, validateInput, async (req, res, next) => {
+  try {
+    const { courseId, code } = req.body
+
+    const course = await courses.findPurchasableById(courseId)
+
+    if (!course) {
+      throw new NotFoundError("Course not found")
+    }
+
+    const pricing = await calculateOrderAmount(course, code, req.user.id)
+
+    if (pricing.error) {
+      throw new ValidationError(pricing.error, { code: "PROMOTION_UNAVAILABLE" })
+    }
+
+    if (pricing.amount < MIN_ORDER_AMOUNT) {
+      throw new ValidationError("Order amount is below the minimum payable amount", { code: "AMOUNT_TOO_LOW" })
+    }
+
+    res.json({
+      success: true,
+      message: "Promotion applied",
+      data: {
+        code: pricing.promotion.code,
+        description: pricing.promotion.description,
+        endsAt: pricing.promotion.ends_at,
+        originalAmount: course.price,
+        discountAmount: pricing.discountAmount,
+        amount: pricing.amount,
+        currency: course.currency,
+        course: {
+          id: course.id,
+          title: course.title,
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
@@ -0,0 +1,70 @@
+const express = require("express")
+const referrals = require("../repositories/referrals")
+const { authenticateToken } = require("../middleware/auth")
+const {
+  REFERRAL_COMMISSION_PERCENT,
+  REFERRAL_PAYOUT_HOLD_DAYS,
+  referralLink,
+  ensureReferralCode,
+} = require("../services/referrals")
+const { validate, pageQuery } = require("../validation")
+
+const router = express.Router()
+
+const ledgerInput = validate({ query: pageQuery() })
+
+// @route   GET /api/referrals/me
+// @desc    The user's referral code and link, with what they have earned from it
+// @access  Private
+router.get("/me", authenticateToken, async (req, res, next) => {
+  try {
+    const code = await ensureReferralCode(req.user.id)
+    const summary = await referrals.summarize(req.user.id, REFERRAL_PAYOUT_HOLD_DAYS)
+
+    res.json({
+      success: true,
+      data: {
+        code,
+        link: referralLink(code),
+        commissionPercent: REFERRAL_COMMISSION_PERCENT,
+        payoutHoldDays: REFERRAL_PAYOUT_HOLD_DAYS,
+        referredUsers: summary.referred_users,
+        referredPurchases: summary.referred_purchases,
+        earned: summary.earned,
+        clawedBack: summary.clawed_back,
+        paidOut: summary.paid_out,
+        balance: summary.balance,
+        payable: summary.payable,
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/referrals/ledger
+// @desc    The user's commissions, clawbacks and the payouts that settled them, newest first
+// @access  Private
+router.get("/ledger", authenticateToken, ledgerInput, async (req, res, next) => {
+  try {
+    const { page, limit } = req.query
+    const { entries, total } = await referrals.listEntries(req.user.id, { limit, offset: (page - 1) * limit })
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
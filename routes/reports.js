@@ -0,0 +1,175 @@
+const express = require("express")
+const coupons = require("../repositories/coupons")
+const reports = require("../repositories/reports")
+const { ValidationError } = require("../errors")
+const { authenticateToken, requireRole } = require("../middleware/auth")
+const { COUPON_LOW_STOCK_THRESHOLD } = require("../services/coupons")
+const { ABANDONED_ORDER_MINUTES, parseDateRange, fillRevenueDays, funnelSteps, toCsv } = require("../services/reports")
+const { validate, optional, string, dateRangeQuery } = require("../validation")
+
+const router = express.Router()
+
+// Read-only figures for the admin dashboard; amounts are in paise
+router.use(authenticateToken, requireRole("support", "admin"))
+
+// Every report takes ?from=YYYY-MM-DD&to=YYYY-MM-DD and is also available as a download
+// with ?format=csv
+const reportInput = validate({
+  query: { ...dateRangeQuery(), format: optional(string({ enum: ["json", "csv"], default: "json" })) },
+})
+
+const withDateRange = (req, res, next) => {
+  const range = parseDateRange(req.query)
+
+  if (range.error) {
+    return next(new ValidationError(range.error, { code: "INVALID_DATE_RANGE" }))
+  }
+
+  req.dateRange = range
+  next()
+}
+
+function sendReport(req, res, { name, columns, rows, data = {} }) {
+  const { from, to } = req.dateRange
+
+  if (req.query.format === "csv") {
+    res.attachment(`${name}_${from}_${to}.csv`)
+    res.type("text/csv")
+    return res.send(toCsv(columns, rows))
+  }
+
+  res.json({
+    success: true,
+    data: {
+      from,
+      to,
+      ...data,
+      rows,
+    },
+  })
+}
+
+// @route   GET /api/admin/reports/revenue/daily
+// @desc    Orders, gross, refunded and net revenue for each day in the range
+// @access  Support, Admin
+router.get("/revenue/daily", reportInput, withDateRange, async (req, res, next) => {
+  try {
+    const rows = fillRevenueDays(await reports.revenueByDay(req.dateRange), req.dateRange)
+
+    sendReport(req, res, {
+      name: "revenue_by_day",
+      columns: ["date", "orders", "gross_amount", "discount_amount", "refunded_amount", "net_amount"],
+      rows,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/reports/revenue/courses
+// @desc    Orders, gross, refunded and net revenue for each course in the range
+// @access  Support, Admin
+router.get("/revenue/courses", reportInput, withDateRange, async (req, res, next) => {
+  try {
+    const rows = (await reports.revenueByCourse(req.dateRange)).map((row) => ({
+      ...row,
+      net_amount: row.gross_amount - row.refunded_amount,
+    }))
+
+    sendReport(req, res, {
+      name: "revenue_by_course",
+      columns: ["course_id", "title", "currency", "orders", "gross_amount", "discount_amount", "refunded_amount", "net_amount"],
+      rows,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/reports/funnel
+// @desc    Of the users who signed up in the range, how many created an order and how many paid
+// @access  Support, Admin
+router.get("/funnel", reportInput, withDateRange, async (req, res, next) => {
+  try {
+    const rows = funnelSteps(await reports.signupFunnel(req.dateRange))
+
+    sendReport(req, res, {
+      name: "conversion_funnel",
+      columns: ["step", "users", "percent"],
+      rows,
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/reports/failed-orders
+// @desc    Orders created in the range that failed or were abandoned before payment
+// @access  Support, Admin
+router.get("/failed-orders", reportInput, withDateRange, async (req, res, next) => {
+  try {
+    const rows = await reports.failedOrders({ ...req.dateRange, abandonedAfterMinutes: ABANDONED_ORDER_MINUTES })
+
+    sendReport(req, res, {
+      name: "failed_orders",
+      columns: [
+        "payment_id",
+        "razorpay_order_id",
+        "email",
+        "course_title",
+        "amount",
+        "currency",
+        "discount_code",
+        "outcome",
+        "failure_reason",
+        "created_at",
+      ],
+      rows,
+      data: { abandonedAfterMinutes: ABANDONED_ORDER_MINUTES, limit: reports.MAX_REPORT_ROWS },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/reports/signups
+// @desc    Users who signed up in the range, newest first
+// @access  Support, Admin
+router.get("/signups", reportInput, withDateRange, async (req, res, next) => {
+  try {
+    const rows = await reports.recentSignups(req.dateRange)
+
+    sendReport(req, res, {
+      name: "signups",
+      columns: ["id", "name", "email", "role", "email_verified_at", "purchases", "created_at"],
+      rows,
+      data: { limit: reports.MAX_REPORT_ROWS },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// @route   GET /api/admin/reports/coupons
+// @desc    Coupon codes remaining per course (current stock, not limited by the date range)
+// @access  Support, Admin
+router.get("/coupons", reportInput, withDateRange, async (req, res, next) => {
+  try {
+    await coupons.expireOverdue()
+    const rows = (await coupons.stockByCourse()).map((row) => ({
+      ...row,
+      low_stock: row.available <= COUPON_LOW_STOCK_THRESHOLD,
+    }))
+
+    sendReport(req, res, {
+      name: "coupon_inventory",
+      columns: ["course_id", "title", "available", "assigned", "expired", "revoked", "low_stock"],
+      rows,
+      data: { threshold: COUPON_LOW_STOCK_THRESHOLD },
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+module.exports = router
@@ -0,0 +1,80 @@
+require("dotenv").config()
+const { connectDB, disconnectDB } = require("../db")
+const { migrateUp, migrateDown, migrationStatus } = require("../db/migrator")
+
+// Applies, reverts and lists schema migrations from db/migrations, e.g.
+//   node scripts/migrate.js up [--to 5]
+//   node scripts/migrate.js down [--steps 1]
+//   node scripts/migrate.js status
+
+const USAGE = "Usage: node scripts/migrate.js <up|down|status> [--to version] [--steps n]"
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv
+  const options = { command }
+
+  for (let i = 0; i < rest.length; i += 2) {
+    const value = Number.parseInt(rest[i + 1], 10)
+    switch (rest[i]) {
+      case "--to":
+        options.to = value
+        break
+      case "--steps":
+        options.steps = value
+        break
+      default:
+        throw new Error(`Unknown option ${rest[i]}\n${USAGE}`)
+    }
+
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${rest[i]} expects a non-negative number`)
+    }
+  }
+
+  return options
+}
+
+const label = (migration) => `${String(migration.version).padStart(3, "0")}_${migration.name}`
+
+async function migrate() {
+  try {
+    const options = parseArgs(process.argv.slice(2))
+    const driver = await connectDB({ migrate: false })
+
+    switch (options.command) {
+      case "up": {
+        const applied = await migrateUp(driver, { to: options.to })
+        applied.forEach((migration) => console.log(`⬆️  Applied ${label(migration)}`))
+        console.log(applied.length > 0 ? `✅ Applied ${applied.length} migrations` : "✅ Database is up to date")
+        break
+      }
+      case "down": {
+        const reverted = await migrateDown(driver, { steps: options.steps })
+        reverted.forEach((migration) => console.log(`⬇️  Reverted ${label(migration)}`))
+        console.log(`✅ Reverted ${reverted.length} migrations`)
+        break
+      }
+      case "status": {
+        const status = await migrationStatus(driver)
+        console.log("📋 Migrations:")
+        status.forEach((entry) => {
+          const appliedAt = entry.appliedAt ? ` (${new Date(entry.appliedAt).toISOString()})` : ""
+          console.log(`   ${entry.state.padEnd(8)} ${label(entry)}${appliedAt}`)
+        })
+        if (status.some((entry) => entry.state === "changed" || entry.state === "missing")) {
+          process.exitCode = 1
+        }
+        break
+      }
+      default:
+        throw new Error(USAGE)
+    }
+  } catch (error) {
+    console.error("❌ Migration failed:", error.message)
+    process.exitCode = 1
+  } finally {
+    await disconnectDB()
+  }
+}
+
+migrate()
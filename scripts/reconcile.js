@@ -0,0 +1,122 @@
+require("dotenv").config()
+const fs = require("fs")
+const { connectDB, disconnectDB } = require("../db")
+const { logger } = require("../logger")
+const { createRazorpayClient } = require("../services/razorpay")
+const { reconcile } = require("../services/reconciliation")
+
+// Compares recent payments with Razorpay, fixes what is safe to fix and reports the rest, e.g.
+//   node scripts/reconcile.js --dry-run
+//   node scripts/reconcile.js --window-hours 72 --ttl-minutes 30 --out tmp/reconciliation.json
+// Run it from a scheduler (cron, a Render cron job), or keep it running with --every <minutes>.
+// Every run is also stored in reconciliation_runs, where admins can see it.
+
+const log = logger.child({ job: "reconcile" })
+
+// A whole number above zero for `flag`, or an error
+function positive(flag, value) {
+  const number = Number.parseInt(value, 10)
+
+  if (!(number > 0)) {
+    throw new Error(`${flag} must be a positive whole number`)
+  }
+  return number
+}
+
+function parseArgs(argv) {
+  const options = { dryRun: false }
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--dry-run":
+        options.dryRun = true
+        break
+      case "--window-hours":
+        options.windowHours = positive(argv[i], argv[++i])
+        break
+      case "--ttl-minutes":
+        options.orderTtlMinutes = positive(argv[i], argv[++i])
+        break
+      case "--out":
+        options.out = argv[++i]
+        break
+      case "--every":
+        options.everyMinutes = positive(argv[i], argv[++i])
+        break
+      default:
+        throw new Error(`Unknown option ${argv[i]}`)
+    }
+  }
+
+  return options
+}
+
+async function runOnce(razorpay, options) {
+  const run = await reconcile(razorpay, options)
+
+  log.info("Reconciliation run finished", {
+    runId: run.id,
+    dryRun: run.dry_run,
+    ordersChecked: run.orders_checked,
+    paymentsChecked: run.payments_checked,
+    fixed: run.fixes.length,
+    needsReview: run.needs_review.length,
+  })
+
+  for (const fix of run.fixes) {
+    log.info("Reconciliation fix", {
+      runId: run.id,
+      kind: fix.kind,
+      orderId: fix.razorpay_order_id,
+      detail: fix.detail,
+    })
+  }
+  for (const item of run.needs_review) {
+    log.warn("Reconciliation needs review", {
+      runId: run.id,
+      kind: item.kind,
+      orderId: item.razorpay_order_id,
+      detail: item.detail,
+    })
+  }
+
+  if (options.out) {
+    fs.writeFileSync(options.out, `${JSON.stringify(run, null, 2)}\n`)
+    log.info("Reconciliation report written", { runId: run.id, path: options.out })
+  }
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2))
+    const razorpay = createRazorpayClient()
+
+    if (!razorpay) {
+      throw new Error("RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET environment variables are required")
+    }
+
+    await connectDB()
+
+    if (!options.everyMinutes) {
+      await runOnce(razorpay, options)
+      return
+    }
+
+    // Worker mode: a failed run is logged and the next one still happens
+    for (;;) {
+      try {
+        await runOnce(razorpay, options)
+      } catch (error) {
+        log.error("Reconciliation run failed", { error })
+      }
+      await new Promise((resolve) => setTimeout(resolve, options.everyMinutes * 60 * 1000))
+    }
+  } catch (error) {
+    log.error("Reconciliation failed", { error })
+    process.exitCode = 1
+  } finally {
+    await disconnectDB()
+  }
+}
+
+main()
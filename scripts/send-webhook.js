@@ -0,0 +1,117 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+require("dotenv").config()
+
+// Sends a locally signed Razorpay webhook fixture to a running server, e.g.
+//   node scripts/send-webhook.js payment.captured --order order_ABC123 --amount 9900
+// Fixtures live in scripts/fixtures/webhooks/<event>.json
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "webhooks")
+
+function loadFixture(eventName, overrides = {}) {
+  const file = path.join(FIXTURES_DIR, `${eventName}.json`)
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`No webhook fixture for '${eventName}' in ${FIXTURES_DIR}`)
+  }
+
+  const event = JSON.parse(fs.readFileSync(file, "utf8"))
+  const payment = event.payload.payment && event.payload.payment.entity
+  const order = event.payload.order && event.payload.order.entity
+  const refund = event.payload.refund && event.payload.refund.entity
+
+  if (payment) {
+    if (overrides.orderId) payment.order_id = overrides.orderId
+    if (overrides.paymentId) payment.id = overrides.paymentId
+    if (overrides.amount) payment.amount = overrides.amount
+    if (overrides.amount && payment.amount_refunded) payment.amount_refunded = overrides.amount
+  }
+
+  if (order) {
+    if (overrides.orderId) order.id = overrides.orderId
+    if (overrides.amount) order.amount = order.amount_paid = overrides.amount
+  }
+
+  if (refund) {
+    if (overrides.paymentId) refund.payment_id = overrides.paymentId
+    if (overrides.amount) refund.amount = overrides.amount
+  }
+
+  return event
+}
+
+function signPayload(body, secret) {
+  return crypto.createHmac("sha256", secret).update(body).digest("hex")
+}
+
+function parseArgs(argv) {
+  const [eventName, ...rest] = argv
+  const options = { eventName }
+
+  for (let i = 0; i < rest.length; i += 2) {
+    const value = rest[i + 1]
+    switch (rest[i]) {
+      case "--order":
+        options.orderId = value
+        break
+      case "--payment":
+        options.paymentId = value
+        break
+      case "--amount":
+        options.amount = Number.parseInt(value, 10)
+        break
+      case "--event-id":
+        options.eventId = value
+        break
+      case "--url":
+        options.url = value
+        break
+      default:
+        throw new Error(`Unknown option ${rest[i]}`)
+    }
+  }
+
+  return options
+}
+
+async function sendWebhook() {
+  try {
+    const options = parseArgs(process.argv.slice(2))
+
+    if (!options.eventName) {
+      throw new Error("Usage: node scripts/send-webhook.js <event> [--order id] [--payment id] [--amount paise]")
+    }
+
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+      throw new Error("RAZORPAY_WEBHOOK_SECRET environment variable is required")
+    }
+
+    const body = JSON.stringify(loadFixture(options.eventName, options))
+    const url = options.url || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`
+    const eventId = options.eventId || `evt_${crypto.randomBytes(8).toString("hex")}`
+
+    console.log(`🔔 Sending ${options.eventName} (${eventId}) to ${url}`)
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Razorpay-Signature": signPayload(body, process.env.RAZORPAY_WEBHOOK_SECRET),
+        "X-Razorpay-Event-Id": eventId,
+      },
+      body,
+    })
+
+    console.log(`📨 ${response.status}:`, await response.json())
+  } catch (error) {
+    console.error("❌ Sending webhook failed:", error.message)
+    process.exitCode = 1
+  }
+}
+
+if (require.main === module) {
+  sendWebhook()
+}
+
+module.exports = { loadFixture, signPayload }
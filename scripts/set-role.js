@@ -0,0 +1,47 @@
+require("dotenv").config()
+const { connectDB, disconnectDB } = require("../db")
+const users = require("../repositories/users")
+const auditLog = require("../repositories/auditLog")
+
+// Grants a role from the command line, e.g. to create the first admin:
+//   node scripts/set-role.js someone@example.com admin
+
+async function setRole() {
+  try {
+    const [email, role] = process.argv.slice(2)
+
+    if (!email || !users.ROLES.includes(role)) {
+      throw new Error(`Usage: node scripts/set-role.js <email> <${users.ROLES.join("|")}>`)
+    }
+
+    await connectDB()
+
+    const before = await users.findByEmail(email.trim().toLowerCase())
+
+    if (!before) {
+      throw new Error(`No user with email ${email}`)
+    }
+
+    const user = await users.setRole(before.id, role)
+
+    await auditLog.record({
+      actorId: null,
+      action: "user.set_role",
+      targetType: "user",
+      targetId: user.id,
+      before: { role: before.role },
+      after: { role: user.role },
+      reason: "Set from the command line",
+      ipAddress: null,
+    })
+
+    console.log(`✅ ${user.email} is now ${user.role}`)
+  } catch (error) {
+    console.error("❌ Setting role failed:", error.message)
+    process.exitCode = 1
+  } finally {
+    await disconnectDB()
+  }
+}
+
+setRole()
@@ -0,0 +1,139 @@
+const userTokens = require("../repositories/userTokens")
+const { sendMail } = require("../mailer")
+const { generateToken, hashToken } = require("./tokens")
+
+const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 24 * 60,
+}
+
+// Links in emails point at the web app, which posts the token back to the API
+const appUrl = (pathname, token) =>
+  `${process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`}${pathname}?token=${encodeURIComponent(token)}`
+
+// `email` is the address the link goes to; redeeming the token proves the user reads it
+async function issueToken(user, purpose, email = user.email) {
+  const token = generateToken()
+
+  await userTokens.invalidateForUser(user.id, purpose)
+  await userTokens.create({
+    userId: user.id,
+    purpose,
+    tokenHash: hashToken(token),
+    email,
+    ttlMinutes: TOKEN_TTL_MINUTES[purpose],
+  })
+
+  return token
+}
+
+// Resolves to { id, user_id, email } for a valid token, which can then never be used again
+const redeemToken = (token, purpose) =>
+  typeof token === "string" && token ? userTokens.consume(hashToken(token), purpose) : null
+
+async function sendVerificationEmail(user) {
+  const link = appUrl("/verify-email", await issueToken(user, "email_verification"))
+
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Please confirm your email address so we can send your course coupons to it:",
+      link,
+      "",
+      "The link expires in 24 hours. If you did not create an account, you can ignore this email.",
+    ].join("\n"),
+  })
+}
+
+// The account keeps its current address until the link sent to the new one is opened; the
+// current address is told about the request in case someone else made it
+async function sendEmailChangeEmails(user, newEmail) {
+  const link = appUrl("/verify-email", await issueToken(user, "email_verification", newEmail))
+
+  await sendMail({
+    to: newEmail,
+    subject: "Confirm your new email address",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Please confirm that you want to use this address for your Unlock UpSkill account:",
+      link,
+      "",
+      "The link expires in 24 hours. If you did not ask for this, you can ignore this email.",
+    ].join("\n"),
+  })
+
+  await sendMail({
+    to: user.email,
+    subject: "Your email address is being changed",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      `Someone asked to change the email address of your Unlock UpSkill account to ${newEmail}.`,
+      "Nothing changes until the link sent to that address is opened.",
+      "",
+      "If it was not you, reset your password to secure your account.",
+    ].join("\n"),
+  })
+}
+
+async function sendPasswordChangedEmail(user) {
+  await sendMail({
+    to: user.email,
+    subject: "Your password has been changed",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "The password of your Unlock UpSkill account was just changed, and your other devices were signed out.",
+      "",
+      "If it was not you, reset your password straight away using \"Forgot password?\" on the sign-in page.",
+    ].join("\n"),
+  })
+}
+
+async function sendPasswordResetEmail(user) {
+  const link = appUrl("/reset-password", await issueToken(user, "password_reset"))
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      "Someone asked to reset the password of your Unlock UpSkill account. Choose a new one here:",
+      link,
+      "",
+      "The link expires in 1 hour and works once. If it was not you, you can ignore this email.",
+    ].join("\n"),
+  })
+}
+
+async function sendAccountLockedEmail(user, minutes) {
+  const link = appUrl("/reset-password", await issueToken(user, "password_reset"))
+
+  await sendMail({
+    to: user.email,
+    subject: "Your account has been locked",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      `After several failed sign-in attempts your Unlock UpSkill account is locked for ${minutes} minutes.`,
+      "If that was you and you have forgotten your password, reset it here to unlock the account now:",
+      link,
+      "",
+      "If it was not you, resetting your password is a good idea too.",
+    ].join("\n"),
+  })
+}
+
+module.exports = {
+  redeemToken,
+  sendVerificationEmail,
+  sendEmailChangeEmails,
+  sendPasswordChangedEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+}
@@ -0,0 +1,54 @@
+const bcrypt = require("bcryptjs")
+const users = require("../repositories/users")
+const sessions = require("../repositories/sessions")
+const userTokens = require("../repositories/userTokens")
+const payments = require("../repositories/payments")
+const { generateToken } = require("./tokens")
+
+// Check a password the user typed against the stored hash
+async function passwordMatches(userId, password) {
+  const passwordHash = typeof password === "string" && password ? await users.findPasswordHash(userId) : null
+  return !!passwordHash && bcrypt.compare(password, passwordHash)
+}
+
+// A verification token proves its holder reads the address it was sent to. Verify that address,
+// or switch the account over to it when the link was sent for an email change.
+// Resolves to the user, or null if the account is gone; rejects with 23505 if the new address has
+// been taken by another account in the meantime.
+async function confirmEmail({ user_id, email }) {
+  return (await users.markEmailVerified(user_id, email)) || users.changeEmail(user_id, email)
+}
+
+// Everything stored about the user, for a data export
+async function exportAccount(userId) {
+  const [profile, paymentHistory, devices] = await Promise.all([
+    users.findAccountById(userId),
+    payments.listForUser(userId),
+    sessions.listActiveForUser(userId),
+  ])
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    payments: paymentHistory,
+    sessions: devices,
+  }
+}
+
+// Anonymize the account, sign it out everywhere and drop its device history and email links.
+// Payments are kept for accounting; they only point at the anonymized row.
+// Resolves to false if the account was already deleted.
+async function deleteAccount(userId) {
+  const unusablePasswordHash = await bcrypt.hash(generateToken(), 12)
+
+  if (!(await users.anonymize(userId, unusablePasswordHash))) {
+    return false
+  }
+
+  await sessions.deleteForUser(userId)
+  await userTokens.deleteForUser(userId)
+
+  return true
+}
+
+module.exports = { passwordMatches, confirmEmail, exportAccount, deleteAccount }
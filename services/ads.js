@@ -0,0 +1,140 @@
+const ads = require("../repositories/ads")
+const { string } = require("../validation")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const PLACEMENT_PATTERN = /^[a-z0-9-]{1,64}$/
+// Browsers make up their own viewer id (see public/index.html)
+const VIEWER_PATTERN = /^[A-Za-z0-9_-]{8,64}$/
+
+// The same rules as request schema fields (see validation/)
+const PLACEMENT_FIELD = string({
+  pattern: PLACEMENT_PATTERN.source,
+  "x-pattern-message": "must be 1-64 lower-case letters, digits or '-'",
+})
+const VIEWER_FIELD = string({
+  pattern: VIEWER_PATTERN.source,
+  "x-pattern-message": "must be 8-64 letters, digits, '-' or '_'",
+})
+
+// Absolute http(s) URLs, or paths on this site
+const URL_FIELD = string({
+  maxLength: 2048,
+  pattern: "^(https?://[^\\s/?#]+|/(?!/))\\S*$",
+  "x-pattern-message": "must be an http(s) URL or a path on this site",
+})
+
+// Request fields an admin may set on a creative, and the columns they are stored in
+const AD_COLUMNS = {
+  placement: "placement",
+  name: "name",
+  html: "html",
+  imageUrl: "image_url",
+  linkUrl: "link_url",
+  weight: "weight",
+  startsAt: "starts_at",
+  endsAt: "ends_at",
+  frequencyCap: "frequency_cap",
+  minDisplaySeconds: "min_display_seconds",
+  active: "active",
+}
+
+const isValidViewer = (viewerId) => typeof viewerId === "string" && VIEWER_PATTERN.test(viewerId)
+
+// Pick one creative at random, each in proportion to its weight
+function pickCreative(creatives) {
+  let ticket = Math.random() * creatives.reduce((total, creative) => total + creative.weight, 0)
+
+  return creatives.find((creative) => (ticket -= creative.weight) < 0) || creatives[creatives.length - 1] || null
+}
+
+// The creative to show a viewer in a placement, or null when none is live for them
+async function serveAd(placement, viewerId) {
+  return pickCreative(await ads.listLive(placement, viewerId))
+}
+
+// What the website needs to show a creative. Clicks go through the tracking redirect.
+const creativeView = (creative) => ({
+  id: creative.id,
+  placement: creative.placement,
+  html: creative.html,
+  imageUrl: creative.image_url,
+  clickUrl: creative.link_url ? `/api/ads/${creative.id}/click` : null,
+  minDisplaySeconds: creative.min_display_seconds,
+})
+
+// An admin's creative fields, already checked one by one (see routes/admin), as column values.
+// Only the fields sent are included.
+function parseAdInput(body) {
+  const values = {}
+
+  for (const [field, column] of Object.entries(AD_COLUMNS)) {
+    if (body[field] !== undefined) {
+      values[column] = body[field]
+    }
+  }
+
+  for (const column of ["starts_at", "ends_at"]) {
+    if (values[column]) {
+      values[column] = new Date(values[column])
+    }
+  }
+
+  return values
+}
+
+// How the columns from parseAdInput() fit together. With `existing`, a change is checked against
+// the rest of the stored creative. Returns { field, message } errors for invalidFields().
+function adInputErrors(values, existing = null) {
+  const errors = []
+  const current = (column) => (values[column] !== undefined ? values[column] : existing && existing[column])
+
+  if (!current("html") && !current("image_url")) {
+    errors.push({ field: "html", message: "or imageUrl is required" })
+  }
+
+  const startsAt = current("starts_at")
+  const endsAt = current("ends_at")
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    errors.push({ field: "endsAt", message: "must be after startsAt" })
+  }
+
+  return errors
+}
+
+// Clicks per impression as a percentage, to two decimal places
+const clickThroughRate = ({ impressions, clicks }) =>
+  impressions > 0 ? Math.round((clicks / impressions) * 10000) / 100 : 0
+
+// Turn the epoch day numbers from ads.eventsByDay into one row per calendar day of the range,
+// with empty days filled in and the click-through rate worked out
+function fillAdDays(rows, range) {
+  const byDay = new Map(rows.map((row) => [row.day, row]))
+  const days = []
+
+  for (let time = Date.parse(range.start); time < Date.parse(range.end); time += DAY_MS) {
+    const row = byDay.get(time / DAY_MS) || { impressions: 0, clicks: 0 }
+
+    days.push({
+      date: new Date(time).toISOString().slice(0, 10),
+      impressions: row.impressions,
+      clicks: row.clicks,
+      click_through_rate: clickThroughRate(row),
+    })
+  }
+
+  return days
+}
+
+module.exports = {
+  PLACEMENT_FIELD,
+  VIEWER_FIELD,
+  URL_FIELD,
+  isValidViewer,
+  serveAd,
+  creativeView,
+  parseAdInput,
+  adInputErrors,
+  fillAdDays,
+  clickThroughRate,
+}
@@ -0,0 +1,23 @@
+const auditLog = require("../repositories/auditLog")
+const { logger } = require("../logger")
+
+// Record an admin action taken by the signed-in user of `req`. The action has already happened by
+// the time this runs, so a failed write is logged rather than turned into an error response.
+async function audit(req, { action, targetType, targetId, before, after, reason }) {
+  try {
+    await auditLog.record({
+      actorId: req.user.id,
+      action,
+      targetType,
+      targetId,
+      before,
+      after,
+      reason: reason || null,
+      ipAddress: req.ip || null,
+    })
+  } catch (error) {
+    logger.error("Audit log write failed", { action, targetType, targetId, error })
+  }
+}
+
+module.exports = { audit }
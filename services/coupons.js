@@ -0,0 +1,80 @@
+const coupons = require("../repositories/coupons")
+const { logger } = require("../logger")
+
+const COUPON_LOW_STOCK_THRESHOLD = Number.parseInt(process.env.COUPON_LOW_STOCK_THRESHOLD, 10) || 10
+const COUPON_CODE_PATTERN = /^[A-Za-z0-9_-]{3,64}$/
+
+// Warn operations when a course is about to run out of codes to hand out
+async function checkCouponStock(courseId) {
+  const available = await coupons.countAvailable(courseId)
+
+  if (available <= COUPON_LOW_STOCK_THRESHOLD) {
+    logger.warn("Low coupon stock", { courseId, available })
+  }
+
+  return available
+}
+
+const activeCode = (coupon) => (coupon && coupon.status === "assigned" ? coupon.code : null)
+
+// Give a completed payment one unused coupon for its course and return the code (null when out of stock).
+// Safe to call repeatedly and concurrently: the claim skips rows other requests hold, and the
+// unique payment_id means a payment never ends up holding two codes.
+async function assignCoupon(payment) {
+  const existing = await coupons.findByPaymentId(payment.id)
+  if (existing) {
+    return activeCode(existing)
+  }
+
+  let code
+  try {
+    code = await coupons.claimForPayment(payment.id, payment.course_id)
+  } catch (error) {
+    // Another request assigned a code to this payment first
+    if (error.code === "23505") {
+      return activeCode(await coupons.findByPaymentId(payment.id))
+    }
+    throw error
+  }
+
+  if (!code) {
+    logger.warn("Coupon stock exhausted", { paymentId: payment.id, courseId: payment.course_id })
+    return null
+  }
+
+  await checkCouponStock(payment.course_id)
+
+  return code
+}
+
+// Parse an uploaded coupon CSV: one code per line, optional expiry in the second column
+function parseCouponCsv(text) {
+  const parsed = []
+  const invalid = []
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const [rawCode = "", rawExpiry = ""] = line.split(",").map((cell) => cell.trim().replace(/^"|"$/g, ""))
+
+    if (!rawCode || (index === 0 && rawCode.toLowerCase() === "code")) {
+      return
+    }
+
+    const expiresAt = rawExpiry ? new Date(rawExpiry) : null
+
+    if (!COUPON_CODE_PATTERN.test(rawCode) || (expiresAt && Number.isNaN(expiresAt.getTime()))) {
+      invalid.push({ line: index + 1, value: line.trim() })
+      return
+    }
+
+    parsed.push({ code: rawCode, expiresAt })
+  })
+
+  return { coupons: parsed, invalid }
+}
+
+module.exports = {
+  COUPON_LOW_STOCK_THRESHOLD,
+  checkCouponStock,
+  assignCoupon,
+  parseCouponCsv,
+}
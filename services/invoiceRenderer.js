@@ -0,0 +1,164 @@
+const PDFDocument = require("pdfkit")
+
+// Render the view from invoices.documentView() as a standalone HTML page or an A4 PDF
+
+const formatAmount = (paise) =>
+  (paise / 100).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric", timeZone: "Asia/Kolkata" })
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+
+// Label/value rows for the header of the document
+function detailRows(view) {
+  const rows = [
+    [`${view.title} No.`, view.number],
+    ["Date", formatDate(view.issuedAt)],
+  ]
+
+  if (view.reference) {
+    rows.push(["Against invoice", `${view.reference.number} dated ${formatDate(view.reference.issuedAt)}`])
+    rows.push(["Reason", view.reason])
+  }
+
+  rows.push(["Place of supply", view.placeOfSupply], ["Reverse charge", view.reverseCharge])
+  return rows
+}
+
+function partyLines(party) {
+  return [
+    party.name,
+    party.address,
+    party.email,
+    party.gstin ? `GSTIN: ${party.gstin}` : null,
+    `State: ${party.stateName} (${party.stateCode})`,
+  ].filter(Boolean)
+}
+
+// Amount rows below the line item, ending with the total
+function amountRows(view) {
+  return [
+    ["Taxable value", view.line.taxableAmount],
+    ...view.taxes.map((tax) => [tax.label, tax.amount]),
+    [view.reference ? "Total credited" : "Total", view.totalAmount],
+  ]
+}
+
+function renderInvoiceHtml(view) {
+  const details = detailRows(view)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join("")
+  const party = (heading, lines) =>
+    `<div class="party"><h2>${heading}</h2>${lines.map((line) => `<div>${escapeHtml(line)}</div>`).join("")}</div>`
+  const amounts = amountRows(view)
+    .map(([label, amount]) => `<tr><td colspan="2">${escapeHtml(label)}</td><td class="num">${formatAmount(amount)}</td></tr>`)
+    .join("")
+  const discount = view.line.discountAmount
+    ? `<p class="note">Includes a discount of ${view.currency} ${formatAmount(view.line.discountAmount)}.</p>`
+    : ""
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(view.title)} ${escapeHtml(view.number)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #222; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 1rem; }
+  h2 { font-size: 0.9rem; text-transform: uppercase; color: #666; margin: 0 0 0.4rem; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 1.5rem; }
+  th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #ddd; }
+  .details th { width: 35%; color: #666; font-weight: normal; }
+  .parties { display: flex; gap: 2rem; margin-bottom: 1.5rem; }
+  .party { flex: 1; }
+  .num { text-align: right; }
+  .items tr:last-child td { font-weight: bold; border-top: 2px solid #222; }
+  .note { color: #666; font-size: 0.9rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(view.title)}</h1>
+<table class="details">${details}</table>
+<div class="parties">
+${party("Seller", partyLines(view.seller))}
+${party(view.reference ? "Issued to" : "Billed to", partyLines(view.buyer))}
+</div>
+<table class="items">
+<tr><th>Description</th><th>SAC</th><th class="num">Amount (${escapeHtml(view.currency)})</th></tr>
+<tr><td>${escapeHtml(view.line.description)}</td><td>${escapeHtml(view.line.sacCode)}</td><td class="num">${formatAmount(view.line.taxableAmount)}</td></tr>
+${amounts}
+</table>
+${discount}
+<p class="note">This is a computer-generated document and does not require a signature.</p>
+</body>
+</html>
+`
+}
+
+// Resolves to the PDF as a Buffer. The built-in PDF fonts have no rupee sign, so amounts carry
+// the currency code instead.
+function renderInvoicePdf(view) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: "A4", margin: 50, info: { Title: `${view.title} ${view.number}` } })
+    const chunks = []
+
+    pdf.on("data", (chunk) => chunks.push(chunk))
+    pdf.on("end", () => resolve(Buffer.concat(chunks)))
+    pdf.on("error", reject)
+
+    const left = pdf.page.margins.left
+    const width = pdf.page.width - pdf.page.margins.left - pdf.page.margins.right
+    const amountX = left + width - 120
+
+    pdf.font("Helvetica-Bold").fontSize(18).text(view.title)
+    pdf.moveDown()
+
+    pdf.fontSize(10)
+    for (const [label, value] of detailRows(view)) {
+      pdf.font("Helvetica-Bold").text(`${label}: `, { continued: true }).font("Helvetica").text(value)
+    }
+    pdf.moveDown()
+
+    const partiesTop = pdf.y
+    const party = (heading, lines, x) => {
+      pdf.font("Helvetica-Bold").text(heading, x, partiesTop, { width: width / 2 - 10 })
+      pdf.font("Helvetica")
+      for (const line of lines) pdf.text(line, x, pdf.y, { width: width / 2 - 10 })
+      return pdf.y
+    }
+    const sellerBottom = party("Seller", partyLines(view.seller), left)
+    const buyerBottom = party(view.reference ? "Issued to" : "Billed to", partyLines(view.buyer), left + width / 2)
+    pdf.y = Math.max(sellerBottom, buyerBottom) + 20
+
+    const row = (cells, bold = false) => {
+      const top = pdf.y
+      pdf.font(bold ? "Helvetica-Bold" : "Helvetica")
+      pdf.text(cells[0], left, top, { width: width - 200 })
+      if (cells[1]) pdf.text(cells[1], left + width - 190, top, { width: 60 })
+      pdf.text(cells[2], amountX, top, { width: 120, align: "right" })
+      pdf.y = Math.max(pdf.y, top + 14) + 4
+    }
+
+    row(["Description", "SAC", `Amount (${view.currency})`], true)
+    pdf.moveTo(left, pdf.y).lineTo(left + width, pdf.y).stroke()
+    pdf.y += 6
+    row([view.line.description, view.line.sacCode, formatAmount(view.line.taxableAmount)])
+
+    const amounts = amountRows(view)
+    amounts.forEach(([label, amount], index) => row([label, "", formatAmount(amount)], index === amounts.length - 1))
+
+    if (view.line.discountAmount) {
+      pdf.moveDown()
+      pdf.font("Helvetica").text(`Includes a discount of ${view.currency} ${formatAmount(view.line.discountAmount)}.`, left)
+    }
+
+    pdf.moveDown()
+    pdf.font("Helvetica").fillColor("#666666").text("This is a computer-generated document and does not require a signature.", left)
+
+    pdf.end()
+  })
+}
+
+module.exports = { renderInvoiceHtml, renderInvoicePdf }
@@ -0,0 +1,303 @@
+const { transaction } = require("../db")
+const payments = require("../repositories/payments")
+const invoices = require("../repositories/invoices")
+const creditNotes = require("../repositories/creditNotes")
+const documentSequences = require("../repositories/documentSequences")
+
+// GST state codes, as used in the first two digits of a GSTIN
+const GST_STATES = [
+  { code: "01", name: "Jammu and Kashmir" },
+  { code: "02", name: "Himachal Pradesh" },
+  { code: "03", name: "Punjab" },
+  { code: "04", name: "Chandigarh" },
+  { code: "05", name: "Uttarakhand" },
+  { code: "06", name: "Haryana" },
+  { code: "07", name: "Delhi" },
+  { code: "08", name: "Rajasthan" },
+  { code: "09", name: "Uttar Pradesh" },
+  { code: "10", name: "Bihar" },
+  { code: "11", name: "Sikkim" },
+  { code: "12", name: "Arunachal Pradesh" },
+  { code: "13", name: "Nagaland" },
+  { code: "14", name: "Manipur" },
+  { code: "15", name: "Mizoram" },
+  { code: "16", name: "Tripura" },
+  { code: "17", name: "Meghalaya" },
+  { code: "18", name: "Assam" },
+  { code: "19", name: "West Bengal" },
+  { code: "20", name: "Jharkhand" },
+  { code: "21", name: "Odisha" },
+  { code: "22", name: "Chhattisgarh" },
+  { code: "23", name: "Madhya Pradesh" },
+  { code: "24", name: "Gujarat" },
+  { code: "26", name: "Dadra and Nagar Haveli and Daman and Diu" },
+  { code: "27", name: "Maharashtra" },
+  { code: "29", name: "Karnataka" },
+  { code: "30", name: "Goa" },
+  { code: "31", name: "Lakshadweep" },
+  { code: "32", name: "Kerala" },
+  { code: "33", name: "Tamil Nadu" },
+  { code: "34", name: "Puducherry" },
+  { code: "35", name: "Andaman and Nicobar Islands" },
+  { code: "36", name: "Telangana" },
+  { code: "37", name: "Andhra Pradesh" },
+  { code: "38", name: "Ladakh" },
+  { code: "97", name: "Other Territory" },
+]
+const STATE_NAMES = new Map(GST_STATES.map((state) => [state.code, state.name]))
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/
+
+// Course prices include GST. The rate and SAC (999293, commercial training and coaching) can be
+// overridden for the whole catalogue.
+const GST_RATE = Number.parseInt(process.env.GST_RATE, 10) || 18
+const GST_SAC_CODE = process.env.GST_SAC_CODE || "999293"
+
+const INVOICE_SERIES = "INV"
+const CREDIT_NOTE_SERIES = "CN"
+
+// Financial years run April to March in India Standard Time
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000
+
+const isValidStateCode = (code) => STATE_NAMES.has(code)
+const isValidGstin = (gstin) => GSTIN_PATTERN.test(gstin) && isValidStateCode(gstin.slice(0, 2))
+
+// The registered seller from SELLER_NAME, SELLER_GSTIN and SELLER_ADDRESS, or null while
+// invoicing is not configured. The seller's state comes from its GSTIN.
+function sellerDetails() {
+  const gstin = (process.env.SELLER_GSTIN || "").trim().toUpperCase()
+
+  if (!process.env.SELLER_NAME || !isValidGstin(gstin)) {
+    return null
+  }
+
+  return {
+    name: process.env.SELLER_NAME,
+    gstin,
+    address: process.env.SELLER_ADDRESS || "",
+    stateCode: gstin.slice(0, 2),
+    stateName: STATE_NAMES.get(gstin.slice(0, 2)),
+  }
+}
+
+// "26-27" for any date from 1 April 2026 to 31 March 2027
+function financialYear(date) {
+  const local = new Date(date.getTime() + IST_OFFSET_MS)
+  const startYear = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1
+  const twoDigits = (year) => String(year % 100).padStart(2, "0")
+
+  return `${twoDigits(startYear)}-${twoDigits(startYear + 1)}`
+}
+
+// e.g. INV/26-27/00042 - GST allows at most 16 characters
+const formatDocumentNumber = (series, year, sequenceNumber) =>
+  `${series}/${year}/${String(sequenceNumber).padStart(5, "0")}`
+
+// Split a GST-inclusive amount into its taxable value and tax. Within the seller's state the tax
+// is shared between CGST and SGST; anywhere else it is all IGST.
+function taxBreakdown(total, rate, intraState) {
+  const taxableAmount = Math.round((total * 100) / (100 + rate))
+  const tax = total - taxableAmount
+  const cgstAmount = intraState ? Math.ceil(tax / 2) : 0
+
+  return {
+    taxableAmount,
+    cgstAmount,
+    sgstAmount: intraState ? tax - cgstAmount : 0,
+    igstAmount: intraState ? 0 : tax,
+  }
+}
+
+// Resolves to the reason a payment cannot have an invoice, or null if it can
+function invoiceUnavailableReason(payment) {
+  if (!payment.verified) {
+    return "An invoice is issued once the payment is complete"
+  }
+
+  if (payment.currency !== "INR") {
+    return "Tax invoices are only issued for payments in INR"
+  }
+
+  if (!sellerDetails()) {
+    return "Invoicing is not configured"
+  }
+
+  return null
+}
+
+// Give a claimed invoice or credit note the next number in its series. The number is taken and
+// assigned in one transaction that first locks the document, so a caller that loses a race waits,
+// finds the document numbered and takes no number: the series has no gaps.
+async function numberDocument(document, series, repository) {
+  if (document.number) {
+    return document
+  }
+
+  const issuedAt = new Date()
+  const year = financialYear(issuedAt)
+
+  const numbered = await transaction(async (query) => {
+    if (!(await repository.startNumbering(document.id, issuedAt, query))) {
+      return null
+    }
+
+    const sequenceNumber = await documentSequences.next(series, year, query)
+    return repository.assignNumber(
+      document.id,
+      { number: formatDocumentNumber(series, year, sequenceNumber), financialYear: year, sequenceNumber },
+      query,
+    )
+  })
+
+  return numbered || repository.findById(document.id)
+}
+
+// Issue the tax invoice for a completed payment, or return the one already issued.
+// Resolves to null when the payment cannot have an invoice (see invoiceUnavailableReason).
+async function issueInvoice(paymentId) {
+  const existing = await invoices.findByPaymentId(paymentId)
+
+  if (existing) {
+    return numberDocument(existing, INVOICE_SERIES, invoices)
+  }
+
+  const payment = await payments.findForInvoice(paymentId)
+
+  if (!payment || invoiceUnavailableReason(payment)) {
+    return null
+  }
+
+  const seller = sellerDetails()
+  const buyerGstin = payment.billing_gstin || null
+
+  // The buyer's GSTIN decides the place of supply, then the state they gave at checkout; with
+  // neither it is the seller's own state
+  const stateCode = buyerGstin ? buyerGstin.slice(0, 2) : payment.billing_state_code || seller.stateCode
+
+  const claimed = await invoices.claim({
+    paymentId: payment.id,
+    seller,
+    buyer: {
+      name: payment.buyer_name,
+      email: payment.buyer_email,
+      gstin: buyerGstin,
+      stateCode,
+      stateName: STATE_NAMES.get(stateCode),
+    },
+    description: payment.course_title || "Online course",
+    sacCode: GST_SAC_CODE,
+    currency: payment.currency,
+    gstRate: GST_RATE,
+    discountAmount: payment.discount_amount,
+    totalAmount: payment.amount,
+    ...taxBreakdown(payment.amount, GST_RATE, stateCode === seller.stateCode),
+  })
+
+  // Claimed concurrently by another request; it numbers the invoice or we do below
+  const invoice = claimed || (await invoices.findByPaymentId(paymentId))
+
+  return numberDocument(invoice, INVOICE_SERIES, invoices)
+}
+
+// Issue the credit note for a processed refund, or return the one already issued. The invoice
+// is issued first if the payment does not have one yet. Resolves to null when the refund has not
+// been processed or the payment cannot have an invoice.
+async function issueCreditNote(refund) {
+  if (refund.status !== "processed") {
+    return null
+  }
+
+  const existing = await creditNotes.findByRefundId(refund.id)
+
+  if (existing) {
+    return numberDocument(existing, CREDIT_NOTE_SERIES, creditNotes)
+  }
+
+  const invoice = await issueInvoice(refund.payment_id)
+
+  if (!invoice) {
+    return null
+  }
+
+  const creditedSoFar = (await creditNotes.listForInvoice(invoice.id)).reduce(
+    (totals, note) => ({
+      total: totals.total + note.total_amount,
+      taxable: totals.taxable + note.taxable_amount,
+      cgst: totals.cgst + note.cgst_amount,
+      sgst: totals.sgst + note.sgst_amount,
+      igst: totals.igst + note.igst_amount,
+    }),
+    { total: 0, taxable: 0, cgst: 0, sgst: 0, igst: 0 },
+  )
+
+  // The note that completes a full refund takes whatever is left, so rounding on earlier partial
+  // refunds cannot leave the notes a paisa away from the invoice
+  const amounts =
+    creditedSoFar.total + refund.amount >= invoice.total_amount
+      ? {
+          taxableAmount: invoice.taxable_amount - creditedSoFar.taxable,
+          cgstAmount: invoice.cgst_amount - creditedSoFar.cgst,
+          sgstAmount: invoice.sgst_amount - creditedSoFar.sgst,
+          igstAmount: invoice.igst_amount - creditedSoFar.igst,
+        }
+      : taxBreakdown(refund.amount, invoice.gst_rate, invoice.buyer.stateCode === invoice.seller.stateCode)
+
+  const claimed = await creditNotes.claim({
+    invoiceId: invoice.id,
+    refundId: refund.id,
+    reason: refund.reason || "Refund",
+    totalAmount: refund.amount,
+    ...amounts,
+  })
+
+  const creditNote = claimed || (await creditNotes.findByRefundId(refund.id))
+
+  return numberDocument(creditNote, CREDIT_NOTE_SERIES, creditNotes)
+}
+
+// The printable contents of an invoice or credit note, shared by the HTML and PDF renderers
+function documentView(invoice, creditNote = null) {
+  const document = creditNote || invoice
+  const rate = invoice.gst_rate
+  const taxes = invoice.igst_amount
+    ? [{ label: `IGST @ ${rate}%`, amount: document.igst_amount }]
+    : [
+        { label: `CGST @ ${rate / 2}%`, amount: document.cgst_amount },
+        { label: `SGST @ ${rate / 2}%`, amount: document.sgst_amount },
+      ]
+
+  return {
+    title: creditNote ? "Credit Note" : "Tax Invoice",
+    number: document.number,
+    issuedAt: document.issued_at,
+    reference: creditNote ? { number: invoice.number, issuedAt: invoice.issued_at } : null,
+    reason: creditNote ? creditNote.reason : null,
+    seller: invoice.seller,
+    buyer: invoice.buyer,
+    placeOfSupply: `${invoice.buyer.stateName} (${invoice.buyer.stateCode})`,
+    reverseCharge: "No",
+    currency: invoice.currency,
+    line: {
+      description: invoice.description,
+      sacCode: invoice.sac_code,
+      discountAmount: creditNote ? 0 : invoice.discount_amount,
+      taxableAmount: document.taxable_amount,
+    },
+    taxes,
+    totalAmount: document.total_amount,
+  }
+}
+
+module.exports = {
+  GST_STATES,
+  GST_RATE,
+  isValidStateCode,
+  isValidGstin,
+  sellerDetails,
+  financialYear,
+  taxBreakdown,
+  invoiceUnavailableReason,
+  issueInvoice,
+  issueCreditNote,
+  documentView,
+}
@@ -0,0 +1,43 @@
+const users = require("../repositories/users")
+const { sendAccountLockedEmail } = require("./accountTokens")
+const { logger } = require("../logger")
+
+const MAX_FAILED_LOGINS = Number.parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5
+const LOCKOUT_MINUTES = Number.parseInt(process.env.LOCKOUT_MINUTES, 10) || 15
+const MAX_LOCKOUT_MINUTES = 24 * 60
+
+// Every lockout since the last successful login doubles the next one: 15 min, 30 min, 1 h, ... up to a day
+const lockoutMinutes = (lockouts) => Math.min(LOCKOUT_MINUTES * 2 ** lockouts, MAX_LOCKOUT_MINUTES)
+
+// Count a wrong password for `user` (a row from findByEmailWithPassword). Resolves to the lock
+// duration in seconds if this attempt locked the account, otherwise 0.
+async function recordFailedLogin(user) {
+  const attempts = await users.incrementFailedLogins(user.id)
+
+  if (attempts < MAX_FAILED_LOGINS) {
+    return 0
+  }
+
+  const minutes = lockoutMinutes(user.lockouts)
+  await users.lock(user.id, minutes)
+
+  logger.warn("Account locked after failed logins", { userId: user.id, minutes, attempts })
+
+  // The email carries a password reset link, which also unlocks the account
+  try {
+    await sendAccountLockedEmail(user, minutes)
+  } catch (error) {
+    logger.error("Account locked email failed", { userId: user.id, error })
+  }
+
+  return minutes * 60
+}
+
+// A successful login starts the count over
+async function clearFailedLogins(user) {
+  if (user.failed_login_attempts > 0 || user.lockouts > 0) {
+    await users.clearLoginFailures(user.id)
+  }
+}
+
+module.exports = { recordFailedLogin, clearFailedLogins }
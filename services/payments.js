@@ -0,0 +1,218 @@
+const payments = require("../repositories/payments")
+const coupons = require("../repositories/coupons")
+const refunds = require("../repositories/refunds")
+const { assignCoupon } = require("./coupons")
+const { checkPromotion, syncRedemption } = require("./promotions")
+const { issueInvoice, issueCreditNote } = require("./invoices")
+const { syncReferralCommission } = require("./referrals")
+const { logger } = require("../logger")
+
+// Razorpay rejects orders below ₹1
+const MIN_ORDER_AMOUNT = 100
+
+// Allowed status changes. Every update goes through transitionPayment(), which only touches
+// the row while it is still in a state that may move to the target status.
+const PAYMENT_TRANSITIONS = {
+  created: ["authorized", "completed", "failed"],
+  authorized: ["completed", "failed"],
+  failed: ["authorized", "completed"], // a later attempt on the same order can still succeed
+  completed: ["refund_pending", "partially_refunded", "refunded"],
+  refund_pending: ["completed", "partially_refunded", "refunded"],
+  partially_refunded: ["refund_pending", "partially_refunded", "refunded"],
+  refunded: [],
+}
+
+const canTransition = (from, to) => (PAYMENT_TRANSITIONS[from] || []).includes(to)
+
+// Move a payment to `status`, setting any extra columns in `changes`, and bring its promotion use
+// and referral commission in line with the new status.
+// Resolves to the updated row, or null when the current status does not allow the transition.
+async function transitionPayment(paymentId, status, changes = {}) {
+  const sourceStates = Object.keys(PAYMENT_TRANSITIONS).filter((from) => canTransition(from, status))
+  const updated = await payments.updateStatus(paymentId, status, sourceStates, changes)
+
+  if (updated) {
+    await syncRedemption(updated)
+    await syncReferralCommission(updated)
+  }
+
+  return updated
+}
+
+// Work out what a user owes for a course, in paise, applying an optional promotion code.
+// Resolves to { amount, discountAmount, discountCode, promotion } or { error }.
+async function calculateOrderAmount(course, discountCode, userId) {
+  if (!discountCode) {
+    return { amount: course.price, discountAmount: 0, discountCode: null, promotion: null }
+  }
+
+  const { promotion, discountAmount, error } = await checkPromotion(discountCode, course, userId)
+
+  if (error) {
+    return { error }
+  }
+
+  return {
+    amount: course.price - discountAmount,
+    discountAmount,
+    discountCode: promotion.code,
+    promotion,
+  }
+}
+
+// Whether a Razorpay payment entity paid exactly what our payments row asked for
+const matchesOrder = (payment, razorpayPayment) =>
+  razorpayPayment.order_id === payment.razorpay_order_id &&
+  Number(razorpayPayment.amount) === payment.amount &&
+  razorpayPayment.currency === payment.currency
+
+// Complete a payment once Razorpay reports it captured, and hand out its coupon. Shared by
+// /verify, the webhook and reconciliation so all apply exactly the same checks.
+// Resolves to "completed", "uncaptured" (only authorized so far; left as it is), "mismatch"
+// (marked failed) or "conflict" (status no longer allows it).
+async function settleCapturedPayment(payment, razorpayPayment, signature = null) {
+  // An authorized payment can still be voided, so it is not paid until Razorpay captures it
+  if (razorpayPayment.status !== "captured") {
+    return "uncaptured"
+  }
+
+  if (!matchesOrder(payment, razorpayPayment)) {
+    await transitionPayment(payment.id, "failed", {
+      razorpay_payment_id: razorpayPayment.id,
+      failure_reason: "Amount mismatch",
+    })
+    return "mismatch"
+  }
+
+  // Update payment as verified
+  const updated = await transitionPayment(payment.id, "completed", {
+    razorpay_payment_id: razorpayPayment.id,
+    ...(signature && { razorpay_signature: signature }),
+    verified: true,
+    verified_at: new Date(),
+  })
+
+  if (!updated) {
+    return "conflict"
+  }
+
+  await assignCoupon(payment)
+  await issueInvoiceForPayment(payment.id)
+
+  return "completed"
+}
+
+// Issue the invoice for a payment that has just completed. A failure here must not undo the
+// payment; the invoice is issued instead when it is first requested.
+async function issueInvoiceForPayment(paymentId) {
+  try {
+    return await issueInvoice(paymentId)
+  } catch (error) {
+    logger.error("Invoice could not be issued", { paymentId, error })
+    return null
+  }
+}
+
+// Store our copy of a Razorpay refund and, once it has been processed, issue its credit note.
+// As with invoices, a credit note that fails here is issued when it is first requested.
+async function recordRefund(paymentId, refundEntity, options) {
+  const refund = await refunds.upsert(paymentId, refundEntity, options)
+
+  try {
+    await issueCreditNote(refund)
+  } catch (error) {
+    logger.error("Credit note could not be issued", { refundId: refund.id, error })
+  }
+
+  return refund
+}
+
+// Record a new cumulative refunded amount and move the payment to partially_refunded or
+// refunded. A full refund also revokes the coupon handed out for the payment.
+async function applyRefundedAmount(payment, amountRefunded) {
+  const refundedAmount = Math.max(payment.refunded_amount, amountRefunded)
+  const status = refundedAmount >= payment.amount ? "refunded" : "partially_refunded"
+
+  const updated = await transitionPayment(payment.id, status, { refunded_amount: refundedAmount })
+
+  if (!updated) {
+    return `Payment already ${payment.status}`
+  }
+
+  if (status === "refunded") {
+    await coupons.revokeForPayment(payment.id, "Payment refunded")
+  }
+
+  return status
+}
+
+// Apply a verified webhook event to the matching payments row. Resolves to a short outcome
+// that is stored with the event.
+async function handlePaymentEvent(event) {
+  const paymentEntity = event.payload.payment.entity
+  const refundEntity = event.payload.refund && event.payload.refund.entity
+
+  const payment = await payments.findByOrderId(paymentEntity.order_id)
+
+  if (!payment) {
+    return "Payment record not found"
+  }
+
+  switch (event.event) {
+    case "payment.authorized": {
+      const authorized = await transitionPayment(payment.id, "authorized", {
+        razorpay_payment_id: paymentEntity.id,
+      })
+      return authorized ? "authorized" : `Payment already ${payment.status}`
+    }
+
+    case "payment.captured":
+    case "order.paid":
+      if (!canTransition(payment.status, "completed")) {
+        return `Payment already ${payment.status}`
+      }
+
+      return settleCapturedPayment(payment, paymentEntity)
+
+    case "payment.failed": {
+      const failed = await transitionPayment(payment.id, "failed", {
+        razorpay_payment_id: paymentEntity.id,
+        failure_reason: paymentEntity.error_description || "Payment failed",
+      })
+      return failed ? "failed" : `Payment already ${payment.status}`
+    }
+
+    case "refund.processed":
+      await recordRefund(payment.id, refundEntity)
+
+      // amount_refunded is cumulative on the payment entity, so replays cannot double count
+      return applyRefundedAmount(payment, paymentEntity.amount_refunded)
+
+    case "refund.failed": {
+      await recordRefund(payment.id, refundEntity)
+
+      const restored = await transitionPayment(
+        payment.id,
+        payment.refunded_amount > 0 ? "partially_refunded" : "completed",
+      )
+      return restored ? "refund failed" : `Payment already ${payment.status}`
+    }
+
+    default:
+      return "ignored"
+  }
+}
+
+module.exports = {
+  MIN_ORDER_AMOUNT,
+  PAYMENT_TRANSITIONS,
+  canTransition,
+  transitionPayment,
+  calculateOrderAmount,
+  matchesOrder,
+  settleCapturedPayment,
+  issueInvoiceForPayment,
+  recordRefund,
+  applyRefundedAmount,
+  handlePaymentEvent,
+}
@@ -0,0 +1,200 @@
+const { transaction } = require("../db")
+const promotions = require("../repositories/promotions")
+const redemptions = require("../repositories/promotionRedemptions")
+const { string } = require("../validation")
+const { ABANDONED_ORDER_MINUTES } = require("./reports")
+
+// Codes are stored upper-cased, so either case may be sent (see validation/)
+const CODE_FIELD = string({
+  pattern: "^[A-Za-z0-9_-]{3,64}$",
+  "x-pattern-message": "must be 3-64 letters, digits, '-' or '_'",
+})
+
+// Request fields an admin may set, and the columns they are stored in
+const PROMOTION_COLUMNS = {
+  code: "code",
+  description: "description",
+  courseId: "course_id",
+  percentOff: "percent_off",
+  amountOff: "amount_off",
+  startsAt: "starts_at",
+  endsAt: "ends_at",
+  maxRedemptions: "max_redemptions",
+  maxRedemptionsPerUser: "max_redemptions_per_user",
+  active: "active",
+}
+
+// Amount off the price, in paise; never more than the price itself
+const discountFor = (promotion, price) =>
+  promotion.percent_off
+    ? Math.floor((price * promotion.percent_off) / 100)
+    : Math.min(promotion.amount_off, price)
+
+// Look up a code and check that the user may use it on the course right now.
+// Resolves to { promotion, discountAmount } or { error }.
+async function checkPromotion(code, course, userId) {
+  const promotion = typeof code === "string" && code.trim() ? await promotions.findByCode(code.trim()) : null
+  const now = new Date()
+
+  if (!promotion || !promotion.active) {
+    return { error: "Invalid promotion code" }
+  }
+
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) {
+    return { error: "This promotion has not started yet" }
+  }
+
+  if (promotion.ends_at && new Date(promotion.ends_at) <= now) {
+    return { error: "This promotion has ended" }
+  }
+
+  if (promotion.course_id && promotion.course_id !== course.id) {
+    return { error: "This promotion does not apply to this course" }
+  }
+
+  if (promotion.max_redemptions && promotion.redemption_count >= promotion.max_redemptions) {
+    await releaseAbandoned(promotion)
+    const current = await promotions.findById(promotion.id)
+
+    if (current.redemption_count >= current.max_redemptions) {
+      return { error: "This promotion has been fully redeemed" }
+    }
+  }
+
+  if (
+    promotion.max_redemptions_per_user &&
+    (await redemptions.countHeldByUser(promotion.id, userId)) >= promotion.max_redemptions_per_user
+  ) {
+    return { error: "You have already used this promotion" }
+  }
+
+  return { promotion, discountAmount: discountFor(promotion, course.price) }
+}
+
+// Uses reserved by orders that were never paid go back to the promotion
+async function releaseAbandoned(promotion) {
+  const released = await redemptions.releaseAbandoned(promotion.id, ABANDONED_ORDER_MINUTES)
+
+  if (released > 0) {
+    await promotions.returnUses(promotion.id, released)
+  }
+}
+
+// Reserve a use of the promotion for a newly created order, within both of its limits. Taking the
+// use locks the promotion until the transaction ends, so the user's concurrent checkouts are counted
+// one after the other. Resolves to null, or the reason when a limit was reached since checkPromotion().
+async function reserveRedemption(promotion, { userId, paymentId, discountAmount }) {
+  return transaction(async (query) => {
+    if (!(await promotions.claimUse(promotion.id, query))) {
+      return "This promotion has been fully redeemed"
+    }
+
+    if (
+      promotion.max_redemptions_per_user &&
+      (await redemptions.countHeldByUser(promotion.id, userId, query)) >= promotion.max_redemptions_per_user
+    ) {
+      await promotions.returnUses(promotion.id, 1, query)
+      return "You have already used this promotion"
+    }
+
+    await redemptions.create({ promotionId: promotion.id, userId, paymentId, discountAmount }, query)
+    return null
+  })
+}
+
+// Keep a payment's promotion use in step with its status: the use is redeemed once the payment
+// completes and handed back when it fails or is refunded in full. Called for every status change.
+async function syncRedemption(payment) {
+  if (!payment.discount_code) {
+    return
+  }
+
+  if (payment.status === "completed") {
+    if (await redemptions.updateStatus(payment.id, "redeemed", ["reserved"])) {
+      return
+    }
+
+    // Paid after the reservation was released (a failed attempt, or an abandoned order): the
+    // buyer was charged the discounted price, so the use counts even if it goes over the limit
+    const reclaimed = await redemptions.updateStatus(payment.id, "redeemed", ["released"])
+    if (reclaimed) {
+      await promotions.forceUse(reclaimed.promotion_id)
+    }
+    return
+  }
+
+  if (["failed", "refunded"].includes(payment.status)) {
+    const released = await redemptions.updateStatus(payment.id, "released", redemptions.HOLDING_STATUSES)
+    if (released) {
+      await promotions.returnUses(released.promotion_id, 1)
+    }
+  }
+}
+
+// An admin's promotion fields, already checked one by one (see routes/admin), as column values.
+// Only the fields sent are included.
+function parsePromotionInput(body) {
+  const values = {}
+
+  for (const [field, column] of Object.entries(PROMOTION_COLUMNS)) {
+    if (body[field] !== undefined) {
+      values[column] = body[field]
+    }
+  }
+
+  if (values.code) {
+    values.code = values.code.toUpperCase()
+  }
+
+  // A promotion takes one kind of discount, so giving one clears the other
+  if (values.percent_off !== undefined || values.amount_off !== undefined) {
+    values.percent_off = values.percent_off ?? null
+    values.amount_off = values.amount_off ?? null
+  }
+
+  for (const column of ["starts_at", "ends_at"]) {
+    if (values[column]) {
+      values[column] = new Date(values[column])
+    }
+  }
+
+  return values
+}
+
+// How the columns from parsePromotionInput() fit together. With `existing`, a change is checked
+// against the rest of the stored promotion. Returns { field, message } errors for invalidFields().
+function promotionInputErrors(values, existing = null) {
+  const errors = []
+  const current = (column) => (values[column] !== undefined ? values[column] : existing && existing[column])
+
+  // parsePromotionInput() sets both or neither
+  if (!existing || values.percent_off !== undefined) {
+    const percentOff = values.percent_off ?? null
+    const amountOff = values.amount_off ?? null
+
+    if ((percentOff === null) === (amountOff === null)) {
+      errors.push({
+        field: "percentOff",
+        message: percentOff === null ? "or amountOff is required" : "cannot be given together with amountOff",
+      })
+    }
+  }
+
+  const startsAt = current("starts_at")
+  const endsAt = current("ends_at")
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    errors.push({ field: "endsAt", message: "must be after startsAt" })
+  }
+
+  return errors
+}
+
+module.exports = {
+  CODE_FIELD,
+  discountFor,
+  checkPromotion,
+  reserveRedemption,
+  syncRedemption,
+  parsePromotionInput,
+  promotionInputErrors,
+}
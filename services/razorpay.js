@@ -0,0 +1,63 @@
+const crypto = require("crypto")
+const Razorpay = require("razorpay")
+const { logger } = require("../logger")
+const { PaymentProviderError } = require("../errors")
+
+// Initialize Razorpay. Resolves to null (payment features disabled) without credentials.
+function createRazorpayClient() {
+  try {
+    if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
+      const razorpay = new Razorpay({
+        key_id: process.env.RAZORPAY_KEY_ID,
+        key_secret: process.env.RAZORPAY_KEY_SECRET,
+      })
+      logger.info("Razorpay initialized")
+      return razorpay
+    }
+
+    logger.warn("Razorpay credentials not found, payment features are disabled")
+  } catch (error) {
+    logger.error("Razorpay initialization failed", { error })
+  }
+
+  return null
+}
+
+function hmacMatches(secret, data, signature) {
+  if (!secret || typeof signature !== "string") {
+    return false
+  }
+
+  const expected = crypto.createHmac("sha256", secret).update(data).digest("hex")
+
+  return (
+    expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+  )
+}
+
+// Make a Razorpay API call, turning any failure into a PaymentProviderError (a 502) that keeps
+// Razorpay's own error as its cause
+async function callRazorpay(message, call) {
+  try {
+    return await call()
+  } catch (error) {
+    throw new PaymentProviderError(message, { cause: error })
+  }
+}
+
+// Checkout handler signature: HMAC-SHA256 of "order_id|payment_id" keyed with the API key secret
+function isValidPaymentSignature(orderId, paymentId, signature) {
+  return hmacMatches(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`, signature)
+}
+
+// X-Razorpay-Signature: HMAC-SHA256 of the raw request body keyed with the webhook secret
+function isValidWebhookSignature(rawBody, signature) {
+  return !!rawBody && hmacMatches(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody, signature)
+}
+
+module.exports = {
+  createRazorpayClient,
+  callRazorpay,
+  isValidPaymentSignature,
+  isValidWebhookSignature,
+}
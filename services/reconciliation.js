@@ -0,0 +1,197 @@
+const payments = require("../repositories/payments")
+const runs = require("../repositories/reconciliationRuns")
+const { canTransition, transitionPayment, matchesOrder, settleCapturedPayment } = require("./payments")
+
+// How far back each run looks at Razorpay's orders and payments
+const RECONCILE_WINDOW_HOURS = Number.parseInt(process.env.RECONCILE_WINDOW_HOURS, 10) || 48
+// Orders still unpaid this long after they were created are expired as failed
+const RECONCILE_ORDER_TTL_MINUTES = Number.parseInt(process.env.RECONCILE_ORDER_TTL_MINUTES, 10) || 60
+
+// Razorpay's list endpoints return at most 100 items per call
+const PAGE_SIZE = 100
+
+const unixSeconds = (date) => Math.floor(date.getTime() / 1000)
+
+// Every item of a Razorpay collection endpoint (orders.all, payments.all) created in the window
+async function* eachItem(list, { windowStart, windowEnd }) {
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const page = await list({ from: unixSeconds(windowStart), to: unixSeconds(windowEnd), count: PAGE_SIZE, skip })
+
+    yield* page.items
+
+    if (page.items.length < PAGE_SIZE) return
+  }
+}
+
+// One line of a run's report
+const finding = (kind, { payment = null, orderId = null, paymentId = null }, detail) => ({
+  kind,
+  payment_id: payment ? payment.id : null,
+  razorpay_order_id: orderId || (payment && payment.razorpay_order_id),
+  razorpay_payment_id: paymentId,
+  detail,
+})
+
+// Bring our row in line with a payment Razorpay has captured for its order
+async function applyCapture(run, payment, razorpayPayment) {
+  // A payment can turn up both in the window and on a stale order
+  if (run.seenPayments.has(razorpayPayment.id)) return
+  run.seenPayments.add(razorpayPayment.id)
+
+  const ids = { payment, orderId: razorpayPayment.order_id, paymentId: razorpayPayment.id }
+
+  if (canTransition(payment.status, "completed")) {
+    // The same checks as /verify and the webhook, which also mark a mismatched payment failed
+    let outcome
+    if (run.dryRun) {
+      outcome = matchesOrder(payment, razorpayPayment) ? "completed" : "mismatch"
+    } else {
+      outcome = await settleCapturedPayment(payment, razorpayPayment)
+    }
+
+    if (outcome === "completed") {
+      run.fixes.push(finding("completed", ids, `Captured on Razorpay but was '${payment.status}' here`))
+    } else if (outcome === "mismatch") {
+      run.needsReview.push(
+        finding(
+          "amount_mismatch",
+          ids,
+          `Razorpay captured ${razorpayPayment.amount} ${razorpayPayment.currency}, the order was for ${payment.amount} ${payment.currency}`,
+        ),
+      )
+    }
+    return
+  }
+
+  if (payment.razorpay_payment_id && payment.razorpay_payment_id !== razorpayPayment.id) {
+    run.needsReview.push(
+      finding(
+        "duplicate_capture",
+        ids,
+        `Order was already paid by ${payment.razorpay_payment_id}; this second capture may need refunding`,
+      ),
+    )
+  } else if (payment.status !== "refund_pending" && Number(razorpayPayment.amount_refunded) > payment.refunded_amount) {
+    run.needsReview.push(
+      finding(
+        "refund_not_recorded",
+        ids,
+        `Razorpay has refunded ${razorpayPayment.amount_refunded}, we have recorded ${payment.refunded_amount}`,
+      ),
+    )
+  }
+}
+
+// Orders paid on Razorpay that never made it into our payments table
+async function checkOrders(razorpay, run) {
+  for await (const order of eachItem((options) => razorpay.orders.all(options), run)) {
+    run.ordersChecked += 1
+
+    if (order.amount_paid > 0 && !run.missingOrders.has(order.id) && !(await payments.findByOrderId(order.id))) {
+      run.missingOrders.add(order.id)
+      run.needsReview.push(
+        finding(
+          "missing_record",
+          { orderId: order.id },
+          `Paid ${order.amount_paid} ${order.currency} on Razorpay, no payment record here`,
+        ),
+      )
+    }
+  }
+}
+
+// Payments captured on Razorpay that our payments table does not show as paid
+async function checkPayments(razorpay, run) {
+  for await (const razorpayPayment of eachItem((options) => razorpay.payments.all(options), run)) {
+    run.paymentsChecked += 1
+
+    if (!razorpayPayment.captured || !razorpayPayment.order_id) continue
+
+    const payment = await payments.findByOrderId(razorpayPayment.order_id)
+
+    if (payment) {
+      await applyCapture(run, payment, razorpayPayment)
+    } else if (!run.missingOrders.has(razorpayPayment.order_id)) {
+      run.missingOrders.add(razorpayPayment.order_id)
+      run.needsReview.push(
+        finding(
+          "missing_record",
+          { orderId: razorpayPayment.order_id, paymentId: razorpayPayment.id },
+          `Captured ${razorpayPayment.amount} ${razorpayPayment.currency} on Razorpay, no payment record here`,
+        ),
+      )
+    }
+  }
+}
+
+// Orders left unpaid past the TTL: completed if Razorpay did capture a payment after all (e.g. one
+// older than the window), otherwise expired as failed. An authorized but uncaptured payment is
+// left for a human, since Razorpay may still capture or refund it.
+async function expireStaleOrders(razorpay, run) {
+  for (let afterId = 0; ; ) {
+    const stale = await payments.listUnpaidOlderThan(run.orderTtlMinutes, { afterId, limit: PAGE_SIZE })
+
+    for (const payment of stale) {
+      const { items } = await razorpay.orders.fetchPayments(payment.razorpay_order_id)
+      const captured = items.find((razorpayPayment) => razorpayPayment.captured)
+
+      if (captured) {
+        await applyCapture(run, payment, captured)
+      } else if (items.some((razorpayPayment) => razorpayPayment.status === "authorized")) {
+        run.needsReview.push(
+          finding(
+            "authorized_not_captured",
+            { payment },
+            `Unpaid for over ${run.orderTtlMinutes} minutes with an authorized payment`,
+          ),
+        )
+      } else if (
+        run.dryRun ||
+        (await transitionPayment(payment.id, "failed", { failure_reason: "Order expired without payment" }))
+      ) {
+        run.fixes.push(finding("expired", { payment }, `Unpaid for over ${run.orderTtlMinutes} minutes`))
+      }
+    }
+
+    if (stale.length < PAGE_SIZE) return
+    afterId = stale[stale.length - 1].id
+  }
+}
+
+// Compare our payments with Razorpay's records for the last `windowHours`, fix what is safe to fix
+// and record the rest for review. With dryRun nothing is changed; the report says what would be.
+// Resolves to the finished reconciliation_runs row. A run that throws is stored as failed.
+async function reconcile(
+  razorpay,
+  { windowHours = RECONCILE_WINDOW_HOURS, orderTtlMinutes = RECONCILE_ORDER_TTL_MINUTES, dryRun = false } = {},
+) {
+  const windowEnd = new Date()
+  const windowStart = new Date(windowEnd.getTime() - windowHours * 60 * 60 * 1000)
+  const row = await runs.create({ dryRun, windowStart, windowEnd, orderTtlMinutes })
+
+  const run = {
+    dryRun,
+    windowStart,
+    windowEnd,
+    orderTtlMinutes,
+    ordersChecked: 0,
+    paymentsChecked: 0,
+    fixes: [],
+    needsReview: [],
+    seenPayments: new Set(),
+    missingOrders: new Set(),
+  }
+
+  try {
+    await checkOrders(razorpay, run)
+    await checkPayments(razorpay, run)
+    await expireStaleOrders(razorpay, run)
+
+    return await runs.finish(row.id, { status: "finished", ...run })
+  } catch (error) {
+    await runs.finish(row.id, { status: "failed", ...run, error: error.message })
+    throw error
+  }
+}
+
+module.exports = { RECONCILE_WINDOW_HOURS, RECONCILE_ORDER_TTL_MINUTES, reconcile }
@@ -0,0 +1,136 @@
+const crypto = require("crypto")
+const { transaction } = require("../db")
+const users = require("../repositories/users")
+const sessions = require("../repositories/sessions")
+const referrals = require("../repositories/referrals")
+
+// Share of each completed payment by a referred user credited to the referrer, and how long a
+// commission waits (for refunds to come in) before it can be paid out
+const REFERRAL_COMMISSION_PERCENT = Number.parseInt(process.env.REFERRAL_COMMISSION_PERCENT, 10) || 10
+const REFERRAL_PAYOUT_HOLD_DAYS = Number.parseInt(process.env.REFERRAL_PAYOUT_HOLD_DAYS, 10) || 14
+
+// Eight characters without the easily confused 0/O and 1/I
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"
+const CODE_LENGTH = 8
+const CODE_PATTERN = /^[A-Z0-9]{4,16}$/
+
+const generateReferralCode = () =>
+  Array.from(crypto.randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("")
+
+const referralLink = (code) =>
+  `${process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`}/?ref=${encodeURIComponent(code)}`
+
+// Resolves to the user's referral code, creating one the first time it is needed
+async function ensureReferralCode(userId) {
+  const existing = await users.findReferralCode(userId)
+
+  if (existing) {
+    return existing
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await users.setReferralCode(userId, generateReferralCode())
+    } catch (error) {
+      // Another account drew the same code; draw again
+      if (error.code !== "23505" || attempt >= 4) {
+        throw error
+      }
+    }
+  }
+}
+
+// The referrer to record for a signup, or null. Codes of disabled or deleted accounts are
+// ignored, as are signups from an address the referrer has signed in from: those are most
+// likely the referrer opening a second account to earn commission on their own purchases.
+async function findReferrer(code, req) {
+  if (typeof code !== "string" || !CODE_PATTERN.test(code.trim().toUpperCase())) {
+    return null
+  }
+
+  const referrer = await users.findByReferralCode(code.trim().toUpperCase())
+
+  if (!referrer || (req.ip && (await sessions.hasSignedInFrom(referrer.id, req.ip)))) {
+    return null
+  }
+
+  return referrer.id
+}
+
+// Keep the referrer's commission on a payment in step with its status: credited once the payment
+// completes, and clawed back in proportion to what has been refunded. Called for every status change.
+async function syncReferralCommission(payment) {
+  if (payment.status === "completed" && payment.verified) {
+    const affiliateId = await referrals.findAffiliateForPayment(payment.id)
+    const amount = Math.floor((payment.amount * REFERRAL_COMMISSION_PERCENT) / 100)
+
+    if (affiliateId && amount > 0) {
+      await referrals.addEntry({
+        affiliateId,
+        paymentId: payment.id,
+        entryType: "commission",
+        commissionPercent: REFERRAL_COMMISSION_PERCENT,
+        amount,
+      })
+    }
+    return
+  }
+
+  if (["partially_refunded", "refunded"].includes(payment.status)) {
+    const commission = await referrals.findCommission(payment.id)
+
+    if (!commission) {
+      return
+    }
+
+    const owed =
+      payment.status === "refunded"
+        ? commission.amount
+        : Math.floor((commission.amount * payment.refunded_amount) / payment.amount)
+    const clawback = owed - (await referrals.sumClawedBack(payment.id))
+
+    // Keyed by the refunded amount, so replaying the same refund adds nothing
+    if (clawback > 0) {
+      await referrals.addEntry({
+        affiliateId: commission.affiliate_id,
+        paymentId: payment.id,
+        entryType: "clawback",
+        commissionPercent: commission.commission_percent,
+        amount: -clawback,
+        refundedAmount: payment.refunded_amount,
+      })
+    }
+  }
+}
+
+// Record a payout an admin has made to an affiliate, settling every entry past the hold period.
+// `amount` is what the admin transferred and must match those entries, so a refund or commission
+// landing in between cannot go unnoticed. The entries stay locked from the check until they are
+// settled, so two admins paying out at once cannot both succeed. Resolves to { payout } or { error }.
+async function settlePayout(affiliateId, { amount, reference, note, settledBy }) {
+  return transaction(async (query) => {
+    const payable = await referrals.lockPayable(affiliateId, REFERRAL_PAYOUT_HOLD_DAYS, query)
+
+    if (payable <= 0) {
+      return { error: "Nothing is payable to this affiliate" }
+    }
+
+    if (payable !== amount) {
+      return { error: `The payable amount is now ${payable}, not ${amount}` }
+    }
+
+    const payout = await referrals.createPayout({ affiliateId, amount, reference, note, settledBy }, query)
+    await referrals.settleEntries(payout.id, affiliateId, REFERRAL_PAYOUT_HOLD_DAYS, query)
+    return { payout }
+  })
+}
+
+module.exports = {
+  REFERRAL_COMMISSION_PERCENT,
+  REFERRAL_PAYOUT_HOLD_DAYS,
+  referralLink,
+  ensureReferralCode,
+  findReferrer,
+  syncReferralCommission,
+  settlePayout,
+}
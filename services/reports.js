@@ -0,0 +1,110 @@
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Reports default to the last 30 days and cover at most a year at a time
+const DEFAULT_RANGE_DAYS = 30
+const MAX_RANGE_DAYS = 366
+
+// Orders still in 'created' after this long count as abandoned
+const ABANDONED_ORDER_MINUTES = Number.parseInt(process.env.ABANDONED_ORDER_MINUTES, 10) || 30
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const formatDay = (date) => date.toISOString().slice(0, 10)
+
+function parseDay(value) {
+  if (!DATE_PATTERN.test(value)) return null
+  const date = new Date(`${value}T00:00:00.000Z`)
+  return Number.isNaN(date.getTime()) || formatDay(date) !== value ? null : date
+}
+
+// Read ?from=YYYY-MM-DD&to=YYYY-MM-DD (both inclusive, UTC days). Resolves to
+// { from, to, start, end } with end exclusive, or { error } when the range is unusable.
+function parseDateRange(query) {
+  const today = parseDay(formatDay(new Date()))
+  const to = query.to ? parseDay(query.to) : today
+  const from = query.from ? parseDay(query.from) : to && new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS)
+
+  if (!from || !to) {
+    return { error: "from and to must be dates in YYYY-MM-DD format" }
+  }
+
+  if (from > to) {
+    return { error: "from must not be after to" }
+  }
+
+  if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+    return { error: `Reports cover at most ${MAX_RANGE_DAYS} days at a time` }
+  }
+
+  return {
+    from: formatDay(from),
+    to: formatDay(to),
+    start: from.toISOString(),
+    end: new Date(to.getTime() + DAY_MS).toISOString(),
+  }
+}
+
+// Turn the epoch day numbers from reports.revenueByDay into one row per calendar day of the
+// range, with empty days filled in and net revenue worked out
+function fillRevenueDays(rows, range) {
+  const byDay = new Map(rows.map((row) => [row.day, row]))
+  const days = []
+
+  for (let time = Date.parse(range.start); time < Date.parse(range.end); time += DAY_MS) {
+    const row = byDay.get(time / DAY_MS) || { orders: 0, gross_amount: 0, discount_amount: 0, refunded_amount: 0 }
+
+    days.push({
+      date: formatDay(new Date(time)),
+      orders: row.orders,
+      gross_amount: row.gross_amount,
+      discount_amount: row.discount_amount,
+      refunded_amount: row.refunded_amount,
+      net_amount: row.gross_amount - row.refunded_amount,
+    })
+  }
+
+  return days
+}
+
+// Each funnel step with the share of sign-ups that reached it
+function funnelSteps({ signed_up, ordered, paid }) {
+  const percent = (count) => (signed_up > 0 ? Math.round((count / signed_up) * 1000) / 10 : 0)
+
+  return [
+    { step: "signed_up", users: signed_up, percent: signed_up > 0 ? 100 : 0 },
+    { step: "order_created", users: ordered, percent: percent(ordered) },
+    { step: "payment_verified", users: paid, percent: percent(paid) },
+  ]
+}
+
+// Quote a CSV cell when needed. Cells that a spreadsheet would read as a formula are prefixed
+// with an apostrophe, since names and emails come from users.
+function csvCell(value) {
+  if (value === null || value === undefined) return ""
+
+  let text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value)
+
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === "string") {
+    text = `'${text}`
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(",")]
+
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(","))
+  }
+
+  return `${lines.join("\r\n")}\r\n`
+}
+
+module.exports = {
+  ABANDONED_ORDER_MINUTES,
+  parseDateRange,
+  fillRevenueDays,
+  funnelSteps,
+  toCsv,
+}
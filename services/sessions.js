@@ -0,0 +1,82 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const sessions = require("../repositories/sessions")
+const { generateToken, hashToken } = require("./tokens")
+const { logger } = require("../logger")
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque, single-use and rotate on every refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m"
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30
+
+// The JWT names its session family (sid) so signing out takes effect before the token expires
+const generateAccessToken = (userId, familyId) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET environment variable is required")
+  }
+  return jwt.sign({ userId, sid: familyId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL })
+}
+
+const clientInfo = (req) => ({
+  userAgent: req.get("user-agent") || null,
+  ipAddress: req.ip || null,
+})
+
+async function issueTokens(userId, familyId, req, signedInAt) {
+  const refreshToken = generateToken()
+
+  const session = await sessions.create({
+    userId,
+    familyId,
+    tokenHash: hashToken(refreshToken),
+    ...clientInfo(req),
+    signedInAt,
+    ttlDays: REFRESH_TOKEN_TTL_DAYS,
+  })
+
+  return {
+    token: generateAccessToken(userId, familyId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshTokenExpiresAt: session.expires_at,
+  }
+}
+
+// Sign in on a new device: starts a new token family
+const startSession = (userId, req) => issueTokens(userId, crypto.randomUUID(), req)
+
+// Exchange a refresh token for a new token pair. Presenting a token that was already exchanged
+// means it has been copied, so the whole family is revoked and every holder has to sign in again.
+// Resolves to { userId, tokens } or { error }.
+async function rotateSession(refreshToken, req) {
+  const current = typeof refreshToken === "string" ? await sessions.findByTokenHash(hashToken(refreshToken)) : null
+
+  if (!current || current.revoked_at) {
+    return { error: "Invalid refresh token" }
+  }
+
+  if (current.expired) {
+    return { error: "Refresh token expired, please sign in again" }
+  }
+
+  // A refresh token must not outlive its account, even if the session was not signed out with it
+  if (current.disabled_at || current.deleted_at) {
+    await sessions.revokeFamily(current.family_id, current.deleted_at ? "account_deleted" : "account_disabled")
+    return { error: current.deleted_at ? "Account has been deleted" : "Account has been disabled" }
+  }
+
+  if (current.rotated_at || !(await sessions.markRotated(current.id))) {
+    await sessions.revokeFamily(current.family_id, "reuse_detected")
+    logger.warn("Refresh token reuse detected, session revoked", {
+      userId: current.user_id,
+      sessionId: current.family_id,
+    })
+    return { error: "Refresh token has already been used, please sign in again" }
+  }
+
+  return {
+    userId: current.user_id,
+    tokens: await issueTokens(current.user_id, current.family_id, req, current.signed_in_at),
+  }
+}
+
+module.exports = { startSession, rotateSession }
@@ -0,0 +1,9 @@
+const crypto = require("crypto")
+
+// Opaque random tokens handed to clients (refresh tokens, emailed links)
+const generateToken = () => crypto.randomBytes(32).toString("base64url")
+
+// Only a hash is stored, so a leaked table cannot be used to sign in or redeem a link
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+module.exports = { generateToken, hashToken }
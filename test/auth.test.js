@@ -0,0 +1,184 @@
+const { describe, it, before, after, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const { startTestServer } = require("./helpers/app")
+const { sql } = require("../db")
+const { findReferrer } = require("../services/referrals")
+
+describe("auth", () => {
+  let t
+
+  before(async () => {
+    t = await startTestServer()
+  })
+
+  after(() => t.close())
+
+  beforeEach(() => t.resetRateLimits())
+
+  describe("POST /api/auth/signup", () => {
+    it("creates the account, signs it in and sends a verification email", async () => {
+      const email = t.uniqueEmail()
+      const { status, body } = await t.request("POST", "/api/auth/signup", {
+        body: { name: "Asha", email, password: "correct-horse-battery" },
+      })
+
+      assert.equal(status, 201)
+      assert.equal(body.success, true)
+      assert.equal(body.data.user.email, email)
+      assert.equal(body.data.user.email_verified_at, null)
+      assert.ok(body.data.token)
+      assert.ok(body.data.refreshToken)
+      assert.ok(t.mailbox.some((message) => message.to === email))
+    })
+
+    it("requires a name, email and password", async () => {
+      const { status, body } = await t.request("POST", "/api/auth/signup", {
+        body: { email: t.uniqueEmail(), password: "correct-horse-battery" },
+      })
+
+      assert.equal(status, 400)
+      assert.equal(body.success, false)
+    })
+
+    it("rejects passwords shorter than 8 characters", async () => {
+      const { status, body } = await t.request("POST", "/api/auth/signup", {
+        body: { name: "Asha", email: t.uniqueEmail(), password: "short" },
+      })
+
+      assert.equal(status, 400)
+      assert.match(body.message, /at least 8 characters/)
+    })
+
+    it("rejects an email that is already registered", async () => {
+      const { email } = await t.signup()
+      const { status, body } = await t.request("POST", "/api/auth/signup", {
+        body: { name: "Someone Else", email, password: "another-password" },
+      })
+
+      assert.equal(status, 409)
+      assert.match(body.message, /already exists/)
+    })
+
+    it("registers an email once when two signups race", async () => {
+      const email = t.uniqueEmail()
+      const attempt = () =>
+        t.request("POST", "/api/auth/signup", { body: { name: "Asha", email, password: "correct-horse-battery" } })
+
+      const statuses = (await Promise.all([attempt(), attempt()])).map((response) => response.status)
+
+      assert.deepEqual(statuses.sort(), [201, 409])
+    })
+
+    it("limits signups from one address", async () => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await t.request("POST", "/api/auth/signup", { body: {} })
+      }
+      const { status, headers } = await t.request("POST", "/api/auth/signup", { body: {} })
+
+      assert.equal(status, 429)
+      assert.ok(Number(headers.get("retry-after")) > 0)
+    })
+  })
+
+  describe("POST /api/auth/login", () => {
+    it("signs in with the right password", async () => {
+      const { email, password, user } = await t.signup()
+      const { status, body } = await t.request("POST", "/api/auth/login", { body: { email, password } })
+
+      assert.equal(status, 200)
+      assert.equal(body.data.user.id, user.id)
+      assert.ok(body.data.token)
+    })
+
+    it("rejects a wrong password and an unknown email alike", async () => {
+      const { email } = await t.signup()
+      const wrongPassword = await t.request("POST", "/api/auth/login", {
+        body: { email, password: "not-the-password" },
+      })
+      const unknownEmail = await t.request("POST", "/api/auth/login", {
+        body: { email: t.uniqueEmail("nobody"), password: "not-the-password" },
+      })
+
+      assert.equal(wrongPassword.status, 401)
+      assert.equal(unknownEmail.status, 401)
+      assert.equal(wrongPassword.body.message, unknownEmail.body.message)
+    })
+
+    it("requires an email and password", async () => {
+      const { status } = await t.request("POST", "/api/auth/login", { body: { email: t.uniqueEmail() } })
+
+      assert.equal(status, 400)
+    })
+  })
+
+  describe("POST /api/auth/refresh", () => {
+    it("signs out a session whose account has been disabled", async () => {
+      const { email, password, user } = await t.signup()
+      const login = await t.request("POST", "/api/auth/login", { body: { email, password } })
+      const { refreshToken } = login.body.data
+      await sql`UPDATE users SET disabled_at = NOW() WHERE id = ${user.id}`
+
+      const refused = await t.request("POST", "/api/auth/refresh", { body: { refreshToken } })
+      assert.equal(refused.status, 401)
+      assert.equal(refused.body.message, "Account has been disabled")
+
+      await sql`UPDATE users SET disabled_at = NULL WHERE id = ${user.id}`
+      const { status, body } = await t.request("POST", "/api/auth/refresh", { body: { refreshToken } })
+      assert.equal(status, 401)
+      assert.equal(body.message, "Invalid refresh token")
+    })
+  })
+
+  describe("GET /api/auth/me", () => {
+    it("returns the signed-in user", async () => {
+      const { token, user } = await t.signup({ name: "Ravi" })
+      const { status, body } = await t.request("GET", "/api/auth/me", { token })
+
+      assert.equal(status, 200)
+      assert.equal(body.data.user.id, user.id)
+      assert.equal(body.data.user.name, "Ravi")
+      assert.equal(body.data.user.password_hash, undefined)
+    })
+
+    it("requires a token", async () => {
+      const { status, body } = await t.request("GET", "/api/auth/me")
+
+      assert.equal(status, 401)
+      assert.equal(body.message, "Access token required")
+    })
+
+    it("rejects a token that was not issued by the app", async () => {
+      const { status } = await t.request("GET", "/api/auth/me", { token: "not.a.jwt" })
+
+      assert.equal(status, 403)
+    })
+
+    it("rejects a token once its session has been signed out", async () => {
+      const { token } = await t.signup()
+      await t.request("POST", "/api/auth/logout", { token })
+      const { status, body } = await t.request("GET", "/api/auth/me", { token })
+
+      assert.equal(status, 401)
+      assert.equal(body.message, "Session has been signed out")
+    })
+  })
+
+  describe("DELETE /api/auth/me", () => {
+    it("keeps the account closed and retires its referral code", async () => {
+      const admin = await t.signup()
+      await sql`UPDATE users SET role = 'admin' WHERE id = ${admin.user.id}`
+      const { token, password, user } = await t.signup()
+      const referral = await t.request("GET", "/api/referrals/me", { token })
+      assert.equal(await findReferrer(referral.body.data.code, {}), user.id)
+
+      const { status } = await t.request("DELETE", "/api/auth/me", { token, body: { password } })
+      assert.equal(status, 200)
+
+      const enable = await t.request("POST", `/api/admin/users/${user.id}/enable`, { token: admin.token })
+      assert.equal(enable.status, 409)
+      assert.equal(enable.body.code, "ACCOUNT_DELETED")
+
+      assert.equal(await findReferrer(referral.body.data.code, {}), null)
+    })
+  })
+})
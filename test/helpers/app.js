@@ -0,0 +1,117 @@
+// Boots the app for integration tests: an in-memory database, the fake Razorpay client, mail kept
+// in a mailbox and rate limits in a memory store. Nothing here touches the network beyond the
+// loopback listener, so `npm test` runs offline.
+
+// Fixed here rather than read from .env, so the fake client and the app share the same secrets
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  JWT_SECRET: "test-jwt-secret",
+  RAZORPAY_KEY_ID: "rzp_test_FakeKeyId0001",
+  RAZORPAY_KEY_SECRET: "test-razorpay-key-secret",
+  RAZORPAY_WEBHOOK_SECRET: "test-razorpay-webhook-secret",
+  REQUIRE_VERIFIED_EMAIL: "false",
+  RATE_LIMIT_STORE: "memory",
+  // The error paths under test log errors on purpose; set TEST_LOGS=1 to see it all when a test fails
+  LOG_LEVEL: process.env.TEST_LOGS ? "debug" : "silent",
+})
+
+const { once } = require("events")
+const { connectDB, disconnectDB, sql } = require("../../db")
+const { useTransport } = require("../../mailer")
+const { useStore } = require("../../middleware/rateLimit")
+const { createMemoryStore } = require("../../middleware/rateLimit/stores/memory")
+const { createApp } = require("../../server")
+const { createFakeRazorpay } = require("./fakeRazorpay")
+
+let emailSequence = 0
+const uniqueEmail = (prefix = "learner") => `${prefix}${++emailSequence}@example.com`
+
+// Start the app on a free port. Resolves to helpers for talking to it; call close() when done.
+async function startTestServer() {
+  await connectDB({ driver: "memory" })
+
+  const mailbox = []
+  useTransport({
+    send: async (message) => {
+      mailbox.push(message)
+      return { messageId: `test-${mailbox.length}` }
+    },
+  })
+  useStore(createMemoryStore())
+
+  const razorpay = createFakeRazorpay({
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+  })
+  const app = createApp({ razorpay })
+  const server = app.listen(0, "127.0.0.1")
+  await once(server, "listening")
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+
+  // Resolves to { status, headers, body }, with body parsed when the response is JSON. A string
+  // body is sent as-is, e.g. a webhook payload whose exact bytes are signed.
+  async function request(method, path, { body, token, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: "manual",
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body === undefined || typeof body === "string" ? body : JSON.stringify(body),
+    })
+
+    const isJson = (response.headers.get("content-type") || "").includes("application/json")
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? await response.json() : await response.text(),
+    }
+  }
+
+  // Register a new account. Resolves to { user, token, email, password }.
+  async function signup({ name = "Test Learner", email = uniqueEmail(), password = "correct-horse-battery" } = {}) {
+    const response = await request("POST", "/api/auth/signup", { body: { name, email, password } })
+
+    if (response.status !== 201) {
+      throw new Error(`Signup failed with ${response.status}: ${JSON.stringify(response.body)}`)
+    }
+
+    return { user: response.body.data.user, token: response.body.data.token, email, password }
+  }
+
+  return {
+    app,
+    baseUrl,
+    razorpay,
+    mailbox,
+    request,
+    signup,
+    uniqueEmail,
+
+    // Forget every rate limit counter, so tests do not use up each other's allowance
+    resetRateLimits: () => useStore(createMemoryStore()),
+
+    async close() {
+      server.close()
+      await once(server, "close")
+      await disconnectDB()
+    },
+  }
+}
+
+// Put coupon codes in stock for a course. Resolves to the codes added.
+async function stockCoupons(courseId, count = 1) {
+  const codes = Array.from({ length: count }, () => `TEST-${Math.random().toString(36).slice(2, 10).toUpperCase()}`)
+
+  for (const code of codes) {
+    await sql`INSERT INTO coupon_codes (course_id, code) VALUES (${courseId}, ${code})`
+  }
+
+  return codes
+}
+
+module.exports = { startTestServer, stockCoupons }
@@ -0,0 +1,143 @@
+const crypto = require("crypto")
+const { loadFixture, signPayload } = require("../../scripts/send-webhook")
+
+// A stand-in for the Razorpay client that keeps orders and payments in memory. It implements the
+// calls the app makes (orders.create, payments.fetch, payments.refund) and, in place of the
+// browser and Razorpay's servers, pays orders through Checkout and signs webhook deliveries with
+// the same secrets the app checks against.
+function createFakeRazorpay({ keySecret, webhookSecret }) {
+  const orders = new Map()
+  const payments = new Map()
+  let sequence = 0
+
+  // Razorpay ids are a prefix and 14 alphanumeric characters
+  const nextId = (prefix) => `${prefix}_Fake${String(++sequence).padStart(10, "0")}`
+  const now = () => Math.floor(Date.now() / 1000)
+
+  const notFound = () => {
+    const error = new Error("The id provided does not exist")
+    error.statusCode = 400
+    return error
+  }
+
+  // What Razorpay's list endpoints return: the entities created in [from, to] (unix seconds),
+  // newest first, paged with count and skip
+  const collection = (entities, { from = 0, to = Infinity, count = 10, skip = 0 } = {}) => {
+    const items = entities
+      .filter((entity) => entity.created_at >= from && entity.created_at <= to)
+      .reverse()
+      .slice(skip, skip + count)
+      .map((entity) => ({ ...entity }))
+
+    return { entity: "collection", count: items.length, items }
+  }
+
+  return {
+    orders: {
+      all: async (options) => collection([...orders.values()], options),
+
+      fetchPayments: async (orderId) => {
+        if (!orders.has(orderId)) throw notFound()
+        return collection(
+          [...payments.values()].filter((payment) => payment.order_id === orderId),
+          { count: 100 },
+        )
+      },
+
+      create: async ({ amount, currency, receipt, notes }) => {
+        const order = {
+          id: nextId("order"),
+          entity: "order",
+          amount,
+          amount_paid: 0,
+          amount_due: amount,
+          currency,
+          receipt,
+          notes,
+          status: "created",
+          attempts: 0,
+          created_at: now(),
+        }
+        orders.set(order.id, order)
+        return { ...order }
+      },
+    },
+
+    payments: {
+      all: async (options) => collection([...payments.values()], options),
+
+      fetch: async (paymentId) => {
+        if (!payments.has(paymentId)) throw notFound()
+        return { ...payments.get(paymentId) }
+      },
+
+      refund: async (paymentId, { amount, notes } = {}) => {
+        const payment = payments.get(paymentId)
+        if (!payment) throw notFound()
+
+        payment.amount_refunded += amount
+        payment.refund_status = payment.amount_refunded >= payment.amount ? "full" : "partial"
+
+        return {
+          id: nextId("rfnd"),
+          entity: "refund",
+          amount,
+          currency: payment.currency,
+          payment_id: paymentId,
+          notes,
+          status: "processed",
+          created_at: now(),
+        }
+      },
+    },
+
+    // Pay an order the way Checkout does. Resolves to the handler response the browser posts to
+    // /api/payments/verify. `amount` overrides what was charged, to stand in for a tampered order;
+    // `captured: false` leaves the payment authorized.
+    checkout(orderId, { amount, captured = true } = {}) {
+      const order = orders.get(orderId)
+      if (!order) throw notFound()
+
+      const payment = {
+        id: nextId("pay"),
+        entity: "payment",
+        amount: amount === undefined ? order.amount : amount,
+        currency: order.currency,
+        status: captured ? "captured" : "authorized",
+        order_id: orderId,
+        method: "upi",
+        amount_refunded: 0,
+        refund_status: null,
+        captured,
+        created_at: now(),
+      }
+      payments.set(payment.id, payment)
+      order.attempts += 1
+      if (captured) {
+        Object.assign(order, { status: "paid", amount_paid: payment.amount, amount_due: 0 })
+      }
+
+      return {
+        razorpay_order_id: orderId,
+        razorpay_payment_id: payment.id,
+        razorpay_signature: crypto.createHmac("sha256", keySecret).update(`${orderId}|${payment.id}`).digest("hex"),
+      }
+    },
+
+    // A webhook delivery built from the fixtures in scripts/fixtures/webhooks. Resolves to the raw
+    // body and the headers Razorpay sends with it.
+    webhook(eventName, { orderId, paymentId, amount, eventId = nextId("evt") } = {}) {
+      const body = JSON.stringify(loadFixture(eventName, { orderId, paymentId, amount }))
+
+      return {
+        body,
+        headers: {
+          "X-Razorpay-Signature": signPayload(body, webhookSecret),
+          "X-Razorpay-Event-Id": eventId,
+        },
+      }
+    },
+  }
+}
+
+module.exports = { createFakeRazorpay }
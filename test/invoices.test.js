@@ -0,0 +1,59 @@
+const { describe, it, before, after, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const { startTestServer } = require("./helpers/app")
+const { sql } = require("../db")
+const invoices = require("../repositories/invoices")
+const { issueInvoice } = require("../services/invoices")
+
+const COURSE_ID = 1
+
+describe("invoices", () => {
+  let t
+
+  before(async () => {
+    // Invoices are only issued once the seller is configured
+    Object.assign(process.env, { SELLER_NAME: "Example Learning Pvt Ltd", SELLER_GSTIN: "29ABCDE1234F1Z5" })
+    t = await startTestServer()
+  })
+
+  after(() => t.close())
+
+  beforeEach(() => t.resetRateLimits())
+
+  // A payment the buyer has paid and verified. Resolves to its id.
+  async function completedPayment() {
+    const buyer = await t.signup()
+    const { body } = await t.request("POST", "/api/payments/create-order", {
+      token: buyer.token,
+      body: { courseId: COURSE_ID },
+    })
+    const checkout = t.razorpay.checkout(body.data.order.id)
+    await t.request("POST", "/api/payments/verify", { token: buyer.token, body: checkout })
+
+    const [payment] = await sql`SELECT id FROM payments WHERE razorpay_order_id = ${checkout.razorpay_order_id}`
+    return payment.id
+  }
+
+  it("numbers invoices without gaps when numbering one fails", async () => {
+    const first = await issueInvoice(await completedPayment())
+
+    const { assignNumber } = invoices
+    invoices.assignNumber = async () => {
+      throw new Error("Connection terminated unexpectedly")
+    }
+
+    let paymentId
+    try {
+      paymentId = await completedPayment()
+      await assert.rejects(issueInvoice(paymentId))
+    } finally {
+      invoices.assignNumber = assignNumber
+    }
+
+    const second = await issueInvoice(paymentId)
+
+    assert.ok(first.number)
+    assert.equal(second.financial_year, first.financial_year)
+    assert.equal(second.sequence_number, first.sequence_number + 1)
+  })
+})
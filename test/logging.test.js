@@ -0,0 +1,229 @@
+const { describe, it, before, after, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const { startTestServer } = require("./helpers/app")
+const { logger, redact, useDestination } = require("../logger")
+const { ValidationError, AuthError, ConflictError, PaymentProviderError } = require("../errors")
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+
+describe("logging and errors", () => {
+  let t
+  let lines
+  const level = process.env.LOG_LEVEL
+
+  before(async () => {
+    t = await startTestServer()
+    useDestination({ write: (line) => lines.push(JSON.parse(line)) })
+  })
+
+  after(() => {
+    useDestination(process.stdout)
+    process.env.LOG_LEVEL = level
+    t.close()
+  })
+
+  // Capture what each test logs instead of discarding it
+  beforeEach(() => {
+    t.resetRateLimits()
+    lines = []
+    process.env.LOG_LEVEL = "debug"
+  })
+
+  const logged = (msg) => lines.filter((line) => line.msg === msg)
+
+  describe("request ids", () => {
+    it("gives every response an X-Request-Id", async () => {
+      const { headers } = await t.request("GET", "/api/courses")
+
+      assert.match(headers.get("x-request-id"), UUID_PATTERN)
+    })
+
+    it("keeps an id passed in by the caller", async () => {
+      const { headers } = await t.request("GET", "/api/courses", { headers: { "X-Request-Id": "edge-1234" } })
+
+      assert.equal(headers.get("x-request-id"), "edge-1234")
+    })
+
+    it("replaces an id that does not look like one", async () => {
+      const { headers } = await t.request("GET", "/api/courses", { headers: { "X-Request-Id": "<script>" } })
+
+      assert.match(headers.get("x-request-id"), UUID_PATTERN)
+    })
+
+    it("adds the id to lines logged while the request is handled", async () => {
+      const delivery = t.razorpay.webhook("payment.captured", { orderId: "order_Unknown0000001", amount: 9900 })
+      const { headers } = await t.request("POST", "/api/payments/webhook", delivery)
+
+      const [line] = logged("Webhook processed")
+      assert.equal(line.requestId, headers.get("x-request-id"))
+    })
+  })
+
+  describe("access log", () => {
+    it("logs each request with its status and latency", async () => {
+      const { headers } = await t.request("GET", "/api/courses?limit=5")
+
+      const [line] = logged("Request completed")
+      assert.equal(line.level, "info")
+      assert.equal(line.requestId, headers.get("x-request-id"))
+      assert.equal(line.method, "GET")
+      assert.equal(line.path, "/api/courses")
+      assert.deepEqual(line.query, { limit: "5" })
+      assert.equal(line.status, 200)
+      assert.equal(typeof line.durationMs, "number")
+    })
+
+    it("names the signed-in user", async () => {
+      const { token, user } = await t.signup()
+      lines = []
+
+      await t.request("GET", "/api/auth/me", { token })
+
+      assert.equal(logged("Request completed")[0].userId, user.id)
+    })
+  })
+
+  describe("error responses", () => {
+    const assertError = (response, status, code) => {
+      assert.equal(response.status, status)
+      assert.equal(response.body.success, false)
+      assert.equal(response.body.code, code)
+      assert.equal(response.body.requestId, response.headers.get("x-request-id"))
+      assert.ok(response.body.message)
+    }
+
+    it("codes a validation failure", async () => {
+      assertError(await t.request("POST", "/api/auth/signup", { body: {} }), 400, "VALIDATION_ERROR")
+    })
+
+    it("codes a body that is not JSON", async () => {
+      assertError(await t.request("POST", "/api/auth/login", { body: "{not json" }), 400, "INVALID_JSON")
+    })
+
+    it("codes a missing or rejected token", async () => {
+      assertError(await t.request("GET", "/api/auth/me"), 401, "TOKEN_REQUIRED")
+      assertError(await t.request("GET", "/api/auth/me", { token: "not-a-token" }), 403, "INVALID_TOKEN")
+    })
+
+    it("codes what went wrong in a route, not just its status", async () => {
+      const { email } = await t.signup()
+
+      const duplicate = await t.request("POST", "/api/auth/signup", {
+        body: { name: "Asha", email, password: "correct-horse-battery" },
+      })
+      assertError(duplicate, 409, "EMAIL_TAKEN")
+
+      const login = await t.request("POST", "/api/auth/login", { body: { email, password: "not-the-password" } })
+      assertError(login, 401, "INVALID_CREDENTIALS")
+    })
+
+    it("codes a route that does not exist", async () => {
+      assertError(await t.request("GET", "/api/nothing-here"), 404, "NOT_FOUND")
+    })
+
+    it("codes a rate limit", async () => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await t.request("POST", "/api/auth/signup", { body: {} })
+      }
+
+      assertError(await t.request("POST", "/api/auth/signup", { body: {} }), 429, "RATE_LIMITED")
+    })
+
+    it("answers a Razorpay failure with a 502", async (context) => {
+      const { token } = await t.signup()
+      const { create } = t.razorpay.orders
+      t.razorpay.orders.create = async () => {
+        throw Object.assign(new Error("Authentication failed"), { statusCode: 401 })
+      }
+      context.after(() => {
+        t.razorpay.orders.create = create
+      })
+
+      const response = await t.request("POST", "/api/payments/create-order", { token, body: { courseId: 1 } })
+
+      assertError(response, 502, "PAYMENT_PROVIDER_ERROR")
+
+      const [line] = logged("Request failed")
+      assert.equal(line.error.name, "PaymentProviderError")
+      assert.equal(line.error.cause.message, "Authentication failed")
+    })
+
+    it("hides the details of an unexpected error and logs them", async (context) => {
+      const { token } = await t.signup()
+      const { create } = t.razorpay.orders
+      // A reply the route does not expect, so reading the order fails
+      t.razorpay.orders.create = async () => null
+      context.after(() => {
+        t.razorpay.orders.create = create
+      })
+
+      const response = await t.request("POST", "/api/payments/create-order", { token, body: { courseId: 1 } })
+
+      assertError(response, 500, "INTERNAL_ERROR")
+      assert.equal(response.body.message, "Internal server error")
+      assert.equal(response.body.error, undefined)
+
+      const [line] = logged("Request failed")
+      assert.equal(line.level, "error")
+      assert.equal(line.requestId, response.body.requestId)
+      assert.ok(line.error.stack)
+    })
+  })
+
+  describe("logger", () => {
+    it("redacts passwords, tokens, secrets and signatures at any depth", () => {
+      const fields = redact({
+        email: "learner@example.com",
+        password: "hunter22",
+        body: { currentPassword: "x", razorpay_signature: "abc" },
+        headers: { authorization: "Bearer abc", "x-razorpay-signature": "abc", cookie: "sid=1" },
+        sessions: [{ refreshToken: "abc", id: 1 }],
+        config: { keySecret: "abc" },
+      })
+
+      assert.deepEqual(fields, {
+        email: "learner@example.com",
+        password: "[REDACTED]",
+        body: { currentPassword: "[REDACTED]", razorpay_signature: "[REDACTED]" },
+        headers: { authorization: "[REDACTED]", "x-razorpay-signature": "[REDACTED]", cookie: "[REDACTED]" },
+        sessions: [{ refreshToken: "[REDACTED]", id: 1 }],
+        config: { keySecret: "[REDACTED]" },
+      })
+    })
+
+    it("writes levels at or above LOG_LEVEL as JSON lines", () => {
+      process.env.LOG_LEVEL = "warn"
+
+      logger.info("Not written")
+      logger.child({ job: "test" }).warn("Written", { token: "abc", count: 2 })
+
+      assert.equal(lines.length, 1)
+      assert.equal(lines[0].level, "warn")
+      assert.equal(lines[0].job, "test")
+      assert.equal(lines[0].token, "[REDACTED]")
+      assert.equal(lines[0].count, 2)
+      assert.ok(Date.parse(lines[0].time))
+    })
+  })
+
+  describe("error classes", () => {
+    it("carry a status and code", () => {
+      assert.deepEqual(
+        [
+          new ValidationError("x"),
+          new AuthError("x"),
+          new AuthError("x", { status: 403 }),
+          new ConflictError("x"),
+          new PaymentProviderError("x"),
+        ].map((error) => [error.name, error.status, error.code]),
+        [
+          ["ValidationError", 400, "VALIDATION_ERROR"],
+          ["AuthError", 401, "AUTH_ERROR"],
+          ["AuthError", 403, "FORBIDDEN"],
+          ["ConflictError", 409, "CONFLICT"],
+          ["PaymentProviderError", 502, "PAYMENT_PROVIDER_ERROR"],
+        ],
+      )
+    })
+  })
+})
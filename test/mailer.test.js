@@ -0,0 +1,46 @@
+const { describe, it, afterEach } = require("node:test")
+const assert = require("node:assert/strict")
+const { createTransport } = require("../mailer")
+const { useDestination } = require("../logger")
+
+describe("mailer", () => {
+  const env = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT }
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[name]
+      else process.env[name] = value
+    }
+    useDestination(process.stdout)
+  })
+
+  it("needs MAIL_TRANSPORT in production", () => {
+    process.env.NODE_ENV = "production"
+    delete process.env.MAIL_TRANSPORT
+
+    assert.throws(() => createTransport(), /MAIL_TRANSPORT must be set in production/)
+  })
+
+  it("logs only the envelope of a message on the console transport", async () => {
+    delete process.env.MAIL_TRANSPORT
+    const level = process.env.LOG_LEVEL
+    const lines = []
+    useDestination({ write: (line) => lines.push(JSON.parse(line)) })
+    process.env.LOG_LEVEL = "info"
+
+    try {
+      const { messageId } = await createTransport().send({
+        to: "learner@example.com",
+        subject: "Reset your password",
+        text: "https://example.com/reset-password?token=secret-token",
+      })
+
+      assert.equal(lines.length, 1)
+      assert.equal(lines[0].to, "learner@example.com")
+      assert.equal(lines[0].messageId, messageId)
+      assert.doesNotMatch(JSON.stringify(lines[0]), /secret-token/)
+    } finally {
+      process.env.LOG_LEVEL = level
+    }
+  })
+})
@@ -0,0 +1,152 @@
+const { describe, it, before, after } = require("node:test")
+const assert = require("node:assert/strict")
+const { startTestServer } = require("./helpers/app")
+const { listRoutes } = require("../openapi")
+const { OPERATIONS } = require("../openapi/operations")
+const { version } = require("../package.json")
+
+const METHODS = ["get", "post", "put", "patch", "delete"]
+
+describe("API documentation", () => {
+  let t
+  let spec
+  let routes
+
+  before(async () => {
+    t = await startTestServer()
+    spec = (await t.request("GET", "/api/openapi.json")).body
+    routes = listRoutes(t.app).filter((route) => route.path.startsWith("/api/"))
+  })
+
+  after(() => t.close())
+
+  // Every operation in the spec as [method, path, operation]
+  const operations = () =>
+    Object.entries(spec.paths).flatMap(([path, item]) =>
+      METHODS.filter((method) => item[method]).map((method) => [method, path, item[method]]),
+    )
+  const find = (method, path) => spec.paths[path] && spec.paths[path][method]
+
+  describe("coverage", () => {
+    it("documents every registered API route", () => {
+      const missing = routes
+        .filter((route) => !find(route.method.toLowerCase(), route.path.replace(/:(\w+)/g, "{$1}")))
+        .map((route) => `${route.method} ${route.path}`)
+
+      assert.ok(routes.length > 60)
+      assert.deepEqual(missing, [], "Add these routes to openapi/operations.js")
+    })
+
+    it("documents no route that is not registered", () => {
+      const registered = new Set(routes.map((route) => `${route.method} ${route.path}`))
+
+      assert.deepEqual(
+        Object.keys(OPERATIONS).filter((key) => !registered.has(key)),
+        [],
+      )
+    })
+  })
+
+  describe("document", () => {
+    it("is served as OpenAPI 3 with the package version", async () => {
+      const { status, headers } = await t.request("GET", "/api/openapi.json")
+
+      assert.equal(status, 200)
+      assert.match(headers.get("content-type"), /application\/json/)
+      assert.match(spec.openapi, /^3\.0\.\d+$/)
+      assert.equal(spec.info.version, version)
+      assert.deepEqual(Object.keys(spec.components.securitySchemes), ["bearerAuth", "razorpaySignature"])
+    })
+
+    it("has a unique operationId and a declared parameter for every path template", () => {
+      const ids = operations().map(([, , operation]) => operation.operationId)
+      assert.equal(new Set(ids).size, ids.length)
+
+      for (const [method, path, operation] of operations()) {
+        const templated = (path.match(/{\w+}/g) || []).map((param) => param.slice(1, -1))
+        const declared = operation.parameters.filter((param) => param.in === "path").map((param) => param.name)
+
+        assert.deepEqual(declared, templated, `${method} ${path}`)
+      }
+    })
+
+    it("resolves every $ref", () => {
+      const refs = []
+      const collect = (node) => {
+        if (node && typeof node === "object") {
+          if (typeof node.$ref === "string") refs.push(node.$ref)
+          Object.values(node).forEach(collect)
+        }
+      }
+      collect(spec)
+
+      assert.ok(refs.length > 0)
+      for (const ref of refs) {
+        const target = ref
+          .replace(/^#\//, "")
+          .split("/")
+          .reduce((node, key) => node && node[key], spec)
+        assert.ok(target, `${ref} does not resolve`)
+      }
+    })
+
+    it("wraps JSON success responses in the { success, message, data } envelope", () => {
+      // Outside the envelope on purpose: the health check and this document
+      const unwrapped = ["/api/health", "/api/openapi.json"]
+
+      for (const [method, path, operation] of operations()) {
+        for (const [status, response] of Object.entries(operation.responses)) {
+          const json = response.content && response.content["application/json"]
+          if (status >= 300 || !json || unwrapped.includes(path)) continue
+
+          assert.deepEqual(json.schema.properties.success, { type: "boolean", enum: [true] }, `${method} ${path}`)
+        }
+      }
+    })
+  })
+
+  describe("generated from the routes", () => {
+    it("reads request schemas from validate()", () => {
+      const list = find("get", "/api/courses")
+      const limit = list.parameters.find((param) => param.name === "limit")
+
+      assert.deepEqual(limit, {
+        name: "limit",
+        in: "query",
+        required: false,
+        schema: { type: "integer", minimum: 1, maximum: 50, default: 12 },
+      })
+
+      const signup = find("post", "/api/auth/signup").requestBody
+      assert.deepEqual(signup.content["application/json"].schema.required, ["name", "email", "password"])
+      assert.equal(find("get", "/api/payments/{id}/invoice").parameters[0].schema.type, "integer")
+    })
+
+    it("marks routes behind authenticateToken with the bearer scheme", () => {
+      assert.deepEqual(find("get", "/api/auth/me").security, [{ bearerAuth: [] }])
+      assert.equal(find("get", "/api/auth/me").responses[401].$ref, "#/components/responses/Unauthorized")
+      assert.equal(find("get", "/api/courses").security, undefined)
+      assert.deepEqual(find("post", "/api/payments/webhook").security, [{ razorpaySignature: [] }])
+    })
+
+    it("lists the roles a staff route needs, including the router's own guard", () => {
+      assert.deepEqual(find("get", "/api/admin/users")["x-roles"], ["support", "admin"])
+      assert.deepEqual(find("patch", "/api/admin/users/{id}/role")["x-roles"], ["admin"])
+      assert.deepEqual(find("get", "/api/admin/reports/funnel")["x-roles"], ["support", "admin"])
+      assert.equal(find("get", "/api/admin/reports/funnel").tags[0], "Reports")
+    })
+
+    it("documents rate limited routes' 429", () => {
+      assert.equal(find("post", "/api/auth/login").responses[429].$ref, "#/components/responses/RateLimited")
+      assert.equal(find("get", "/api/auth/me").responses[429], undefined)
+    })
+  })
+
+  it("serves a browsable docs page", async () => {
+    const { status, headers, body } = await t.request("GET", "/docs")
+
+    assert.equal(status, 200)
+    assert.match(headers.get("content-type"), /text\/html/)
+    assert.match(body, /\/api\/openapi\.json/)
+  })
+})
@@ -0,0 +1,253 @@
+const { describe, it, before, after, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const { startTestServer, stockCoupons } = require("./helpers/app")
+const { sql } = require("../db")
+const promotions = require("../repositories/promotions")
+const { reserveRedemption } = require("../services/promotions")
+const { transitionPayment } = require("../services/payments")
+
+// The launch course seeded by the migrations, priced at 9900 paise
+const COURSE_ID = 1
+const COURSE_PRICE = 9900
+
+describe("payments", () => {
+  let t
+
+  before(async () => {
+    t = await startTestServer()
+  })
+
+  after(() => t.close())
+
+  beforeEach(() => t.resetRateLimits())
+
+  const createOrder = (token, body = { courseId: COURSE_ID }) =>
+    t.request("POST", "/api/payments/create-order", { token, body })
+
+  // Sign up, create an order and pay it through the fake Checkout
+  async function paidOrder(options) {
+    const buyer = await t.signup()
+    const { body } = await createOrder(buyer.token)
+    return { buyer, order: body.data.order, checkout: t.razorpay.checkout(body.data.order.id, options) }
+  }
+
+  describe("POST /api/payments/create-order", () => {
+    it("creates a Razorpay order priced on the server", async () => {
+      const { token } = await t.signup()
+      const { status, body } = await createOrder(token, { courseId: COURSE_ID, amount: 1 })
+
+      assert.equal(status, 200)
+      assert.equal(body.data.amount, COURSE_PRICE)
+      assert.equal(body.data.order.amount, COURSE_PRICE)
+      assert.match(body.data.order.id, /^order_/)
+      assert.equal(body.data.keyId, process.env.RAZORPAY_KEY_ID)
+      assert.equal(body.data.course.id, COURSE_ID)
+    })
+
+    it("requires a token", async () => {
+      const { status } = await createOrder(undefined)
+
+      assert.equal(status, 401)
+    })
+
+    it("requires a valid course id", async () => {
+      const { token } = await t.signup()
+      const { status, body } = await createOrder(token, { courseId: "1" })
+
+      assert.equal(status, 400)
+      assert.equal(body.code, "VALIDATION_ERROR")
+      assert.deepEqual(body.details, [{ in: "body", field: "courseId", message: "must be a whole number" }])
+    })
+
+    it("answers 404 for a course that does not exist", async () => {
+      const { token } = await t.signup()
+      const { status } = await createOrder(token, { courseId: 9999 })
+
+      assert.equal(status, 404)
+    })
+
+    it("rejects an unknown discount code", async () => {
+      const { token } = await t.signup()
+      const { status, body } = await createOrder(token, { courseId: COURSE_ID, discountCode: "NOT-A-CODE" })
+
+      assert.equal(status, 400)
+      assert.equal(body.success, false)
+    })
+
+    it("reserves a promotion limited to one use per user only once until the order fails", async () => {
+      const admin = await t.signup()
+      await sql`UPDATE users SET role = 'admin' WHERE id = ${admin.user.id}`
+      await t.request("POST", "/api/admin/promotions", {
+        token: admin.token,
+        body: { code: "ONCE10", percentOff: 10, maxRedemptionsPerUser: 1 },
+      })
+      const promotion = await promotions.findByCode("ONCE10")
+      const { token, user } = await t.signup()
+
+      const first = await createOrder(token, { courseId: COURSE_ID, discountCode: "ONCE10" })
+      assert.equal(first.status, 200)
+
+      // A second checkout that passed the same check before the first order was stored
+      const second = await createOrder(token)
+      const [pending] = await sql`SELECT id FROM payments WHERE razorpay_order_id = ${second.body.data.order.id}`
+      const reservation = { userId: user.id, paymentId: pending.id, discountAmount: 990 }
+      assert.equal(await reserveRedemption(promotion, reservation), "You have already used this promotion")
+
+      const [held] = await sql`SELECT id FROM payments WHERE razorpay_order_id = ${first.body.data.order.id}`
+      await transitionPayment(held.id, "failed", { failure_reason: "Card declined" })
+
+      assert.equal(await reserveRedemption(promotion, reservation), null)
+      assert.equal((await promotions.findById(promotion.id)).redemption_count, 1)
+    })
+
+    it("limits how many orders one user creates", async () => {
+      const { token } = await t.signup()
+
+      for (let attempt = 0; attempt < 10; attempt++) {
+        await createOrder(token)
+      }
+      const { status } = await createOrder(token)
+
+      assert.equal(status, 429)
+    })
+
+    it("answers 500 when payments are not configured", async (context) => {
+      const { token } = await t.signup()
+      const { razorpay } = t.app.locals
+      t.app.locals.razorpay = null
+      context.after(() => {
+        t.app.locals.razorpay = razorpay
+      })
+
+      const { status, body } = await createOrder(token)
+
+      assert.equal(status, 500)
+      assert.equal(body.message, "Payment service not configured")
+    })
+  })
+
+  describe("POST /api/payments/verify", () => {
+    it("completes the payment and hands out a coupon", async () => {
+      const [code] = await stockCoupons(COURSE_ID)
+      const { buyer, checkout } = await paidOrder()
+
+      const { status, body } = await t.request("POST", "/api/payments/verify", { token: buyer.token, body: checkout })
+
+      assert.equal(status, 200)
+      assert.equal(body.message, "Payment verified successfully")
+      assert.equal(body.data.couponCode, code)
+      assert.equal(body.data.course.id, COURSE_ID)
+      assert.ok(body.data.redirectUrl)
+    })
+
+    it("returns the same entitlement when the same payment is verified again", async () => {
+      await stockCoupons(COURSE_ID)
+      const { buyer, checkout } = await paidOrder()
+
+      const first = await t.request("POST", "/api/payments/verify", { token: buyer.token, body: checkout })
+      const second = await t.request("POST", "/api/payments/verify", { token: buyer.token, body: checkout })
+
+      assert.equal(second.status, 200)
+      assert.equal(second.body.message, "Payment already verified")
+      assert.equal(second.body.data.couponCode, first.body.data.couponCode)
+    })
+
+    it("completes the payment without a coupon when none are in stock", async () => {
+      await sql`UPDATE coupon_codes SET status = 'expired' WHERE status = 'available'`
+      const { buyer, checkout } = await paidOrder()
+
+      const { status, body } = await t.request("POST", "/api/payments/verify", { token: buyer.token, body: checkout })
+
+      assert.equal(status, 200)
+      assert.equal(body.data.couponCode, null)
+    })
+
+    it("rejects a forged signature", async () => {
+      const { buyer, checkout } = await paidOrder()
+      const forged = { ...checkout, razorpay_signature: "0".repeat(64) }
+
+      const { status, body } = await t.request("POST", "/api/payments/verify", { token: buyer.token, body: forged })
+
+      assert.equal(status, 400)
+      assert.equal(body.message, "Payment verification failed")
+    })
+
+    it("rejects a signature for a different payment", async () => {
+      const first = await paidOrder()
+      const second = await paidOrder()
+      const mixed = { ...first.checkout, razorpay_signature: second.checkout.razorpay_signature }
+
+      const { status } = await t.request("POST", "/api/payments/verify", { token: first.buyer.token, body: mixed })
+
+      assert.equal(status, 400)
+    })
+
+    it("rejects a request with no payment details", async () => {
+      const { token } = await t.signup()
+      const { status } = await t.request("POST", "/api/payments/verify", { token, body: {} })
+
+      assert.equal(status, 400)
+    })
+
+    it("does not let another user verify someone else's order", async () => {
+      const { checkout } = await paidOrder()
+      const intruder = await t.signup()
+
+      const { status } = await t.request("POST", "/api/payments/verify", { token: intruder.token, body: checkout })
+
+      assert.equal(status, 404)
+    })
+
+    it("fails the payment when Razorpay charged a different amount", async () => {
+      const { buyer, checkout } = await paidOrder({ amount: 100 })
+
+      const { status, body } = await t.request("POST", "/api/payments/verify", { token: buyer.token, body: checkout })
+
+      assert.equal(status, 400)
+      assert.equal(body.message, "Payment amount does not match the order")
+
+      const history = await t.request("GET", "/api/payments/history", { token: buyer.token })
+      assert.equal(history.body.data.payments[0].status, "failed")
+    })
+
+    it("does not complete a payment Razorpay has only authorized", async () => {
+      await stockCoupons(COURSE_ID)
+      const { buyer, checkout } = await paidOrder({ captured: false })
+
+      const { status, body } = await t.request("POST", "/api/payments/verify", { token: buyer.token, body: checkout })
+
+      assert.equal(status, 409)
+      assert.equal(body.code, "PAYMENT_NOT_CAPTURED")
+
+      const history = await t.request("GET", "/api/payments/history", { token: buyer.token })
+      assert.equal(history.body.data.payments[0].status, "created")
+      assert.equal(history.body.data.payments[0].coupon_code, null)
+    })
+  })
+
+  describe("GET /api/payments/history", () => {
+    it("lists only the user's own payments", async () => {
+      await stockCoupons(COURSE_ID)
+      const { buyer, checkout } = await paidOrder()
+      await t.request("POST", "/api/payments/verify", { token: buyer.token, body: checkout })
+      await createOrder(buyer.token)
+      await paidOrder()
+
+      const { status, body } = await t.request("GET", "/api/payments/history", { token: buyer.token })
+
+      assert.equal(status, 200)
+      assert.equal(body.data.payments.length, 2)
+
+      const completed = body.data.payments.find((payment) => payment.status === "completed")
+      assert.equal(completed.razorpay_payment_id, checkout.razorpay_payment_id)
+      assert.ok(completed.coupon_code)
+      assert.ok(body.data.payments.some((payment) => payment.status === "created"))
+    })
+
+    it("requires a token", async () => {
+      const { status } = await t.request("GET", "/api/payments/history")
+
+      assert.equal(status, 401)
+    })
+  })
+})
@@ -0,0 +1,226 @@
+const { describe, it, before, after, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const { startTestServer, stockCoupons } = require("./helpers/app")
+const { sql } = require("../db")
+const { reconcile } = require("../services/reconciliation")
+
+const COURSE_ID = 1
+
+describe("reconciliation", () => {
+  let t
+
+  before(async () => {
+    t = await startTestServer()
+  })
+
+  after(() => t.close())
+
+  beforeEach(() => t.resetRateLimits())
+
+  // A signed-up buyer with a fresh order for the course
+  async function newOrder() {
+    const buyer = await t.signup()
+    const { body } = await t.request("POST", "/api/payments/create-order", {
+      token: buyer.token,
+      body: { courseId: COURSE_ID },
+    })
+    return { buyer, orderId: body.data.order.id }
+  }
+
+  const findPayment = async (orderId) => (await sql`SELECT * FROM payments WHERE razorpay_order_id = ${orderId}`)[0]
+
+  const age = (orderId, interval) =>
+    sql(`UPDATE payments SET created_at = CURRENT_TIMESTAMP - $2::interval WHERE razorpay_order_id = $1`, [
+      orderId,
+      interval,
+    ])
+
+  // The findings of a run about one order
+  const about = (findings, orderId) => findings.filter((finding) => finding.razorpay_order_id === orderId)
+
+  it("completes a payment captured on Razorpay that was never verified", async () => {
+    await stockCoupons(COURSE_ID)
+    const { orderId } = await newOrder()
+    const { razorpay_payment_id } = t.razorpay.checkout(orderId)
+
+    const run = await reconcile(t.razorpay)
+
+    assert.equal(run.status, "finished")
+    assert.deepEqual(
+      about(run.fixes, orderId).map((fix) => [fix.kind, fix.razorpay_payment_id]),
+      [["completed", razorpay_payment_id]],
+    )
+
+    const payment = await findPayment(orderId)
+    assert.equal(payment.status, "completed")
+    assert.equal(payment.razorpay_payment_id, razorpay_payment_id)
+    assert.equal((await sql`SELECT status FROM coupon_codes WHERE payment_id = ${payment.id}`)[0].status, "assigned")
+  })
+
+  it("expires an order left unpaid past the TTL", async () => {
+    const { orderId } = await newOrder()
+    await age(orderId, "2 hours")
+
+    const run = await reconcile(t.razorpay, { orderTtlMinutes: 60 })
+
+    assert.deepEqual(
+      about(run.fixes, orderId).map((fix) => fix.kind),
+      ["expired"],
+    )
+
+    const payment = await findPayment(orderId)
+    assert.equal(payment.status, "failed")
+    assert.equal(payment.failure_reason, "Order expired without payment")
+  })
+
+  it("leaves a recent unpaid order alone", async () => {
+    const { orderId } = await newOrder()
+
+    const run = await reconcile(t.razorpay, { orderTtlMinutes: 60 })
+
+    assert.deepEqual(about([...run.fixes, ...run.needs_review], orderId), [])
+    assert.equal((await findPayment(orderId)).status, "created")
+  })
+
+  it("completes a stale order whose capture is older than the window", async () => {
+    const { orderId } = await newOrder()
+    t.razorpay.checkout(orderId)
+    await age(orderId, "2 hours")
+
+    // The payment is not in Razorpay's listing for the window, so only the stale order check finds it
+    const run = await reconcile(
+      { ...t.razorpay, payments: { ...t.razorpay.payments, all: async () => ({ items: [] }) } },
+      { orderTtlMinutes: 60 },
+    )
+
+    assert.deepEqual(
+      about(run.fixes, orderId).map((fix) => fix.kind),
+      ["completed"],
+    )
+    assert.equal((await findPayment(orderId)).status, "completed")
+  })
+
+  it("leaves a stale order with an uncaptured payment for review", async () => {
+    const { orderId } = await newOrder()
+    t.razorpay.checkout(orderId, { captured: false })
+    await age(orderId, "2 hours")
+
+    const run = await reconcile(t.razorpay, { orderTtlMinutes: 60 })
+
+    assert.deepEqual(
+      about(run.needs_review, orderId).map((item) => item.kind),
+      ["authorized_not_captured"],
+    )
+    assert.equal((await findPayment(orderId)).status, "created")
+  })
+
+  it("reports a paid order that has no payment record, once", async () => {
+    const order = await t.razorpay.orders.create({ amount: 9900, currency: "INR", receipt: "lost", notes: {} })
+    t.razorpay.checkout(order.id)
+
+    const run = await reconcile(t.razorpay)
+
+    assert.deepEqual(
+      about(run.needs_review, order.id).map((item) => item.kind),
+      ["missing_record"],
+    )
+  })
+
+  it("fails and reports a capture for the wrong amount", async () => {
+    const { orderId } = await newOrder()
+    t.razorpay.checkout(orderId, { amount: 100 })
+
+    const run = await reconcile(t.razorpay)
+
+    assert.deepEqual(
+      about(run.needs_review, orderId).map((item) => item.kind),
+      ["amount_mismatch"],
+    )
+    assert.equal((await findPayment(orderId)).status, "failed")
+  })
+
+  it("reports a second capture on an order that was already paid", async () => {
+    const { buyer, orderId } = await newOrder()
+    const first = t.razorpay.checkout(orderId)
+    await t.request("POST", "/api/payments/verify", { token: buyer.token, body: first })
+    const second = t.razorpay.checkout(orderId)
+
+    const run = await reconcile(t.razorpay)
+
+    assert.deepEqual(
+      about(run.needs_review, orderId).map((item) => [item.kind, item.razorpay_payment_id]),
+      [["duplicate_capture", second.razorpay_payment_id]],
+    )
+    assert.equal((await findPayment(orderId)).razorpay_payment_id, first.razorpay_payment_id)
+  })
+
+  it("changes nothing on a dry run", async () => {
+    const captured = await newOrder()
+    t.razorpay.checkout(captured.orderId)
+    const stale = await newOrder()
+    await age(stale.orderId, "2 hours")
+
+    const run = await reconcile(t.razorpay, { orderTtlMinutes: 60, dryRun: true })
+
+    assert.equal(run.dry_run, true)
+    assert.deepEqual(
+      [...about(run.fixes, captured.orderId), ...about(run.fixes, stale.orderId)].map((fix) => fix.kind),
+      ["completed", "expired"],
+    )
+    assert.equal((await findPayment(captured.orderId)).status, "created")
+    assert.equal((await findPayment(stale.orderId)).status, "created")
+  })
+
+  it("stores a failed run with the error", async () => {
+    const broken = { ...t.razorpay, orders: { all: async () => Promise.reject(new Error("Razorpay is down")) } }
+
+    await assert.rejects(reconcile(broken), /Razorpay is down/)
+
+    const [run] = await sql`SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT 1`
+    assert.equal(run.status, "failed")
+    assert.equal(run.error, "Razorpay is down")
+  })
+
+  describe("admin API", () => {
+    let admin
+
+    before(async () => {
+      admin = await t.signup()
+      await sql`UPDATE users SET role = 'admin' WHERE id = ${admin.user.id}`
+    })
+
+    it("runs a reconciliation and lists it", async () => {
+      const created = await t.request("POST", "/api/admin/reconciliation-runs", {
+        token: admin.token,
+        body: { dryRun: true },
+      })
+
+      assert.equal(created.status, 201)
+      assert.equal(created.body.data.run.dry_run, true)
+
+      const list = await t.request("GET", "/api/admin/reconciliation-runs", { token: admin.token })
+      assert.equal(list.body.data.runs[0].id, created.body.data.run.id)
+
+      const detail = await t.request("GET", `/api/admin/reconciliation-runs/${created.body.data.run.id}`, {
+        token: admin.token,
+      })
+      assert.deepEqual(detail.body.data.run.needs_review, created.body.data.run.needs_review)
+    })
+
+    it("rejects invalid options", async () => {
+      const { status } = await t.request("POST", "/api/admin/reconciliation-runs", {
+        token: admin.token,
+        body: { windowHours: -1 },
+      })
+
+      assert.equal(status, 400)
+    })
+
+    it("is for staff only", async () => {
+      const { token } = await t.signup()
+      const { status } = await t.request("GET", "/api/admin/reconciliation-runs", { token })
+
+      assert.equal(status, 403)
+    })
+  })
+})
@@ -0,0 +1,209 @@
+const { describe, it, before, after, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const bcrypt = require("bcryptjs")
+const { startTestServer } = require("./helpers/app")
+const { sql } = require("../db")
+const { validate, object, optional, string, integer, email } = require("../validation")
+
+describe("request validation", () => {
+  let t
+
+  before(async () => {
+    t = await startTestServer()
+  })
+
+  after(() => t.close())
+
+  beforeEach(() => t.resetRateLimits())
+
+  const signup = (body) => t.request("POST", "/api/auth/signup", { body })
+
+  describe("error responses", () => {
+    it("lists every field error in one 400", async () => {
+      const { status, body } = await signup({ email: "not-an-email", password: "short1" })
+
+      assert.equal(status, 400)
+      assert.equal(body.code, "VALIDATION_ERROR")
+      assert.deepEqual(body.details, [
+        { in: "body", field: "name", message: "is required" },
+        { in: "body", field: "email", message: "must be a valid email address" },
+        { in: "body", field: "password", message: "must be at least 8 characters long" },
+      ])
+      assert.equal(
+        body.message,
+        "name is required; email must be a valid email address; password must be at least 8 characters long",
+      )
+    })
+
+    it("checks path parameters", async () => {
+      const { token } = await t.signup()
+      const { status, body } = await t.request("GET", "/api/payments/abc/invoice", { token })
+
+      assert.equal(status, 400)
+      assert.deepEqual(body.details, [{ in: "params", field: "id", message: "must be a whole number" }])
+    })
+
+    it("rejects a body that is not an object", async () => {
+      const { status, body } = await t.request("POST", "/api/auth/login", { body: ["learner@example.com"] })
+
+      assert.equal(status, 400)
+      assert.deepEqual(body.details, [{ in: "body", field: "body", message: "must be an object" }])
+    })
+
+    it("reports fields that do not fit together in the same shape", async () => {
+      const admin = await t.signup()
+      await sql`UPDATE users SET role = 'admin' WHERE id = ${admin.user.id}`
+
+      const { status, body } = await t.request("POST", "/api/admin/promotions", {
+        token: admin.token,
+        body: { code: "launch10", percentOff: 10, amountOff: 500 },
+      })
+
+      assert.equal(status, 400)
+      assert.equal(body.code, "VALIDATION_ERROR")
+      assert.deepEqual(body.details, [
+        { in: "body", field: "percentOff", message: "cannot be given together with amountOff" },
+      ])
+    })
+  })
+
+  describe("emails", () => {
+    it("are trimmed and lower-cased, so one address is one account", async () => {
+      const local = t.uniqueEmail("Mixed")
+      const { status, body } = await signup({
+        name: "Asha",
+        email: `  ${local.toUpperCase()} `,
+        password: "correct-horse-battery",
+      })
+
+      assert.equal(status, 201)
+      assert.equal(body.data.user.email, local.toLowerCase())
+
+      const login = await t.request("POST", "/api/auth/login", {
+        body: { email: local.toUpperCase(), password: "correct-horse-battery" },
+      })
+      assert.equal(login.status, 200)
+
+      const duplicate = await signup({ name: "Asha", email: local, password: "correct-horse-battery" })
+      assert.equal(duplicate.status, 409)
+      assert.match(duplicate.body.message, /already exists/)
+    })
+  })
+
+  describe("passwords", () => {
+    const weakness = async (password) => {
+      const { status, body } = await signup({ name: "Asha", email: t.uniqueEmail(), password })
+      assert.equal(status, 400)
+      return body.details[0].message
+    }
+
+    it("need a letter and a digit or symbol", async () => {
+      assert.equal(await weakness("abcdefghij"), "must contain a letter and a digit or symbol")
+      assert.equal(await weakness("1234567890123"), "must contain a letter and a digit or symbol")
+    })
+
+    it("may not be a common password", async () => {
+      assert.equal(await weakness("Password1"), "is too common, please choose another")
+    })
+
+    it("may not be longer than bcrypt reads", async () => {
+      assert.equal(await weakness(`a1${"é".repeat(36)}`), "must be at most 72 bytes long")
+    })
+
+    it("are not trimmed", async () => {
+      const { email } = await t.signup({ password: " spaced out 1 " })
+      const { status } = await t.request("POST", "/api/auth/login", { body: { email, password: "spaced out 1" } })
+
+      assert.equal(status, 401)
+    })
+
+    it("set under older rules still log in", async () => {
+      const { email } = await t.signup()
+      // A password the policy would no longer accept
+      const passwordHash = await bcrypt.hash("short", 4)
+      await sql`UPDATE users SET password_hash = ${passwordHash} WHERE email = ${email}`
+
+      const { status, body } = await t.request("POST", "/api/auth/login", { body: { email, password: "short" } })
+
+      assert.equal(status, 200, body.message)
+    })
+  })
+
+  describe("types", () => {
+    it("converts query parameters to numbers", async () => {
+      const { status, body } = await t.request("GET", "/api/courses?limit=5&page=1")
+
+      assert.equal(status, 200)
+      assert.equal(body.data.pagination.limit, 5)
+    })
+
+    it("rejects query parameters out of range or of the wrong type", async () => {
+      const { status, body } = await t.request("GET", "/api/courses?limit=500&page=first&order=sideways")
+
+      assert.equal(status, 400)
+      assert.deepEqual(
+        body.details.map((error) => [error.in, error.field]),
+        [
+          ["query", "page"],
+          ["query", "limit"],
+          ["query", "order"],
+        ],
+      )
+    })
+
+    it("does not convert JSON bodies", async () => {
+      const { token } = await t.signup()
+
+      for (const courseId of ["1", 1.5, true]) {
+        const { status, body } = await t.request("POST", "/api/promotions/validate", {
+          token,
+          body: { courseId, code: "WELCOME" },
+        })
+
+        assert.equal(status, 400)
+        assert.deepEqual(body.details, [{ in: "body", field: "courseId", message: "must be a whole number" }])
+      }
+    })
+
+    it("drops fields the schema does not declare", async () => {
+      const { token, user } = await t.signup()
+
+      const { status } = await t.request("PATCH", "/api/auth/me", { token, body: { name: "Renamed", role: "admin" } })
+
+      assert.equal(status, 200)
+      assert.equal((await sql`SELECT role FROM users WHERE id = ${user.id}`)[0].role, "learner")
+    })
+  })
+
+  describe("validate()", () => {
+    const run = (middleware, req) => {
+      let result
+      middleware(req, {}, (error) => {
+        result = error
+      })
+      return result
+    }
+
+    it("applies defaults and keeps the schemas for the API documentation", () => {
+      const middleware = validate({ query: { limit: optional(integer({ default: 20 })) }, body: { email: email() } })
+      const req = { query: {}, body: { email: "A@Example.com" } }
+
+      assert.equal(run(middleware, req), undefined)
+      assert.deepEqual(req.query, { limit: 20 })
+      assert.deepEqual(req.body, { email: "a@example.com" })
+      assert.deepEqual(middleware.schemas.body, {
+        type: "object",
+        properties: { email: { type: "string", format: "email", maxLength: 255 } },
+        required: ["email"],
+      })
+    })
+
+    it("checks nested objects", () => {
+      const middleware = validate({ body: object({ billing: object({ state: string({ enum: ["29", "27"] }) }) }) })
+      const error = run(middleware, { body: { billing: { state: "99" } } })
+
+      assert.equal(error.status, 400)
+      assert.deepEqual(error.details, [{ in: "body", field: "billing.state", message: "must be one of: 29, 27" }])
+    })
+  })
+})
@@ -0,0 +1,142 @@
+const { describe, it, before, after, beforeEach } = require("node:test")
+const assert = require("node:assert/strict")
+const { startTestServer, stockCoupons } = require("./helpers/app")
+
+const COURSE_ID = 1
+
+describe("POST /api/payments/webhook", () => {
+  let t
+
+  before(async () => {
+    t = await startTestServer()
+  })
+
+  after(() => t.close())
+
+  beforeEach(() => t.resetRateLimits())
+
+  const deliver = ({ body, headers }) => t.request("POST", "/api/payments/webhook", { body, headers })
+
+  // A signed-up buyer with an order the fake Checkout has paid but the browser never verified
+  async function paidOrder() {
+    const buyer = await t.signup()
+    const { body } = await t.request("POST", "/api/payments/create-order", {
+      token: buyer.token,
+      body: { courseId: COURSE_ID },
+    })
+    const checkout = t.razorpay.checkout(body.data.order.id)
+
+    return { buyer, orderId: checkout.razorpay_order_id, paymentId: checkout.razorpay_payment_id }
+  }
+
+  const latestPayment = async (buyer) => {
+    const { body } = await t.request("GET", "/api/payments/history", { token: buyer.token })
+    return body.data.payments[0]
+  }
+
+  it("completes a captured payment the browser never verified", async () => {
+    await stockCoupons(COURSE_ID)
+    const { buyer, orderId, paymentId } = await paidOrder()
+
+    const { status, body } = await deliver(t.razorpay.webhook("payment.captured", { orderId, paymentId, amount: 9900 }))
+
+    assert.equal(status, 200)
+    assert.equal(body.data.outcome, "completed")
+
+    const payment = await latestPayment(buyer)
+    assert.equal(payment.status, "completed")
+    assert.ok(payment.coupon_code)
+  })
+
+  it("fails a captured payment for the wrong amount", async () => {
+    const { buyer, orderId, paymentId } = await paidOrder()
+
+    const { body } = await deliver(t.razorpay.webhook("payment.captured", { orderId, paymentId, amount: 100 }))
+
+    assert.equal(body.data.outcome, "mismatch")
+    assert.equal((await latestPayment(buyer)).status, "failed")
+  })
+
+  it("marks a failed payment", async () => {
+    const { buyer, orderId, paymentId } = await paidOrder()
+
+    const { body } = await deliver(t.razorpay.webhook("payment.failed", { orderId, paymentId }))
+
+    assert.equal(body.data.outcome, "failed")
+    assert.equal((await latestPayment(buyer)).status, "failed")
+  })
+
+  it("processes a redelivered event only once", async () => {
+    const { orderId, paymentId } = await paidOrder()
+    const delivery = t.razorpay.webhook("payment.captured", { orderId, paymentId, amount: 9900 })
+
+    const first = await deliver(delivery)
+    const second = await deliver(delivery)
+
+    assert.equal(first.body.message, "Event processed")
+    assert.equal(second.status, 200)
+    assert.equal(second.body.message, "Event already processed")
+  })
+
+  it("leaves a verified payment alone when the capture arrives afterwards", async () => {
+    const buyer = await t.signup()
+    const order = await t.request("POST", "/api/payments/create-order", {
+      token: buyer.token,
+      body: { courseId: COURSE_ID },
+    })
+    const checkout = t.razorpay.checkout(order.body.data.order.id)
+    await t.request("POST", "/api/payments/verify", { token: buyer.token, body: checkout })
+
+    const { body } = await deliver(
+      t.razorpay.webhook("payment.captured", {
+        orderId: checkout.razorpay_order_id,
+        paymentId: checkout.razorpay_payment_id,
+        amount: 9900,
+      }),
+    )
+
+    assert.equal(body.data.outcome, "Payment already completed")
+  })
+
+  it("answers an event for an unknown order without failing the delivery", async () => {
+    const { status, body } = await deliver(
+      t.razorpay.webhook("payment.captured", { orderId: "order_Unknown0000001", amount: 9900 }),
+    )
+
+    assert.equal(status, 200)
+    assert.equal(body.data.outcome, "Payment record not found")
+  })
+
+  it("rejects a delivery with a bad signature", async () => {
+    const { orderId, paymentId } = await paidOrder()
+    const delivery = t.razorpay.webhook("payment.captured", { orderId, paymentId, amount: 9900 })
+
+    const { status, body } = await deliver({
+      body: delivery.body,
+      headers: { ...delivery.headers, "X-Razorpay-Signature": "0".repeat(64) },
+    })
+
+    assert.equal(status, 400)
+    assert.equal(body.message, "Invalid webhook signature")
+  })
+
+  it("checks the signature before the body", async () => {
+    const { status, body } = await deliver({
+      body: JSON.stringify({ payload: "not an event" }),
+      headers: { "X-Razorpay-Signature": "0".repeat(64) },
+    })
+
+    assert.equal(status, 400)
+    assert.equal(body.message, "Invalid webhook signature")
+    assert.equal(body.details, undefined)
+  })
+
+  it("rejects a body changed after it was signed", async () => {
+    const { orderId, paymentId } = await paidOrder()
+    const delivery = t.razorpay.webhook("payment.captured", { orderId, paymentId, amount: 9900 })
+
+    const { status } = await deliver({ ...delivery, body: delivery.body.replace("9900", "100") })
+
+    assert.equal(status, 400)
+  })
+})
@@ -0,0 +1,314 @@
+const { ValidationError } = require("../errors")
+
+// Request schemas are plain JSON Schema objects, limited to what OpenAPI 3.0 understands, so the
+// same objects that check a request also describe it in the API documentation. validate() checks
+// req.params, req.query and req.body against them before the handler runs and replaces each with
+// the checked values:
+//   - Unknown fields are dropped, so handlers only ever see what the schema declares.
+//   - Strings are trimmed (passwords excepted), and an empty string counts as not given.
+//   - Emails are lower-cased, so A@x.com and a@x.com are the same account.
+//   - Query and path parameters arrive as text and are converted to the declared integer, number
+//     or boolean. JSON bodies are not converted: "5" or 5.5 is not an integer there.
+// A request that does not match gets one 400 listing every field error.
+
+// Fields left out of `required` by object(); kept outside the schema so it stays plain JSON Schema
+const OPTIONAL = new WeakSet()
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// The longest password bcrypt uses in full, in bytes
+const PASSWORD_MAX_BYTES = 72
+const COMMON_PASSWORDS = new Set([
+  "password",
+  "password1",
+  "password123",
+  "12345678",
+  "123456789",
+  "1234567890",
+  "qwerty123",
+  "qwertyuiop",
+  "iloveyou",
+  "letmein123",
+  "welcome123",
+  "admin123",
+  "abcd1234",
+  "11111111",
+  "00000000",
+])
+
+const PASSWORD_POLICY =
+  "8 to 72 characters, with at least one letter and one digit or symbol, and not a commonly used password"
+
+const string = (options = {}) => ({ type: "string", ...options })
+const integer = (options = {}) => ({ type: "integer", ...options })
+const number = (options = {}) => ({ type: "number", ...options })
+const boolean = (options = {}) => ({ type: "boolean", ...options })
+
+// An object schema from a map of field schemas; every field is required unless wrapped in optional()
+function object(properties, options = {}) {
+  const required = Object.keys(properties).filter((field) => !OPTIONAL.has(properties[field]))
+
+  return {
+    type: "object",
+    properties,
+    ...(required.length > 0 && { required }),
+    ...options,
+  }
+}
+
+function optional(schema) {
+  const copy = { ...schema }
+  OPTIONAL.add(copy)
+  return copy
+}
+
+const nullable = (schema) => ({ ...schema, nullable: true })
+
+// Common fields
+const id = (options = {}) => integer({ minimum: 1, ...options })
+const email = (options = {}) => string({ format: "email", maxLength: 255, ...options })
+// A password being checked, e.g. at login: any length, since it was set under older rules
+const password = (options = {}) => string({ format: "password", ...options })
+// A password being set, held to PASSWORD_POLICY
+const newPassword = (options = {}) =>
+  string({ format: "password", minLength: 8, "x-password-policy": true, description: PASSWORD_POLICY, ...options })
+
+// page/limit query parameters
+const pageQuery = ({ maxLimit = 100, defaultLimit = 20 } = {}) => ({
+  page: optional(integer({ minimum: 1, default: 1 })),
+  limit: optional(integer({ minimum: 1, maximum: maxLimit, default: defaultLimit })),
+})
+
+// from/to query parameters of a date range, inclusive (see services/reports parseDateRange)
+const dateRangeQuery = () => ({
+  from: optional(string({ format: "date" })),
+  to: optional(string({ format: "date" })),
+})
+
+// Why a new password is too weak, or null
+function passwordWeakness(value) {
+  if (Buffer.byteLength(value) > PASSWORD_MAX_BYTES) {
+    return `must be at most ${PASSWORD_MAX_BYTES} bytes long`
+  }
+  if (!/\p{L}/u.test(value) || !/[^\p{L}]/u.test(value)) {
+    return "must contain a letter and a digit or symbol"
+  }
+  if (COMMON_PASSWORDS.has(value.toLowerCase())) {
+    return "is too common, please choose another"
+  }
+  return null
+}
+
+const isValidDate = (value) => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+
+// Text from a query string or path as the declared type, or unchanged when it is not one
+function coerceText(schema, value) {
+  if (typeof value !== "string") {
+    return value
+  }
+  if (schema.type === "integer" && /^-?\d+$/.test(value)) {
+    return Number(value)
+  }
+  if (schema.type === "number" && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value)
+  }
+  if (schema.type === "boolean" && ["true", "false"].includes(value)) {
+    return value === "true"
+  }
+  return value
+}
+
+const lengthMessage = (schema) => {
+  if (schema.minLength && schema.maxLength) {
+    return `must be ${schema.minLength} to ${schema.maxLength} characters long`
+  }
+  return schema.minLength
+    ? `must be at least ${schema.minLength} characters long`
+    : `must be at most ${schema.maxLength} characters long`
+}
+
+// Check a string; resolves the value to use or an error message
+function checkString(schema, value) {
+  if (typeof value !== "string") {
+    return { error: "must be a string" }
+  }
+
+  let text = schema.format === "password" ? value : value.trim()
+
+  if (schema.format === "email") {
+    text = text.toLowerCase()
+    if (!EMAIL_PATTERN.test(text)) {
+      return { error: "must be a valid email address" }
+    }
+  }
+
+  if ((schema.minLength && text.length < schema.minLength) || (schema.maxLength && text.length > schema.maxLength)) {
+    return { error: lengthMessage(schema) }
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(text)) {
+    return { error: schema["x-pattern-message"] || "is not in the expected format" }
+  }
+  if (schema.format === "date" && !isValidDate(text)) {
+    return { error: "must be a date as YYYY-MM-DD" }
+  }
+  if (schema.format === "date-time" && Number.isNaN(Date.parse(text))) {
+    return { error: "must be an ISO date-time" }
+  }
+  if (schema["x-password-policy"]) {
+    const weakness = passwordWeakness(text)
+    if (weakness) {
+      return { error: weakness }
+    }
+  }
+
+  return { value: text }
+}
+
+function checkNumber(schema, value) {
+  if (schema.type === "integer" ? !Number.isInteger(value) : !Number.isFinite(value)) {
+    return { error: schema.type === "integer" ? "must be a whole number" : "must be a number" }
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return { error: `must be at least ${schema.minimum}` }
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    return { error: `must be at most ${schema.maximum}` }
+  }
+  return { value }
+}
+
+// Check `value` against `schema`, pushing { field, message } for every problem onto `errors`.
+// Returns the value to use; undefined means the field is left out.
+function check(schema, value, { field, errors, coerce }) {
+  const fail = (message) => {
+    errors.push({ field, message })
+    return undefined
+  }
+
+  if (value === "" || (typeof value === "string" && schema.format !== "password" && !value.trim())) {
+    value = undefined
+  }
+  if (value === undefined) {
+    return schema.default
+  }
+  if (value === null) {
+    return schema.nullable ? null : fail("must not be null")
+  }
+  if (coerce) {
+    value = coerceText(schema, value)
+  }
+
+  let result
+  switch (schema.type) {
+    case "string":
+      result = checkString(schema, value)
+      break
+    case "integer":
+    case "number":
+      result = checkNumber(schema, value)
+      break
+    case "boolean":
+      result = typeof value === "boolean" ? { value } : { error: "must be true or false" }
+      break
+    case "object":
+      return checkObject(schema, value, { field, errors, coerce })
+    default:
+      result = { value }
+  }
+
+  if (result.error) {
+    return fail(result.error)
+  }
+  if (schema.enum && !schema.enum.includes(result.value)) {
+    // Long lists, such as state codes, are left to the API documentation
+    return fail(
+      schema.enum.length > 10 ? "is not one of the allowed values" : `must be one of: ${schema.enum.join(", ")}`,
+    )
+  }
+  return result.value
+}
+
+function checkObject(schema, value, { field, errors, coerce }) {
+  if (typeof value !== "object" || Array.isArray(value)) {
+    errors.push({ field, message: "must be an object" })
+    return undefined
+  }
+
+  const required = new Set(schema.required)
+  const checked = schema.additionalProperties === true ? { ...value } : {}
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const path = field ? `${field}.${name}` : name
+    const result = check(property, value[name], { field: path, errors, coerce })
+
+    if (result !== undefined) {
+      checked[name] = result
+    } else if (required.has(name) && !errors.some((error) => error.field === path)) {
+      errors.push({ field: path, message: "is required" })
+    }
+  }
+
+  return checked
+}
+
+// "email must be a valid email address; password is required"
+const summarize = (errors) => errors.map((error) => `${error.field} ${error.message}`).join("; ")
+
+// Middleware checking the request against { params, query, body } schemas, each an object()
+// schema or a map of field schemas. The schemas stay on the middleware as `.schemas`, for the
+// API documentation.
+function validate(parts) {
+  const schemas = Object.fromEntries(
+    Object.entries(parts).map(([part, schema]) => [part, schema.type === "object" ? schema : object(schema)]),
+  )
+
+  const middleware = (req, res, next) => {
+    const errors = []
+
+    for (const [part, schema] of Object.entries(schemas)) {
+      const partErrors = []
+      const value = check(schema, req[part] === undefined ? {} : req[part], {
+        field: "",
+        errors: partErrors,
+        coerce: part !== "body",
+      })
+
+      errors.push(...partErrors.map((error) => ({ in: part, field: error.field || part, message: error.message })))
+      req[part] = value
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError(summarize(errors), { details: errors }))
+    }
+    next()
+  }
+
+  middleware.schemas = schemas
+  return middleware
+}
+
+// A 400 in the same shape as validate()'s, for rules a schema cannot express: how fields combine,
+// with each other or with the record being changed. `errors` are { field, message }.
+function invalidFields(errors, part = "body") {
+  const details = errors.map((error) => ({ in: part, ...error }))
+  return new ValidationError(summarize(details), { details })
+}
+
+module.exports = {
+  validate,
+  invalidFields,
+  object,
+  optional,
+  nullable,
+  string,
+  integer,
+  number,
+  boolean,
+  id,
+  email,
+  password,
+  newPassword,
+  pageQuery,
+  dateRangeQuery,
+}